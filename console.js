@@ -0,0 +1,167 @@
+// 本地控制台：不连接 Telegram 和 Google Cloud，直接在终端里和机器人对话
+//
+// 用法：
+//   npm run console                  交互模式
+//   npm run console -- script.txt    按行执行对话脚本（# 开头的行为注释）
+//
+// 输入：
+//   普通文本和 /命令                 作为文本消息发送
+//   :voice <说的话>                  发送语音消息，离线模式下语音内容就是这段文字
+//   :photo <图片路径> [说明]         发送本地图片，说明作为图片的 caption
+//   :tap <编号> [#消息编号]          点击按钮，默认为最近一条带按钮的消息
+//   :tick [时间]                     触发一次每日推送（同 /cron/tick），时间默认为现在，如 2026-10-20T08:00+08:00
+//   :quit                            退出
+//
+// 默认使用离线假实现（CLOUD_CLIENTS=fake、LLM_PROVIDER_CHAIN=fake），
+// 也可以通过环境变量改用真实的 Google Cloud 客户端或本地 OpenAI 兼容模型服务
+process.env.CLOUD_CLIENTS = process.env.CLOUD_CLIENTS || 'fake';
+process.env.LLM_PROVIDER_CHAIN = process.env.LLM_PROVIDER_CHAIN || 'fake';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'local';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+// 对话脚本会在短时间内连续发送消息，放宽每分钟的频率限制
+process.env.FREE_MESSAGES_PER_MINUTE = process.env.FREE_MESSAGES_PER_MINUTE || '1000';
+
+const fs = require('fs');
+const readline = require('readline');
+const { setTransport } = require('./lib/telegram');
+const { createConsoleTransport } = require('./lib/console');
+const { handleUpdate } = require('./lib/router');
+const { runLessonTick } = require('./lib/subscriptions');
+
+const BOT_TOKEN = 'console';
+const userId = parseInt(process.env.CONSOLE_USER_ID || '1', 10);
+// CONSOLE_LANGUAGE 模拟 Telegram 客户端语言，用于调试界面多语言
+const user = { id: userId, is_bot: false, first_name: 'Console', language_code: process.env.CONSOLE_LANGUAGE || 'zh-hans' };
+const chat = { id: userId, type: 'private', first_name: 'Console' };
+
+const consoleTransport = createConsoleTransport({
+    outputDir: process.env.CONSOLE_OUTPUT_DIR || '.data/console'
+});
+setTransport(consoleTransport.transport);
+
+let nextUpdateId = 1;
+let nextUserMessageId = 100000;
+
+function buildUpdate(line) {
+    const update = { update_id: nextUpdateId++ };
+    const message = {
+        message_id: nextUserMessageId++,
+        from: user,
+        chat,
+        date: Math.floor(Date.now() / 1000)
+    };
+
+    if (line.startsWith(':voice ')) {
+        const spoken = line.substring(':voice '.length).trim();
+        const fileId = consoleTransport.addFile(Buffer.from(spoken, 'utf8'));
+        // 按每个词 0.5 秒估算时长
+        update.message = {
+            ...message,
+            voice: { file_id: fileId, duration: Math.ceil(spoken.split(/\s+/).length / 2), mime_type: 'audio/ogg' }
+        };
+        return update;
+    }
+
+    if (line.startsWith(':photo ')) {
+        const [filePath, ...caption] = line.substring(':photo '.length).trim().split(/\s+/);
+        if (!fs.existsSync(filePath)) {
+            console.log(`❓ 找不到图片：${filePath}`);
+            return null;
+        }
+        const buffer = fs.readFileSync(filePath);
+        const fileId = consoleTransport.addFile(buffer);
+        update.message = {
+            ...message,
+            photo: [{ file_id: fileId, width: 1280, height: 960, file_size: buffer.length }],
+            ...(caption.length > 0 ? { caption: caption.join(' ') } : {})
+        };
+        return update;
+    }
+
+    if (line.startsWith(':tap ')) {
+        const [index, target] = line.substring(':tap '.length).trim().split(/\s+/);
+        const button = target
+            ? consoleTransport.button(parseInt(index, 10), parseInt(target.replace('#', ''), 10))
+            : consoleTransport.button(parseInt(index, 10));
+        if (!button) {
+            console.log('❓ 没有这个按钮');
+            return null;
+        }
+        update.callback_query = {
+            id: String(update.update_id),
+            from: user,
+            message: { message_id: button.messageId, chat },
+            data: button.data
+        };
+        return update;
+    }
+
+    update.message = { ...message, text: line };
+    return update;
+}
+
+async function processLine(line) {
+    if (line === ':tick' || line.startsWith(':tick ')) {
+        const at = line.substring(':tick'.length).trim();
+        const now = at ? new Date(at) : new Date();
+        if (Number.isNaN(now.getTime())) {
+            console.log(`❓ 无法识别的时间：${at}`);
+            return;
+        }
+        console.log(`⏰ ${JSON.stringify(await runLessonTick(BOT_TOKEN, now))}`);
+        return;
+    }
+
+    const update = buildUpdate(line);
+    if (!update) {
+        return;
+    }
+    await handleUpdate(BOT_TOKEN, update);
+    // 错误提示通过 setImmediate 异步发送，等它们输出后再继续
+    await new Promise(resolve => setTimeout(resolve, 10));
+}
+
+async function runScript(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+        console.log(`> ${line}`);
+        await processLine(line);
+    }
+}
+
+function runInteractive() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+    console.log('SpeakMate 控制台，输入 /help 查看命令，:quit 退出');
+    rl.prompt();
+
+    rl.on('line', async input => {
+        const line = input.trim();
+        if (line === ':quit') {
+            rl.close();
+            return;
+        }
+        if (line) {
+            rl.pause();
+            await processLine(line);
+            rl.resume();
+        }
+        rl.prompt();
+    });
+    rl.on('close', () => process.exit(0));
+}
+
+if (process.argv[2]) {
+    runScript(process.argv[2])
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+} else {
+    runInteractive();
+}
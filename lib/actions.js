@@ -0,0 +1,135 @@
+// 回复下方操作按钮的处理：朗读、翻译、讲解语法、保存短语和重新生成
+const { apiRequest, sendRichMessage, safeSendMessage, sendVoice } = require('./telegram');
+const { generate, isLLMConfigured } = require('./llm');
+const { synthesizeSpeech, toSpeechText } = require('./speech');
+const { translateForLearner } = require('./translation');
+const { getProfile, languageName } = require('./settings');
+const { handleSaveCommand } = require('./vocab');
+const { handleAIChat } = require('./chat');
+const { actionKeyboard, recallReply, rememberReply } = require('./replies');
+const { recordUsage, checkQuota } = require('./usage');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+// 与生词本的长度上限一致，更长的内容先挑出其中的短语
+const MAX_PHRASE_LENGTH = 100;
+
+async function explainGrammar(text, profile) {
+    const native = languageName(profile.nativeLanguage);
+    const prompt = `Explain the grammar and the key vocabulary of the following ${languageName(profile.learningLanguage)} text ` +
+        `for a learner whose native language is ${native}. Write the explanation in ${native} as a short bullet list.\n\n${text}`;
+    return generate([{ role: 'user', parts: [{ text: prompt }] }]);
+}
+
+// 从较长的回复中挑出最值得记住的单词或短语
+async function pickPhrase(text, profile, userId) {
+    if (text.length <= MAX_PHRASE_LENGTH || !isLLMConfigured()) {
+        return text;
+    }
+    const prompt = `From the following ${languageName(profile.learningLanguage)} text, pick the single most useful word ` +
+        `or short phrase (at most 6 words) for a language learner to memorize. Reply with the phrase only.\n\n${text}`;
+    const result = await generate([{ role: 'user', parts: [{ text: prompt }] }]);
+    await recordUsage(userId, { tokens: result.usage.totalTokens });
+    return result.text.trim().split('\n')[0].replace(/^["'“”]+|["'“”]+$/g, '');
+}
+
+async function runAction(botToken, action, entry, message, userId) {
+    const chatId = message.chat.id;
+    const replyTo = { reply_to_message_id: message.message_id };
+    const profile = await getProfile(userId);
+    // 朗读和讲解针对学习语言的文本
+    const learningText = entry.speech || entry.text;
+
+    if (action === 'listen' || action === 'translate') {
+        const quotaError = await checkQuota(userId, { characters: learningText.length });
+        if (quotaError) {
+            await safeSendMessage(botToken, chatId, quotaError);
+            return;
+        }
+    } else if (action === 'explain') {
+        const quotaError = await checkQuota(userId);
+        if (quotaError) {
+            await safeSendMessage(botToken, chatId, quotaError);
+            return;
+        }
+    }
+
+    switch (action) {
+        case 'listen': {
+            await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'upload_voice' });
+            const spoken = toSpeechText(learningText);
+            await sendVoice(botToken, chatId, await synthesizeSpeech(spoken, profile), replyTo);
+            await recordUsage(userId, { synthesizedChars: spoken.length });
+            return;
+        }
+        case 'translate': {
+            await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'typing' });
+            const { translatedText, sourceIsLearning } = await translateForLearner(entry.text, profile);
+            await recordUsage(userId, { translatedChars: entry.text.length });
+            const sent = await sendRichMessage(botToken, chatId, t('translate.result', { text: translatedText }), {
+                ...replyTo,
+                reply_markup: actionKeyboard('translation')
+            });
+            await rememberReply(chatId, sent.result.message_id, {
+                kind: 'translation',
+                text: translatedText,
+                speech: sourceIsLearning ? entry.text : translatedText
+            });
+            return;
+        }
+        case 'explain': {
+            await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'typing' });
+            const result = await explainGrammar(learningText, profile);
+            await recordUsage(userId, { tokens: result.usage.totalTokens });
+            await sendRichMessage(botToken, chatId, t('action.explanation', { text: result.text }), replyTo);
+            return;
+        }
+        case 'save':
+            await handleSaveCommand(botToken, chatId, userId, await pickPhrase(learningText, profile, userId));
+            return;
+        case 'regenerate':
+            await handleAIChat(botToken, chatId, entry.prompt, userId, { regenerate: true });
+            return;
+        default:
+            log('warn', `Unknown reply action: ${action}`);
+    }
+}
+
+// 处理操作按钮，callback_data 格式：act:<listen|translate|explain|save|regenerate>
+async function handleActionCallback(botToken, callbackQuery) {
+    const action = callbackQuery.data.split(':')[1];
+    const userId = callbackQuery.from.id;
+    const { message } = callbackQuery;
+
+    const entry = await recallReply(message.chat.id, message.message_id);
+    if (!entry) {
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: t('action.expired')
+        });
+        return;
+    }
+
+    // 群组中的 AI 回复属于提问的成员，其他成员不能重新生成
+    if (action === 'regenerate' && entry.userId !== undefined && entry.userId !== userId) {
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: t('action.notYours')
+        });
+        return;
+    }
+
+    await apiRequest(botToken, 'answerCallbackQuery', { callback_query_id: callbackQuery.id });
+    log('info', `Running reply action ${action} for user ${userId}`, { kind: entry.kind });
+
+    try {
+        await runAction(botToken, action, entry, message, userId);
+    } catch (error) {
+        log('error', `Reply action ${action} failed for user ${userId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, message.chat.id, t('action.failed', { error: error.message }));
+        });
+    }
+}
+
+module.exports = { handleActionCallback };
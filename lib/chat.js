@@ -0,0 +1,153 @@
+// 多轮 AI 聊天
+const { log } = require('./logger');
+const { apiRequest, safeSendMessage } = require('./telegram');
+const { generate, isLLMConfigured } = require('./llm');
+const { getHistory, appendHistory, dropLastExchange } = require('./conversations');
+const { getMemory, buildContext, updateMemory } = require('./memory');
+const { levelInstruction, reviewLevel } = require('./level');
+const { getProfile, languageName } = require('./settings');
+const { tutorRequestOptions, parseTutorResponse, renderTutorReply } = require('./tutor');
+const { sendChatReply } = require('./voicechat');
+const { getScenarioSession, handleScenarioTurn } = require('./scenario');
+const { actionKeyboard, rememberReply } = require('./replies');
+const { recordUsage, checkQuota } = require('./usage');
+const { t } = require('./i18n');
+
+// 普通聊天的系统提示词：作为学习语言的口语陪练，而不是通用助手
+function partnerInstruction(profile) {
+    const learning = languageName(profile.learningLanguage);
+    const native = languageName(profile.nativeLanguage);
+    return [
+        `You are SpeakMate, a friendly ${learning} speaking partner for a learner whose native language is ${native}.`,
+        `Reply in ${learning}, matching the learner's level, in two to four short conversational sentences, ` +
+        'and usually end with a question that keeps the conversation going.',
+        `If the learner asks about vocabulary or grammar, or clearly cannot follow, explain briefly in ${native}.`,
+        'Do not correct mistakes unless asked; model the correct form naturally in your reply instead.'
+    ].join('\n');
+}
+
+// 处理AI聊天功能，options.regenerate 为 true 时替换上一轮回复而不是追加新一轮对话，
+// options.replyToMessageId 用于群组中引用用户的消息作答
+async function handleAIChat(botToken, chatId, text, userId = chatId, options = {}) {
+    log('info', `Processing AI chat for chat ${chatId}`, { text });
+    
+    // 检查 API Key 是否配置
+    if (!isLLMConfigured()) {
+        log('error', `No LLM provider configured for chat ${chatId}`);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('chat.notConfigured'));
+        });
+        return;
+    }
+
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+        await safeSendMessage(botToken, chatId, quotaError);
+        return;
+    }
+    
+    try {
+        await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'typing' });
+
+        const profile = await getProfile(userId);
+
+        // 进行中的情景练习优先
+        const scenario = await getScenarioSession(chatId, userId);
+        if (scenario) {
+            await handleScenarioTurn(botToken, chatId, userId, scenario, text, profile, options);
+            return;
+        }
+
+        if (options.regenerate) {
+            await dropLastExchange(chatId, userId, text);
+        }
+
+        // 上下文：token 预算内的近期对话，更早的对话以摘要形式和学习者档案一起放入系统提示词
+        const context = buildContext(await getHistory(chatId, userId), await getMemory(chatId, userId));
+        const history = context.entries;
+        
+        // 构建消息数组，按照 Google AI Studio API 格式
+        const messages = [];
+        
+        // 添加历史对话
+        for (const msg of history) {
+            messages.push({
+                role: msg.role,
+                parts: [{ text: msg.text }]
+            });
+        }
+        
+        // 添加当前用户消息
+        messages.push({
+            role: 'user',
+            parts: [{ text: text }]
+        });
+        
+        log('debug', `AI chat history length: ${history.length}`);
+        
+        // 调用大模型，纠错模式下要求返回结构化 JSON
+        const requestOptions = profile.tutorMode
+            ? tutorRequestOptions(profile)
+            : { systemInstruction: partnerInstruction(profile) };
+        // 按学习者的水平调整难度，并附上长期记忆
+        for (const instruction of [levelInstruction(profile), context.instruction]) {
+            if (instruction) {
+                requestOptions.systemInstruction += `\n\n${instruction}`;
+            }
+        }
+        const result = await generate(messages, requestOptions);
+        
+        // 提取回复内容
+        const rawReply = result.text;
+        await recordUsage(userId, { tokens: result.usage.totalTokens });
+        const userEntry = { role: 'user', text };
+        let reply = rawReply || t('chat.noReply');
+        let displayText = reply;
+
+        if (profile.tutorMode && rawReply) {
+            const correction = parseTutorResponse(rawReply);
+            reply = correction.reply || t('chat.noReply');
+            displayText = renderTutorReply(text, { ...correction, reply });
+            // 保存纠错结果，历史中的模型回复只保留对话内容
+            if (correction.parsed) {
+                userEntry.correction = { corrected: correction.corrected, errors: correction.errors };
+            }
+        }
+
+        const extra = { reply_markup: actionKeyboard('chat') };
+        if (options.replyToMessageId) {
+            extra.reply_to_message_id = options.replyToMessageId;
+        }
+        const sent = await sendChatReply(botToken, chatId, userId, displayText, reply, profile, extra);
+        await rememberReply(chatId, sent.result.message_id, { kind: 'chat', text: reply, prompt: text, userId });
+
+        // 更新聊天历史
+        await appendHistory(chatId, userId, [userEntry, { role: 'model', text: reply }]);
+        await updateMemory(chatId, userId, profile);
+        await reviewLevel(botToken, chatId, userId, profile);
+        
+        log('info', `AI chat completed for chat ${chatId}`, { replyLength: reply.length });
+        
+    } catch (error) {
+        log('error', `AI chat error for chat ${chatId}`, error);
+        
+        // 详细的错误信息
+        let errorMessage = t('chat.unavailable');
+        
+        if (error.code === 'API_KEY_INVALID') {
+            errorMessage += `\n\n${t('chat.error.apiKey')}`;
+        } else if (error.code === 'QUOTA_EXCEEDED') {
+            errorMessage += `\n\n${t('chat.error.quota')}`;
+        } else if (error.code === 'BAD_REQUEST' || error.code === 'CONTENT_BLOCKED') {
+            errorMessage += `\n\n${t('chat.error.badRequest')}`;
+        } else {
+            errorMessage += `\n\n${t('chat.error.details', { error: error.message })}`;
+        }
+        
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, errorMessage);
+        });
+    }
+}
+
+module.exports = { handleAIChat };
@@ -0,0 +1,84 @@
+// 离线假客户端，接口与 Google Cloud 客户端一致。
+// 语音内容约定为 UTF-8 文本：控制台把“说出的话”作为语音文件内容，识别结果就是这段文本，
+// 合成的“语音”也是文本本身
+const { EventEmitter } = require('events');
+const { loadFixtures } = require('../fixtures');
+
+// 按字符范围粗略判断语言
+function detectLanguage(text) {
+    if (/[぀-ヿ]/.test(text)) {
+        return 'ja';
+    }
+    if (/[가-힯]/.test(text)) {
+        return 'ko';
+    }
+    if (/[一-鿿]/.test(text)) {
+        return 'zh-CN';
+    }
+    return 'en';
+}
+
+function createFakeClients() {
+    const fixtures = loadFixtures();
+
+    const translationClient = {
+        async translateText({ contents, targetLanguageCode }) {
+            return [{
+                translations: contents.map(text => ({
+                    translatedText: fixtures.translations[text]?.[targetLanguageCode] ?? `[${targetLanguageCode}] ${text}`,
+                    detectedLanguageCode: detectLanguage(text)
+                }))
+            }];
+        }
+    };
+
+    function recognizeText(content) {
+        const transcript = Buffer.from(content, 'base64').toString('utf8').trim();
+        if (!transcript) {
+            return { results: [] };
+        }
+        // 每个词按 0.5 秒计时，置信度固定
+        const words = transcript.split(/\s+/).map((word, index) => ({
+            word,
+            confidence: 0.9,
+            startTime: { seconds: index * 0.5 },
+            endTime: { seconds: (index + 1) * 0.5 }
+        }));
+        return {
+            results: [{
+                alternatives: [{ transcript, confidence: 0.9, words }],
+                languageCode: detectLanguage(transcript).toLowerCase()
+            }],
+            totalBilledTime: { seconds: Math.ceil(words.length / 2) }
+        };
+    }
+
+    const speechClient = {
+        async recognize({ audio }) {
+            return [recognizeText(audio.content)];
+        },
+
+        // 模拟长音频识别操作：先回报进度，再返回结果
+        async longRunningRecognize({ audio }) {
+            const operation = new EventEmitter();
+            operation.promise = async () => {
+                for (const progressPercent of [30, 60, 100]) {
+                    operation.emit('progress', { progressPercent });
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+                return [recognizeText(audio.content)];
+            };
+            return [operation];
+        }
+    };
+
+    const ttsClient = {
+        async synthesizeSpeech({ input }) {
+            return [{ audioContent: Buffer.from(input.text, 'utf8') }];
+        }
+    };
+
+    return { translationClient, speechClient, ttsClient };
+}
+
+module.exports = { createFakeClients };
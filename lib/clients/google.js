@@ -0,0 +1,15 @@
+const { TranslationServiceClient } = require('@google-cloud/translate');
+const speech = require('@google-cloud/speech');
+const { TextToSpeechClient } = require('@google-cloud/text-to-speech');
+
+// 初始化Google Cloud客户端（保持服务账号认证）
+// 语音识别使用 v1p1beta1，以支持 MP3 编码和 alternativeLanguageCodes 多语言检测
+function createGoogleClients() {
+    return {
+        translationClient: new TranslationServiceClient(),
+        speechClient: new speech.v1p1beta1.SpeechClient(),
+        ttsClient: new TextToSpeechClient()
+    };
+}
+
+module.exports = { createGoogleClients };
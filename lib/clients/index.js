@@ -0,0 +1,20 @@
+// 翻译、语音识别和语音合成客户端
+//
+// 通过 CLOUD_CLIENTS 环境变量选择实现：
+//   google（默认）：Google Cloud 客户端，使用服务账号认证
+//   fake：离线假实现，不访问网络，用于本地控制台调试，固定返回内容见 ../fixtures.js
+const projectId = process.env.GCLOUD_PROJECT;
+
+const BACKENDS = {
+    google: () => require('./google').createGoogleClients(),
+    fake: () => require('./fake').createFakeClients()
+};
+
+const backend = process.env.CLOUD_CLIENTS || 'google';
+if (!BACKENDS[backend]) {
+    throw new Error(`Unknown cloud clients backend: ${backend} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+}
+
+const { translationClient, speechClient, ttsClient } = BACKENDS[backend]();
+
+module.exports = { projectId, translationClient, speechClient, ttsClient };
@@ -0,0 +1,41 @@
+// 命令解析：支持 /cmd 参数 和群组中的 /cmd@BotName 参数 两种写法
+const { apiRequest } = require('./telegram');
+const { LOCALES, DEFAULT_LOCALE, t } = require('./i18n');
+const { log } = require('./logger');
+
+// 机器人支持的命令，其余以 / 开头的消息按普通聊天处理
+const COMMANDS = [
+    '/start', '/help', '/reset', '/memory', '/usage', '/settings', '/level', '/practice', '/scenario',
+    '/tutor', '/save', '/review', '/vocab', '/voicechat', '/subscribe', '/export', '/group', '/translate', '/tts'
+];
+
+// 不是命令时返回 null；命令发给其他机器人时 forMe 为 false，带 @BotName 时 targeted 为 true
+function parseCommand(text, botUsername) {
+    const match = /^\/([a-zA-Z0-9_]+)(?:@([a-zA-Z0-9_]+))?(?:\s+([\s\S]*))?$/.exec(text || '');
+    if (!match) {
+        return null;
+    }
+
+    const [, name, target, args = ''] = match;
+    const forMe = !target || !botUsername || target.toLowerCase() === botUsername.toLowerCase();
+    return { command: `/${name.toLowerCase()}`, args: args.trim(), forMe, targeted: Boolean(target) };
+}
+
+// 注册 Telegram 命令菜单：每种界面语言一份（按 language_code 区分），
+// 以及 DEFAULT_LOCALE 的一份供其他语言的用户使用；/start 不在菜单中显示
+async function setBotCommands(botToken) {
+    const commandsFor = locale => COMMANDS
+        .filter(command => command !== '/start')
+        .map(command => ({ command: command.slice(1), description: t(`commands.${command.slice(1)}`, {}, locale) }));
+
+    await apiRequest(botToken, 'setMyCommands', { commands: commandsFor(DEFAULT_LOCALE) });
+    for (const locale of Object.keys(LOCALES)) {
+        await apiRequest(botToken, 'setMyCommands', {
+            commands: commandsFor(locale),
+            language_code: locale.split('-')[0]
+        });
+    }
+    log('info', 'Bot commands registered', { locales: Object.keys(LOCALES) });
+}
+
+module.exports = { COMMANDS, parseCommand, setBotCommands };
@@ -0,0 +1,131 @@
+// 控制台传输方式：在终端中模拟 Telegram Bot API，不访问网络
+// 机器人发出的消息打印到终端，语音等文件保存到 outputDir；用户发送的语音通过 addFile 注册
+const fs = require('fs');
+const path = require('path');
+
+// Telegram HTML 转为终端可读的纯文本
+function htmlToText(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+const CONSOLE_BOT = { id: 1000, username: 'SpeakMateBot' };
+
+function createConsoleTransport({ outputDir, write = line => console.log(line) }) {
+    let nextMessageId = 1;
+    let nextFileId = 1;
+    const files = new Map();
+    // 各消息上的按钮，以及最近一条带按钮的消息，供 :tap 使用
+    const keyboards = new Map();
+    let lastKeyboardId = null;
+
+    function printKeyboard(messageId, replyMarkup) {
+        const buttons = (replyMarkup?.inline_keyboard || []).flat();
+        if (buttons.length === 0) {
+            return;
+        }
+        keyboards.set(messageId, buttons);
+        lastKeyboardId = messageId;
+        write(buttons.map((button, index) => `[${index + 1}] ${button.text}`).join('  '));
+    }
+
+    function addFile(buffer) {
+        const fileId = `console-file-${nextFileId++}`;
+        files.set(fileId, buffer);
+        return fileId;
+    }
+
+    const transport = {
+        name: 'console',
+
+        async call(botToken, methodName, params) {
+            switch (methodName) {
+                case 'sendMessage': {
+                    const messageId = nextMessageId++;
+                    write(`🤖 #${messageId} ${htmlToText(params.text)}`);
+                    printKeyboard(messageId, params.reply_markup);
+                    return { ok: true, result: { message_id: messageId, chat: { id: params.chat_id }, text: params.text } };
+                }
+                case 'editMessageText':
+                    write(`✏️  #${params.message_id} ${htmlToText(params.text)}`);
+                    printKeyboard(params.message_id, params.reply_markup);
+                    return { ok: true, result: { message_id: params.message_id, text: params.text } };
+                case 'editMessageReplyMarkup':
+                    printKeyboard(params.message_id, params.reply_markup);
+                    return { ok: true, result: { message_id: params.message_id } };
+                case 'answerCallbackQuery':
+                    if (params.text) {
+                        write(`💬 ${params.text}`);
+                    }
+                    return { ok: true, result: true };
+                case 'getFile':
+                    if (!files.has(params.file_id)) {
+                        return { ok: false, error_code: 400, description: 'Bad Request: invalid file_id' };
+                    }
+                    return { ok: true, result: { file_id: params.file_id, file_path: params.file_id } };
+                case 'sendVoice': {
+                    // 通过 file_id 重发已上传的语音
+                    const messageId = nextMessageId++;
+                    write(`🔊 #${messageId} ${params.voice}`);
+                    return { ok: true, result: { message_id: messageId, voice: { file_id: params.voice } } };
+                }
+                case 'sendChatAction':
+                    return { ok: true, result: true };
+                case 'sendPoll': {
+                    const messageId = nextMessageId++;
+                    const options = params.options.map((option, index) =>
+                        `  ${index === params.correct_option_id ? '✓' : '○'} ${option}`);
+                    write([`📊 #${messageId} ${params.question}`, ...options].join('\n'));
+                    if (params.explanation) {
+                        write(`  💡 ${params.explanation}`);
+                    }
+                    return { ok: true, result: { message_id: messageId, chat: { id: params.chat_id } } };
+                }
+                case 'getMe':
+                    return { ok: true, result: { id: CONSOLE_BOT.id, is_bot: true, first_name: 'SpeakMate', username: CONSOLE_BOT.username } };
+                case 'getChatMember':
+                    // 控制台中的用户即聊天的创建者
+                    return { ok: true, result: { status: 'creator', user: { id: params.user_id } } };
+                default:
+                    write(`⚙️  ${methodName} ${JSON.stringify(params)}`);
+                    return { ok: true, result: true };
+            }
+        },
+
+        async upload(botToken, methodName, fields, file) {
+            const messageId = nextMessageId++;
+            fs.mkdirSync(outputDir, { recursive: true });
+            const filePath = path.join(outputDir, `${messageId}-${file.filename}`);
+            fs.writeFileSync(filePath, file.buffer);
+
+            const fileId = addFile(file.buffer);
+            write(`📎 #${messageId} ${methodName}: ${filePath} (${file.buffer.length} bytes)`);
+            if (fields.caption) {
+                write(htmlToText(fields.caption));
+            }
+            printKeyboard(messageId, fields.reply_markup);
+            return {
+                ok: true,
+                result: { message_id: messageId, chat: { id: fields.chat_id }, [file.field]: { file_id: fileId } }
+            };
+        },
+
+        async download(botToken, filePath) {
+            return files.get(filePath);
+        }
+    };
+
+    // 指定消息（默认最近一条带按钮的消息）上第 n 个按钮（从 1 开始）
+    function button(n, messageId = lastKeyboardId) {
+        const target = keyboards.get(messageId)?.[n - 1];
+        return target ? { messageId, data: target.callback_data, text: target.text } : null;
+    }
+
+    return { transport, addFile, button };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,72 @@
+// 聊天历史存储，私聊按 chatId 保存，群组中按 chatId:userId 为每个成员单独保存，写入时刷新过期时间
+const { getStore } = require('./store');
+
+const NAMESPACE = 'conversations';
+// 保存的记录条数上限，供 /export 导出；发给模型的上下文按 token 预算截取，见 ./memory.js
+const MAX_HISTORY_ENTRIES = parseInt(process.env.CHAT_HISTORY_LIMIT || '200', 10);
+const CHAT_TTL_SECONDS = parseInt(process.env.CHAT_TTL_SECONDS || '604800', 10); // 默认 7 天
+
+// 私聊中 chatId 与 userId 相同，沿用原来的 chatId 键
+function historyKey(chatId, userId = chatId) {
+    return String(chatId) === String(userId) ? String(chatId) : `${chatId}:${userId}`;
+}
+
+async function getHistory(chatId, userId = chatId) {
+    const history = await getStore().get(NAMESPACE, historyKey(chatId, userId));
+    return Array.isArray(history) ? history : [];
+}
+
+// 追加对话记录，保持最近 MAX_HISTORY_ENTRIES 条
+async function appendHistory(chatId, userId, entries) {
+    const history = await getHistory(chatId, userId);
+    const now = Date.now();
+    const updatedHistory = [...history, ...entries.map(entry => ({ ...entry, at: now }))]
+        .slice(-MAX_HISTORY_ENTRIES);
+
+    await getStore().set(NAMESPACE, historyKey(chatId, userId), updatedHistory, {
+        ttlMs: CHAT_TTL_SECONDS * 1000
+    });
+    return updatedHistory;
+}
+
+// 重新生成回复时移除最近一轮对话，只有最后一条用户消息与 text 相同时才移除
+async function dropLastExchange(chatId, userId, text) {
+    const history = await getHistory(chatId, userId);
+    const index = history.length - 2;
+    if (index < 0 || history[index].role !== 'user' || history[index].text !== text) {
+        return;
+    }
+
+    await getStore().set(NAMESPACE, historyKey(chatId, userId), history.slice(0, index), {
+        ttlMs: CHAT_TTL_SECONDS * 1000
+    });
+}
+
+async function clearHistory(chatId, userId = chatId) {
+    await getStore().delete(NAMESPACE, historyKey(chatId, userId));
+}
+
+// 清除整个聊天的历史，包括群组中每个成员的历史
+async function clearChatHistories(chatId) {
+    const keys = (await getStore().list(NAMESPACE, { prefix: `${chatId}:` })).map(entry => entry.key);
+    if (await getStore().get(NAMESPACE, String(chatId)) !== null) {
+        keys.push(String(chatId));
+    }
+    await Promise.all(keys.map(key => getStore().delete(NAMESPACE, key)));
+    return keys.length;
+}
+
+async function countConversations() {
+    return getStore().count(NAMESPACE);
+}
+
+module.exports = {
+    historyKey,
+    getHistory,
+    appendHistory,
+    dropLastExchange,
+    clearHistory,
+    clearChatHistories,
+    countConversations,
+    CHAT_TTL_SECONDS
+};
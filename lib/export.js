@@ -0,0 +1,186 @@
+// 导出对话记录：原文、母语翻译、时间和语法纠错笔记，支持 Markdown、HTML 和 CSV
+const { apiRequest, safeSendMessage, sendDocument } = require('./telegram');
+const { getHistory } = require('./conversations');
+const { translateTexts } = require('./translation');
+const { escapeHtml } = require('./format');
+const { getProfile, languageLabel, translationLanguageCode } = require('./settings');
+const { recordUsage, checkQuota } = require('./usage');
+const { t, currentLocale } = require('./i18n');
+const { log } = require('./logger');
+
+const FORMATS = {
+    md: { extension: 'md', contentType: 'text/markdown', render: renderMarkdown },
+    html: { extension: 'html', contentType: 'text/html', render: renderHtml },
+    csv: { extension: 'csv', contentType: 'text/csv', render: renderCsv }
+};
+
+const FORMAT_ALIASES = { markdown: 'md', htm: 'html' };
+
+function roleLabel(role) {
+    return ['user', 'model'].includes(role) ? t(`export.role.${role}`) : role;
+}
+
+// 时间统一按 UTC 显示，例如 2026-10-19 14:03 UTC
+function formatTime(at) {
+    return at ? `${new Date(at).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '';
+}
+
+function grammarNotes(entry) {
+    return (entry.correction?.errors || [])
+        .map(error => t('common.labelValue', { label: `${error.original} → ${error.correction}`, value: error.explanation }));
+}
+
+// 为每条记录附上母语翻译，原文已经是母语时不翻译
+async function translateEntries(history, profile) {
+    const nativeCode = translationLanguageCode(profile.nativeLanguage);
+    const translations = await translateTexts(history.map(entry => entry.text), nativeCode);
+    return history.map((entry, index) => {
+        const { translatedText, detectedLanguageCode = '' } = translations[index];
+        const isNative = detectedLanguageCode.split('-')[0] === nativeCode.split('-')[0];
+        return { ...entry, translation: isNative ? '' : translatedText };
+    });
+}
+
+// 文件开头的导出信息
+function metaLines(entries, meta) {
+    return [
+        t('export.exportedAt', { time: formatTime(meta.exportedAt) }),
+        t('export.learningLanguage', { language: languageLabel(meta.profile.learningLanguage) }),
+        t('export.nativeLanguage', { language: languageLabel(meta.profile.nativeLanguage) }),
+        t('export.entries', { count: entries.length })
+    ];
+}
+
+function renderMarkdown(entries, meta) {
+    const lines = [
+        `# ${t('export.title')}`,
+        '',
+        ...metaLines(entries, meta).map(line => `- ${line}`)
+    ];
+    for (const entry of entries) {
+        lines.push('', `### ${roleLabel(entry.role)} · ${formatTime(entry.at)}`, '', entry.text);
+        if (entry.translation) {
+            lines.push('', `> 🌐 ${entry.translation.replace(/\n/g, '\n> ')}`);
+        }
+        const notes = grammarNotes(entry);
+        if (entry.correction?.corrected && notes.length > 0) {
+            lines.push('', t('common.labelValue', { label: `✍️ **${t('export.grammarNotes')}**`, value: entry.correction.corrected }), '',
+                ...notes.map(note => `- ${note}`));
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function renderHtml(entries, meta) {
+    const turns = entries.map(entry => {
+        const parts = [
+            `<div class="meta">${escapeHtml(roleLabel(entry.role))} · ${escapeHtml(formatTime(entry.at))}</div>`,
+            `<p>${escapeHtml(entry.text).replace(/\n/g, '<br>')}</p>`
+        ];
+        if (entry.translation) {
+            parts.push(`<p class="translation">🌐 ${escapeHtml(entry.translation).replace(/\n/g, '<br>')}</p>`);
+        }
+        const notes = grammarNotes(entry);
+        if (entry.correction?.corrected && notes.length > 0) {
+            parts.push(
+                `<div class="notes">${t('common.labelValue', {
+                    label: `<strong>✍️ ${escapeHtml(t('export.grammarNotes'))}</strong>`,
+                    value: escapeHtml(entry.correction.corrected)
+                })}`,
+                `<ul>${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul></div>`
+            );
+        }
+        return `<section class="turn ${escapeHtml(entry.role)}">\n${parts.join('\n')}\n</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="${currentLocale()}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('export.title'))}</title>
+<style>
+body { font-family: sans-serif; max-width: 760px; margin: 2em auto; padding: 0 1em; line-height: 1.6; color: #222; }
+.turn { border-radius: 8px; padding: 0.6em 1em; margin: 0.8em 0; }
+.turn.user { background: #eef6ff; }
+.turn.model { background: #f5f5f5; }
+.meta { font-size: 0.85em; color: #666; }
+.translation { color: #555; border-left: 3px solid #ccc; padding-left: 0.8em; }
+.notes { background: #fff8e1; border-radius: 6px; padding: 0.4em 0.8em; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('export.title'))}</h1>
+<p>${metaLines(entries, meta).map(escapeHtml).join('<br>\n')}</p>
+${turns.join('\n')}
+</body>
+</html>
+`;
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 开头加 BOM，Excel 打开时才能正确识别 UTF-8 中文
+function renderCsv(entries) {
+    const rows = [['time', 'role', 'text', 'translation', 'corrected', 'grammar_notes']];
+    for (const entry of entries) {
+        rows.push([
+            formatTime(entry.at),
+            entry.role,
+            entry.text,
+            entry.translation,
+            entry.correction?.corrected || '',
+            grammarNotes(entry).join('\n')
+        ]);
+    }
+    return `\uFEFF${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+// 处理 /export [md|html|csv]，默认导出 Markdown
+async function handleExportCommand(botToken, chatId, userId, args) {
+    const requested = (args || 'md').toLowerCase();
+    const format = FORMAT_ALIASES[requested] || requested;
+    if (!FORMATS[format]) {
+        await safeSendMessage(botToken, chatId, t('export.usage'));
+        return;
+    }
+
+    const history = await getHistory(chatId, userId);
+    if (history.length === 0) {
+        await safeSendMessage(botToken, chatId, t('export.empty'));
+        return;
+    }
+
+    const characters = history.reduce((total, entry) => total + entry.text.length, 0);
+    const quotaError = await checkQuota(userId, { characters });
+    if (quotaError) {
+        await safeSendMessage(botToken, chatId, quotaError);
+        return;
+    }
+
+    log('info', `Exporting conversation for chat ${chatId}`, { format, entries: history.length });
+    try {
+        await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'upload_document' });
+
+        const profile = await getProfile(userId);
+        const entries = await translateEntries(history, profile);
+        await recordUsage(userId, { translatedChars: characters });
+
+        const exportedAt = Date.now();
+        const { extension, contentType, render } = FORMATS[format];
+        const content = render(entries, { profile, exportedAt });
+        const filename = `speakmate-${new Date(exportedAt).toISOString().slice(0, 10)}.${extension}`;
+        await sendDocument(botToken, chatId, Buffer.from(content, 'utf8'), filename, contentType, {
+            caption: t('export.caption', { count: entries.length })
+        });
+    } catch (error) {
+        log('error', `Conversation export failed for chat ${chatId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('export.failed', { error: error.message }));
+        });
+    }
+}
+
+module.exports = { handleExportCommand };
@@ -0,0 +1,29 @@
+// 离线假实现使用的固定返回内容，从 FAKE_FIXTURES 指定的 JSON 文件读取，例如：
+//   {
+//     "translations": { "你好": { "en": "Hello" } },
+//     "replies": [{ "match": "weather", "reply": "It's sunny today!" }]
+//   }
+// translations 按原文和目标语言查找；replies 按顺序用 match（不区分大小写的正则）匹配用户最后一条消息
+const fs = require('fs');
+const { log } = require('./logger');
+
+let fixtures = null;
+
+function loadFixtures() {
+    if (fixtures) {
+        return fixtures;
+    }
+
+    const file = process.env.FAKE_FIXTURES;
+    fixtures = { translations: {}, replies: [] };
+    if (file) {
+        fixtures = { ...fixtures, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        log('info', `Loaded fixtures from ${file}`, {
+            translations: Object.keys(fixtures.translations).length,
+            replies: fixtures.replies.length
+        });
+    }
+    return fixtures;
+}
+
+module.exports = { loadFixtures };
@@ -0,0 +1,229 @@
+// 将模型输出的 Markdown 转换为 Telegram HTML，并按 Telegram 长度限制切分长消息
+
+// Telegram 单条消息的文本长度上限
+const MESSAGE_LIMIT = 4096;
+
+const FENCE = /^\s*```\s*([\w+#-]*)\s*$/;
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// 取出行内代码，避免其中的符号被当作格式处理
+function extractInlineCode(text, codes) {
+    return text.replace(/`([^`\n]+)`/g, (_, code) => {
+        codes.push(code);
+        return `\u0000${codes.length - 1}\u0000`;
+    });
+}
+
+// 行内格式：粗体、斜体、删除线、链接和行内代码
+// 单个下划线只在单词边界处视为斜体，避免误伤 snake_case 和 API_KEY 之类的文本
+function convertInline(text) {
+    const codes = [];
+    let out = escapeHtml(extractInlineCode(text, codes));
+
+    out = out
+        .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g,
+            (_, label, url) => `<a href="${url.replace(/"/g, '&quot;')}">${label}</a>`)
+        .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, '<b>$1</b>')
+        .replace(/__(?=\S)([^\n]*?\S)__/g, '<b>$1</b>')
+        .replace(/~~(?=\S)([^\n]*?\S)~~/g, '<s>$1</s>')
+        .replace(/(^|[^\w*])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![\w*])/g, '$1<i>$2</i>')
+        .replace(/(^|[^\w])_(?=[^\s_])([^_\n]*?[^\s_])_(?!\w)/g, '$1<i>$2</i>');
+
+    return out.replace(PLACEHOLDER, (_, index) => `<code>${escapeHtml(codes[index])}</code>`);
+}
+
+// 去掉行内格式符号，保留文字
+function stripInline(text) {
+    const codes = [];
+    const out = extractInlineCode(text, codes)
+        .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, '$1 ($2)')
+        .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, '$1')
+        .replace(/__(?=\S)([^\n]*?\S)__/g, '$1')
+        .replace(/~~(?=\S)([^\n]*?\S)~~/g, '$1')
+        .replace(/(^|[^\w*])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![\w*])/g, '$1$2')
+        .replace(/(^|[^\w])_(?=[^\s_])([^_\n]*?[^\s_])_(?!\w)/g, '$1$2');
+
+    return out.replace(PLACEHOLDER, (_, index) => codes[index]);
+}
+
+// 逐行处理块级格式，inline 和 code 分别决定行内文本和代码块的输出方式
+function convertBlocks(markdown, { inline, code, quote }) {
+    const out = [];
+    let codeLines = null;
+    let codeLanguage = '';
+    let quoteLines = [];
+
+    const flushQuote = () => {
+        if (quoteLines.length > 0) {
+            out.push(quote(quoteLines));
+            quoteLines = [];
+        }
+    };
+
+    for (const line of markdown.split('\n')) {
+        const fence = line.match(FENCE);
+
+        if (codeLines) {
+            if (fence && !fence[1]) {
+                out.push(code(codeLines.join('\n'), codeLanguage));
+                codeLines = null;
+            } else {
+                codeLines.push(line);
+            }
+            continue;
+        }
+
+        if (fence) {
+            flushQuote();
+            codeLines = [];
+            codeLanguage = fence[1];
+            continue;
+        }
+
+        const quoted = line.match(/^>\s?(.*)$/);
+        if (quoted) {
+            quoteLines.push(inline(quoted[1]));
+            continue;
+        }
+        flushQuote();
+
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+
+        if (heading) {
+            out.push(inline(`**${heading[1].replace(/\*\*/g, '')}**`));
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            out.push('──────────');
+        } else if (bullet) {
+            out.push(`${bullet[1]}• ${inline(bullet[2])}`);
+        } else {
+            out.push(inline(line));
+        }
+    }
+
+    flushQuote();
+    // 未闭合的代码块也照常输出
+    if (codeLines) {
+        out.push(code(codeLines.join('\n'), codeLanguage));
+    }
+    return out.join('\n');
+}
+
+function markdownToHtml(markdown) {
+    return convertBlocks(markdown, {
+        inline: convertInline,
+        code: (body, language) => language
+            ? `<pre><code class="language-${escapeHtml(language)}">${escapeHtml(body)}</code></pre>`
+            : `<pre>${escapeHtml(body)}</pre>`,
+        quote: lines => `<blockquote>${lines.join('\n')}</blockquote>`
+    });
+}
+
+function markdownToPlain(markdown) {
+    return convertBlocks(markdown, {
+        inline: stripInline,
+        code: body => body,
+        quote: lines => lines.map(line => `│ ${line}`).join('\n')
+    });
+}
+
+// 按段落和代码块切分，代码块作为整体，不会被拆到两条消息中间
+function splitBlocks(text) {
+    const blocks = [];
+    let current = [];
+    let inCode = false;
+
+    const flush = () => {
+        if (current.length > 0) {
+            blocks.push(current.join('\n'));
+            current = [];
+        }
+    };
+
+    for (const line of text.split('\n')) {
+        if (FENCE.test(line)) {
+            if (!inCode) {
+                flush();
+            }
+            current.push(line);
+            if (inCode) {
+                flush();
+            }
+            inCode = !inCode;
+            continue;
+        }
+        if (!inCode && line.trim() === '') {
+            flush();
+            continue;
+        }
+        current.push(line);
+    }
+    flush();
+    return blocks;
+}
+
+// 在空白处截断，找不到空白时硬截断
+function hardSplit(text, limit) {
+    const pieces = [];
+    let rest = text;
+    while (rest.length > limit) {
+        let cut = rest.lastIndexOf(' ', limit);
+        if (cut < limit / 2) {
+            cut = limit;
+        }
+        pieces.push(rest.slice(0, cut));
+        rest = rest.slice(cut).replace(/^ /, '');
+    }
+    pieces.push(rest);
+    return pieces;
+}
+
+// 将若干片段依次拼接，每段不超过 limit
+function pack(units, separator, limit) {
+    const chunks = [];
+    let current = '';
+    for (const unit of units) {
+        if (current && current.length + separator.length + unit.length > limit) {
+            chunks.push(current);
+            current = unit;
+        } else {
+            current = current ? `${current}${separator}${unit}` : unit;
+        }
+    }
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+function splitOversized(block, limit) {
+    const lines = block.split('\n');
+
+    // 过长的代码块按行拆分，每段重新补上围栏
+    if (FENCE.test(lines[0])) {
+        const open = lines[0].trim();
+        const body = FENCE.test(lines[lines.length - 1]) && lines.length > 1 ? lines.slice(1, -1) : lines.slice(1);
+        const budget = limit - open.length - '\n\n```'.length;
+        const units = body.flatMap(line => hardSplit(line, budget));
+        return pack(units, '\n', budget).map(piece => `${open}\n${piece}\n\`\`\``);
+    }
+
+    const units = lines.flatMap(line => hardSplit(line, limit));
+    return pack(units, '\n', limit);
+}
+
+function splitMessage(text, limit = MESSAGE_LIMIT) {
+    const blocks = splitBlocks(text)
+        .flatMap(block => block.length > limit ? splitOversized(block, limit) : [block]);
+    const chunks = pack(blocks, '\n\n', limit);
+    return chunks.length > 0 ? chunks : [''];
+}
+
+module.exports = { escapeHtml, markdownToHtml, markdownToPlain, splitMessage, MESSAGE_LIMIT };
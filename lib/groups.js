@@ -0,0 +1,252 @@
+// 群组支持：判断消息是否发给机器人，以及管理员可修改的群组设置（自动翻译等）
+const { getStore } = require('./store');
+const { apiRequest } = require('./telegram');
+const { translateForLearner } = require('./translation');
+const { COMMANDS, parseCommand } = require('./commands');
+const { LANGUAGES, languageLabel } = require('./settings');
+const { isAllowed, recordUsage, checkQuota } = require('./usage');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+const NAMESPACE = 'groups';
+
+// 自动翻译的消息以此开头，回复这些消息不算在和机器人对话
+const AUTO_TRANSLATION_PREFIX = '🌐';
+
+const DEFAULT_GROUP_SETTINGS = {
+    autoTranslate: false,
+    // 自动翻译的语言对：其他语言的消息译为 learningLanguage，learningLanguage 的消息译回 nativeLanguage
+    nativeLanguage: 'zh-CN',
+    learningLanguage: 'en-US',
+    // 开启自动翻译的管理员，翻译用量计入该用户
+    enabledBy: null
+};
+
+// 设置项的名称为语言包中 group.field.<设置项> 的文案
+const FIELDS = ['nativeLanguage', 'learningLanguage'];
+
+function fieldLabel(field) {
+    return t(`group.field.${field}`);
+}
+
+function isGroupChat(chat) {
+    return chat.type === 'group' || chat.type === 'supergroup';
+}
+
+// 群组中只回应 @机器人、回复机器人的消息和发给本机器人的命令，不带 @BotName 的命令可能是发给
+// 群里其他机器人的，只接受本机器人支持的命令；返回去掉 @提及 后的消息，与机器人无关时返回 null
+function addressedMessage(message, bot) {
+    const field = message.text !== undefined ? 'text' : 'caption';
+    const text = message[field] || '';
+    const entities = (field === 'text' ? message.entities : message.caption_entities) || [];
+
+    const command = parseCommand(text, bot.username);
+    if (command) {
+        return command.forMe && (command.targeted || COMMANDS.includes(command.command)) ? message : null;
+    }
+
+    const handle = `@${bot.username}`.toLowerCase();
+    const mentions = entities.filter(entity =>
+        (entity.type === 'mention' && text.substr(entity.offset, entity.length).toLowerCase() === handle)
+        || (entity.type === 'text_mention' && entity.user?.id === bot.id));
+    const repliedTo = message.reply_to_message;
+    const repliedToBot = repliedTo?.from?.id === bot.id
+        && !(repliedTo.text || '').startsWith(AUTO_TRANSLATION_PREFIX);
+    if (mentions.length === 0 && !repliedToBot) {
+        return null;
+    }
+
+    // 从后往前删除提及，前面实体的偏移量不受影响
+    let stripped = text;
+    for (const entity of [...mentions].sort((a, b) => b.offset - a.offset)) {
+        stripped = stripped.slice(0, entity.offset) + stripped.slice(entity.offset + entity.length);
+    }
+    return { ...message, [field]: stripped.replace(/[ \t]{2,}/g, ' ').trim() };
+}
+
+async function getGroupSettings(chatId) {
+    const stored = await getStore().get(NAMESPACE, String(chatId));
+    return { ...DEFAULT_GROUP_SETTINGS, ...stored };
+}
+
+async function updateGroupSettings(chatId, patch) {
+    const settings = { ...(await getGroupSettings(chatId)), ...patch };
+    await getStore().set(NAMESPACE, String(chatId), settings);
+    return settings;
+}
+
+// 群主和管理员可以修改群组设置；以群组身份匿名发言的管理员同样视为管理员
+async function isGroupAdmin(botToken, chatId, userId, senderChat) {
+    if (senderChat?.id === chatId) {
+        return true;
+    }
+    const response = await apiRequest(botToken, 'getChatMember', { chat_id: chatId, user_id: userId });
+    return ['creator', 'administrator'].includes(response.result.status);
+}
+
+function buildGroupSettingsText(settings) {
+    return t('group.settingsText', {
+        autoTranslate: t(settings.autoTranslate ? 'group.autoTranslateOn' : 'group.autoTranslateOff'),
+        fields: FIELDS
+            .map(field => t('common.labelValue', { label: fieldLabel(field), value: languageLabel(settings[field]) }))
+            .join('\n')
+    });
+}
+
+function buildGroupMainKeyboard(settings) {
+    return {
+        inline_keyboard: [
+            [{ text: t(settings.autoTranslate ? 'group.disable' : 'group.enable'), callback_data: 'group:toggle' }],
+            ...FIELDS.map(field => [{ text: fieldLabel(field), callback_data: `group:menu:${field}` }])
+        ]
+    };
+}
+
+function buildGroupFieldKeyboard(field, settings) {
+    const buttons = LANGUAGES.map(({ code, label }) => ({
+        text: `${settings[field] === code ? '✅ ' : ''}${label}`,
+        callback_data: `group:set:${field}:${code}`
+    }));
+
+    // 每行两个按钮
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) {
+        rows.push(buttons.slice(i, i + 2));
+    }
+    rows.push([{ text: t('common.back'), callback_data: 'group:main' }]);
+    return { inline_keyboard: rows };
+}
+
+// 处理 /group 命令，仅限群组管理员
+async function handleGroupCommand(botToken, message) {
+    const chatId = message.chat.id;
+    if (!isGroupChat(message.chat)) {
+        await apiRequest(botToken, 'sendMessage', { chat_id: chatId, text: t('group.groupOnly') });
+        return;
+    }
+
+    if (!(await isGroupAdmin(botToken, chatId, message.from?.id, message.sender_chat))) {
+        await apiRequest(botToken, 'sendMessage', {
+            chat_id: chatId,
+            text: t('group.adminOnly'),
+            reply_to_message_id: message.message_id
+        });
+        return;
+    }
+
+    log('info', `Sending group settings menu to chat ${chatId}`);
+    const settings = await getGroupSettings(chatId);
+    await apiRequest(botToken, 'sendMessage', {
+        chat_id: chatId,
+        text: buildGroupSettingsText(settings),
+        reply_markup: buildGroupMainKeyboard(settings)
+    });
+}
+
+// 处理群组设置的按钮点击，callback_data 格式：
+//   group:main | group:toggle | group:menu:<field> | group:set:<field>:<language>
+async function handleGroupCallback(botToken, callbackQuery) {
+    const [, action, field, value] = callbackQuery.data.split(':');
+    const userId = callbackQuery.from.id;
+    const { message } = callbackQuery;
+    const chatId = message.chat.id;
+
+    if (!(await isGroupAdmin(botToken, chatId, userId))) {
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: t('group.adminOnly'),
+            show_alert: true
+        });
+        return;
+    }
+
+    if ((action === 'menu' || action === 'set') && !FIELDS.includes(field)) {
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: t('settings.unknownField')
+        });
+        return;
+    }
+
+    let settings = await getGroupSettings(chatId);
+    let notice;
+
+    if (action === 'toggle') {
+        const autoTranslate = !settings.autoTranslate;
+        settings = await updateGroupSettings(chatId, { autoTranslate, enabledBy: autoTranslate ? userId : null });
+        notice = t(autoTranslate ? 'group.enabled' : 'group.disabled');
+        log('info', `Group auto-translate ${autoTranslate ? 'enabled' : 'disabled'} in chat ${chatId}`, { userId });
+    } else if (action === 'set') {
+        if (!LANGUAGES.some(language => language.code === value)) {
+            await apiRequest(botToken, 'answerCallbackQuery', {
+                callback_query_id: callbackQuery.id,
+                text: t('settings.staleOption')
+            });
+            return;
+        }
+        settings = await updateGroupSettings(chatId, { [field]: value });
+        notice = t('settings.updated', { field: fieldLabel(field) });
+        log('info', `Group settings updated for chat ${chatId}`, { field, value, userId });
+    }
+
+    const reply_markup = action === 'menu'
+        ? buildGroupFieldKeyboard(field, settings)
+        : buildGroupMainKeyboard(settings);
+
+    await apiRequest(botToken, 'editMessageText', {
+        chat_id: chatId,
+        message_id: message.message_id,
+        text: buildGroupSettingsText(settings),
+        reply_markup
+    });
+    await apiRequest(botToken, 'answerCallbackQuery', {
+        callback_query_id: callbackQuery.id,
+        text: notice
+    });
+}
+
+// 自动翻译群内与机器人无关的文本消息，出错或超出配额时不打扰群成员，只记录日志
+async function handleGroupAutoTranslate(botToken, message) {
+    const chatId = message.chat.id;
+    const text = message.text || '';
+    if (!text || text.startsWith('/') || message.from?.is_bot) {
+        return;
+    }
+
+    const settings = await getGroupSettings(chatId);
+    if (!settings.autoTranslate || !settings.enabledBy || !isAllowed(settings.enabledBy)) {
+        return;
+    }
+
+    try {
+        const quotaError = await checkQuota(settings.enabledBy, { characters: text.length });
+        if (quotaError) {
+            log('info', `Skipping group auto-translate in chat ${chatId}: quota exceeded`);
+            return;
+        }
+
+        const { translatedText } = await translateForLearner(text, settings);
+        await recordUsage(settings.enabledBy, { translatedChars: text.length });
+        if (!translatedText || translatedText.trim() === text.trim()) {
+            return;
+        }
+
+        await apiRequest(botToken, 'sendMessage', {
+            chat_id: chatId,
+            text: `${AUTO_TRANSLATION_PREFIX} ${translatedText}`,
+            reply_to_message_id: message.message_id,
+            disable_notification: true
+        });
+    } catch (error) {
+        log('error', `Group auto-translate failed in chat ${chatId}`, error);
+    }
+}
+
+module.exports = {
+    isGroupChat,
+    addressedMessage,
+    getGroupSettings,
+    handleGroupCommand,
+    handleGroupCallback,
+    handleGroupAutoTranslate
+};
@@ -0,0 +1,237 @@
+// 出站 HTTP 调用封装：超时、指数退避重试、429 retry_after 等待和按上游划分的熔断器
+const fetch = require('node-fetch');
+const { log, redact } = require('./logger');
+const { countUpstreamError } = require('./metrics');
+
+function envNumber(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+const DEFAULTS = {
+    timeoutMs: envNumber('HTTP_TIMEOUT_MS', 15000),
+    retries: envNumber('HTTP_MAX_RETRIES', 2),
+    baseDelayMs: envNumber('HTTP_RETRY_BASE_MS', 500),
+    maxDelayMs: envNumber('HTTP_RETRY_MAX_MS', 8000),
+    // 429 要求等待超过该时长时不再重试，直接把响应交给调用方
+    maxRetryAfterMs: envNumber('HTTP_MAX_RETRY_AFTER_MS', 30000),
+    failureThreshold: envNumber('CIRCUIT_FAILURE_THRESHOLD', 5),
+    resetTimeoutMs: envNumber('CIRCUIT_RESET_MS', 30000)
+};
+
+const upstreams = new Map();
+
+class HttpError extends Error {
+    constructor(code, message, { upstream, cause } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.code = code;
+        this.upstream = upstream;
+        this.cause = cause;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 指数退避加全抖动
+function backoffDelay(attempt, options) {
+    const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+}
+
+// 读取 429 响应要求的等待时间：优先 Retry-After 头，其次 Telegram 的 parameters.retry_after
+async function retryAfterMs(response) {
+    const header = parseInt(response.headers.get('retry-after'), 10);
+    if (!Number.isNaN(header)) {
+        return header * 1000;
+    }
+    try {
+        const body = await response.clone().json();
+        const seconds = body?.parameters?.retry_after;
+        return typeof seconds === 'number' ? seconds * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 连接建立之前的错误，请求肯定没有发出，非幂等请求也可以安全重试
+const PRE_SEND_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+// 在超时计时器仍然生效时读完响应体，返回可以直接读取的 Response；
+// 否则上游发完响应头后卡在响应体上时，调用方的 json() 等会一直等待
+async function bufferResponse(response) {
+    const body = await response.buffer();
+    return new fetch.Response(body, {
+        url: response.url,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+function createBreaker(name, options) {
+    const breaker = {
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        lastError: null,
+        trialInFlight: false
+    };
+
+    function allowRequest() {
+        if (breaker.state === 'open' && Date.now() - breaker.openedAt >= options.resetTimeoutMs) {
+            breaker.state = 'half_open';
+            log('info', `Circuit breaker for ${name} is half-open`);
+        }
+        if (breaker.state === 'half_open') {
+            // 半开状态只放行一个试探请求
+            if (breaker.trialInFlight) {
+                return false;
+            }
+            breaker.trialInFlight = true;
+            return true;
+        }
+        return breaker.state === 'closed';
+    }
+
+    function recordSuccess() {
+        if (breaker.state !== 'closed') {
+            log('info', `Circuit breaker for ${name} closed`);
+        }
+        breaker.state = 'closed';
+        breaker.failures = 0;
+        breaker.trialInFlight = false;
+    }
+
+    // 被限流说明不了上游是否健康：不改变状态，只释放半开状态的试探名额
+    function recordNeutral() {
+        breaker.trialInFlight = false;
+    }
+
+    function recordFailure(error) {
+        breaker.failures += 1;
+        breaker.lastError = error.message;
+        breaker.trialInFlight = false;
+        if (breaker.state === 'half_open' || breaker.failures >= options.failureThreshold) {
+            if (breaker.state !== 'open') {
+                log('warn', `Circuit breaker for ${name} opened`, { failures: breaker.failures, error: error.message });
+            }
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+        }
+    }
+
+    function snapshot() {
+        return {
+            state: breaker.state,
+            failures: breaker.failures,
+            lastError: breaker.lastError,
+            openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+        };
+    }
+
+    return { allowRequest, recordSuccess, recordNeutral, recordFailure, snapshot };
+}
+
+// 获取（或创建）某个上游的客户端，options 覆盖 DEFAULTS 中的任意项；
+// 熔断器和 options 按 name 共享，需要独立熔断的上游（如不同模型）应使用不同的 name
+function getUpstream(name, options = {}) {
+    if (upstreams.has(name)) {
+        return upstreams.get(name);
+    }
+
+    const config = { ...DEFAULTS, ...options };
+    const breaker = createBreaker(name, config);
+
+    // 发起请求并返回已读完响应体的 node-fetch Response，超时同时覆盖响应头和响应体；
+    // 5xx、网络错误和超时会重试，429 按上游要求的时间等待后重试，其余状态码直接返回给调用方处理。
+    // init 可以是函数，每次尝试重新构建（FormData 等流式请求体只能发送一次）。
+    // callOptions 可覆盖 timeoutMs 和 retries；idempotent 为 false 时（如发送消息），上游可能已经处理过请求的
+    // 5xx、超时和网络错误不再重试，只重试 429 和连接建立前的错误，避免重复执行。
+    async function request(url, init = {}, callOptions = {}) {
+        const timeoutMs = callOptions.timeoutMs ?? config.timeoutMs;
+        const retries = callOptions.retries ?? config.retries;
+        const idempotent = callOptions.idempotent ?? true;
+
+        if (!breaker.allowRequest()) {
+            countUpstreamError(name, 'CIRCUIT_OPEN');
+            throw new HttpError('CIRCUIT_OPEN', `Circuit breaker for ${name} is open`, { upstream: name });
+        }
+
+        let lastError;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            let delay = null;
+
+            try {
+                const requestInit = typeof init === 'function' ? init() : init;
+                const response = await fetch(url, { ...requestInit, signal: controller.signal });
+
+                if (response.status === 429) {
+                    countUpstreamError(name, 'RATE_LIMITED');
+                    delay = await retryAfterMs(response);
+                    if (attempt === retries || delay === null || delay > config.maxRetryAfterMs) {
+                        const buffered = await bufferResponse(response);
+                        breaker.recordNeutral();
+                        return buffered;
+                    }
+                    log('warn', `${name} rate limited, retrying after ${delay}ms`, { attempt: attempt + 1 });
+                } else if (response.status >= 500) {
+                    lastError = new HttpError('SERVER_ERROR', `${name} returned ${response.status}`, { upstream: name });
+                    countUpstreamError(name, lastError.code);
+                    if (attempt === retries || !idempotent) {
+                        const buffered = await bufferResponse(response);
+                        breaker.recordFailure(lastError);
+                        return buffered;
+                    }
+                } else {
+                    // 4xx 由调用方处理，不计入熔断，但计入错误指标
+                    if (response.status >= 400) {
+                        countUpstreamError(name, 'CLIENT_ERROR');
+                    }
+                    const buffered = await bufferResponse(response);
+                    breaker.recordSuccess();
+                    return buffered;
+                }
+            } catch (error) {
+                // node-fetch 的错误信息包含完整 URL，Telegram 文件地址中带有 Bot Token
+                lastError = error.name === 'AbortError'
+                    ? new HttpError('TIMEOUT', `${name} request timed out after ${timeoutMs}ms`, { upstream: name, cause: error })
+                    : new HttpError('NETWORK_ERROR', `${name} request failed: ${redact(error.message)}`, { upstream: name, cause: error });
+                countUpstreamError(name, lastError.code);
+                if (attempt === retries || !(idempotent || PRE_SEND_ERROR_CODES.has(error.code))) {
+                    breaker.recordFailure(lastError);
+                    throw lastError;
+                }
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (delay === null) {
+                delay = backoffDelay(attempt, config);
+                log('warn', `${name} request failed, retrying in ${delay}ms`, {
+                    attempt: attempt + 1,
+                    error: lastError.message
+                });
+            }
+            await sleep(delay);
+        }
+
+        // 循环总会在最后一次尝试时返回或抛出
+        throw lastError;
+    }
+
+    const upstream = { name, request, state: breaker.snapshot };
+    upstreams.set(name, upstream);
+    return upstream;
+}
+
+// 所有上游熔断器的状态，用于 /health
+function circuitStates() {
+    return Object.fromEntries([...upstreams.values()].map(upstream => [upstream.name, upstream.state()]));
+}
+
+module.exports = { HttpError, getUpstream, circuitStates };
@@ -0,0 +1,67 @@
+// 界面多语言：文案按键从语言包（./locales/*.js）中查找，支持 {name} 形式的插值
+// 当前语言保存在异步上下文中：处理 update 时按发送者的 Telegram 语言或个人设置确定（见 router.js），
+// 每日推送等不由 update 触发的场景通过 withLocale 指定；未指定时使用 DEFAULT_LOCALE
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOCALES = {
+    'zh-CN': require('./locales/zh-CN'),
+    en: require('./locales/en'),
+    ja: require('./locales/ja'),
+    es: require('./locales/es')
+};
+// 中文语言包最完整，其他语言包缺少的键回退到中文
+const FALLBACK_LOCALE = 'zh-CN';
+// 没有语言信息时（如控制台调试）使用的语言
+const DEFAULT_LOCALE = LOCALES[process.env.DEFAULT_LOCALE] ? process.env.DEFAULT_LOCALE : FALLBACK_LOCALE;
+// 支持的语言之外的 Telegram 语言使用英文
+const FOREIGN_LOCALE = 'en';
+
+const localeStorage = new AsyncLocalStorage();
+
+// Telegram 的 language_code 是 IETF 语言标签（zh-hans、en、pt-br 等），按主语言匹配
+function resolveLocale(languageCode) {
+    if (!languageCode) {
+        return DEFAULT_LOCALE;
+    }
+    const primary = languageCode.toLowerCase().split('-')[0];
+    if (primary === 'zh') {
+        return 'zh-CN';
+    }
+    return LOCALES[primary] ? primary : FOREIGN_LOCALE;
+}
+
+// 在指定语言下执行 fn，期间（包括其中的异步调用）的 t() 都使用该语言
+function withLocale(locale, fn) {
+    return localeStorage.run(LOCALES[locale] ? locale : DEFAULT_LOCALE, fn);
+}
+
+function currentLocale() {
+    return localeStorage.getStore() || DEFAULT_LOCALE;
+}
+
+// 查找当前语言的文案并替换 {name} 占位符；找不到时依次回退到中文和键名本身
+function t(key, params = {}, locale = currentLocale()) {
+    const template = LOCALES[locale]?.[key] ?? LOCALES[FALLBACK_LOCALE][key];
+    if (template === undefined) {
+        return key;
+    }
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// 数据文件中按语言给出的文案，例如 { "zh-CN": "餐厅点餐", "en": "At a restaurant" }，普通字符串原样返回
+function localized(value, locale = currentLocale()) {
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    return value[locale] ?? value[FALLBACK_LOCALE];
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    resolveLocale,
+    withLocale,
+    currentLocale,
+    t,
+    localized
+};
@@ -0,0 +1,132 @@
+// 每日推送的课程内容：每日一词（带朗读音频）、小测验和练习提醒
+const { apiRequest, sendVoice } = require('./telegram');
+const { generate, isLLMConfigured } = require('./llm');
+const { synthesizeSpeech } = require('./speech');
+const { getProfile, languageName } = require('./settings');
+const { countDueItems } = require('./vocab');
+const { actionKeyboard, rememberReply } = require('./replies');
+const { recordUsage, checkQuota } = require('./usage');
+const { t } = require('./i18n');
+
+const LESSON_TYPES = ['word', 'quiz', 'nudge'];
+
+function lessonLabel(type) {
+    return t(`lesson.type.${type}`);
+}
+
+const WORD_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        phrase: { type: 'STRING' },
+        meaning: { type: 'STRING' },
+        example: { type: 'STRING' },
+        exampleTranslation: { type: 'STRING' }
+    },
+    required: ['phrase', 'meaning', 'example', 'exampleTranslation']
+};
+
+const QUIZ_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        question: { type: 'STRING' },
+        options: { type: 'ARRAY', items: { type: 'STRING' }, minItems: 4, maxItems: 4 },
+        answerIndex: { type: 'INTEGER' },
+        explanation: { type: 'STRING' }
+    },
+    required: ['question', 'options', 'answerIndex', 'explanation']
+};
+
+// Telegram 测验投票的长度限制
+const POLL_LIMITS = { question: 300, option: 100, explanation: 200 };
+
+function truncate(text, limit) {
+    const value = String(text || '').trim();
+    return value.length > limit ? `${value.slice(0, limit - 1)}…` : value;
+}
+
+async function generateJson(prompt, schema, userId) {
+    const result = await generate([{ role: 'user', parts: [{ text: prompt }] }], { responseSchema: schema, temperature: 0.9 });
+    await recordUsage(userId, { tokens: result.usage.totalTokens });
+    return JSON.parse(result.text);
+}
+
+// 每日一词：一条语音消息，说明文字中包含释义和例句；recent 为最近推送过的词，避免重复
+async function sendWordLesson(botToken, chatId, userId, profile, recent) {
+    const learning = languageName(profile.learningLanguage);
+    const native = languageName(profile.nativeLanguage);
+    const prompt = `Pick one useful everyday ${learning} word or short phrase for a learner whose native language is ${native}. ` +
+        `Give its meaning in ${native}, one natural ${learning} example sentence and the example's ${native} translation.` +
+        (recent.length > 0 ? ` Do not pick any of: ${recent.join(', ')}.` : '');
+    const word = await generateJson(prompt, WORD_SCHEMA, userId);
+
+    const caption = [
+        t('lesson.wordTitle', { title: lessonLabel('word'), phrase: word.phrase }),
+        '',
+        `💡 ${word.meaning}`,
+        `📝 ${word.example}`,
+        `🌐 ${word.exampleTranslation}`
+    ].join('\n');
+    const spoken = `${word.phrase}. ${word.example}`;
+    const sent = await sendVoice(botToken, chatId, await synthesizeSpeech(spoken, profile), {
+        caption: truncate(caption, 1024),
+        reply_markup: actionKeyboard('lesson')
+    });
+    await recordUsage(userId, { synthesizedChars: spoken.length });
+    await rememberReply(chatId, sent.result.message_id, { kind: 'lesson', text: word.phrase });
+    return { messageId: sent.result.message_id, phrase: word.phrase };
+}
+
+// 小测验：以 Telegram 测验投票发送，答题结果和解析由 Telegram 展示，无需保存状态
+async function sendQuizLesson(botToken, chatId, userId, profile) {
+    const learning = languageName(profile.learningLanguage);
+    const native = languageName(profile.nativeLanguage);
+    const prompt = `Write one short multiple-choice question testing everyday ${learning} vocabulary or grammar ` +
+        `for a learner whose native language is ${native}. Write the question and the explanation in ${native}, ` +
+        `and give exactly four short answer options in ${learning}, with "answerIndex" the zero-based index of the correct one.`;
+    const quiz = await generateJson(prompt, QUIZ_SCHEMA, userId);
+
+    const options = (Array.isArray(quiz.options) ? quiz.options : [])
+        .map(option => truncate(option, POLL_LIMITS.option))
+        .filter(Boolean)
+        .slice(0, 10);
+    const answerIndex = Number(quiz.answerIndex);
+    if (options.length < 2 || !Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex >= options.length) {
+        throw new Error(t('common.badModelOutput'));
+    }
+
+    const response = await apiRequest(botToken, 'sendPoll', {
+        chat_id: chatId,
+        question: truncate(t('lesson.quizQuestion', { title: lessonLabel('quiz'), question: quiz.question }), POLL_LIMITS.question),
+        options,
+        type: 'quiz',
+        correct_option_id: answerIndex,
+        explanation: truncate(quiz.explanation, POLL_LIMITS.explanation)
+    });
+    return { messageId: response.result.message_id };
+}
+
+// 练习提醒：根据待复习的生词给出建议，不调用大模型
+async function sendNudge(botToken, chatId, userId) {
+    const due = await countDueItems(userId);
+    const text = t('lesson.nudge', {
+        title: lessonLabel('nudge'),
+        status: due > 0 ? t('lesson.nudgeDue', { due }) : t('lesson.nudgeIdle')
+    });
+    const response = await apiRequest(botToken, 'sendMessage', { chat_id: chatId, text });
+    return { messageId: response.result.message_id };
+}
+
+// 推送一节课，返回 { type, messageId, phrase? }；没有可用的大模型或额度不足时改为发送练习提醒
+async function sendLesson(botToken, subscription, userId) {
+    const { chatId, lessonType } = subscription;
+    if (lessonType !== 'nudge' && isLLMConfigured() && !(await checkQuota(userId))) {
+        const profile = await getProfile(userId);
+        const result = lessonType === 'quiz'
+            ? await sendQuizLesson(botToken, chatId, userId, profile)
+            : await sendWordLesson(botToken, chatId, userId, profile, subscription.recentPhrases || []);
+        return { type: lessonType, ...result };
+    }
+    return { type: 'nudge', ...(await sendNudge(botToken, chatId, userId)) };
+}
+
+module.exports = { LESSON_TYPES, lessonLabel, sendLesson };
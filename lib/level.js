@@ -0,0 +1,391 @@
+// CEFR 水平：/level 自适应水平测试（阅读、语法、听力），以及根据对话质量定期重新评估
+// 水平保存在用户设置中，用于调整聊天提示词的难度和朗读语速
+const { getStore } = require('./store');
+const { apiRequest, sendVoice, safeSendMessage } = require('./telegram');
+const { generate, isLLMConfigured } = require('./llm');
+const { synthesizeSpeech } = require('./speech');
+const { getHistory } = require('./conversations');
+const { getProfile, updateProfile, languageName, languageLabel, levelLabel, CEFR_LEVELS } = require('./settings');
+const { recordUsage, checkQuota } = require('./usage');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+const NAMESPACE = 'placement';
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const LEVELS = CEFR_LEVELS;
+const QUESTION_COUNT = 9;
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+// 从 B1 开始，答对升一级，答错降一级
+const START_LEVEL_INDEX = 2;
+// 自上次测试或评估以来累计这么多条用户消息后，根据对话重新评估一次
+const LEVEL_REVIEW_MESSAGES = 20;
+
+// 技能名称为语言包中 level.skill.<技能> 的文案
+const SKILLS = {
+    reading: {
+        task: level => `Write a short reading passage of two to four sentences at CEFR level ${level} ` +
+            'and one comprehension question about it.'
+    },
+    grammar: {
+        task: level => 'Write one sentence with a single blank written as ___ that tests a grammar point ' +
+            `typical of CEFR level ${level}, and the question "Which option fills the blank?".`
+    },
+    listening: {
+        task: level => `Write one or two sentences at CEFR level ${level} that will be read aloud to the learner, ` +
+            'and one comprehension question about what they hear.'
+    }
+};
+const SKILL_ORDER = ['reading', 'grammar', 'listening'];
+
+// 聊天时按水平调整用词和句子复杂度
+const LEVEL_GUIDANCE = {
+    A1: 'Use only very common words and short, simple present-tense sentences.',
+    A2: 'Use simple everyday vocabulary and short sentences, and avoid idioms.',
+    B1: 'Use everyday vocabulary and straightforward sentences, and briefly explain any less common word.',
+    B2: 'Speak naturally, with some idioms and varied sentence structures.',
+    C1: 'Use rich, idiomatic language and nuanced expressions freely.',
+    C2: 'Talk as you would with a near-native speaker, with sophisticated vocabulary and subtle nuance.'
+};
+
+const QUESTION_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        passage: { type: 'STRING' },
+        question: { type: 'STRING' },
+        options: { type: 'ARRAY', items: { type: 'STRING' }, minItems: 4, maxItems: 4 },
+        answerIndex: { type: 'INTEGER' },
+        explanation: { type: 'STRING' }
+    },
+    required: ['passage', 'question', 'options', 'answerIndex', 'explanation']
+};
+
+const REVIEW_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        level: { type: 'STRING', enum: LEVELS },
+        reason: { type: 'STRING' }
+    },
+    required: ['level', 'reason']
+};
+
+// 聊天系统提示词中关于水平的说明，未测试时为空
+function levelInstruction(profile) {
+    if (!LEVEL_GUIDANCE[profile.level]) {
+        return '';
+    }
+    return `The learner's ${languageName(profile.learningLanguage)} level is CEFR ${profile.level}. ${LEVEL_GUIDANCE[profile.level]}`;
+}
+
+function sessionKey(chatId, userId) {
+    return `${chatId}:${userId}`;
+}
+
+async function getSession(chatId, userId) {
+    return getStore().get(NAMESPACE, sessionKey(chatId, userId));
+}
+
+async function saveSession(chatId, userId, session) {
+    await getStore().set(NAMESPACE, sessionKey(chatId, userId), session, { ttlMs: SESSION_TTL_MS });
+}
+
+async function endSession(chatId, userId) {
+    await getStore().delete(NAMESPACE, sessionKey(chatId, userId));
+}
+
+// 每题的得分为题目难度加减半级，取平均值作为最终水平
+function estimateLevel(answers) {
+    const total = answers.reduce((sum, answer) => sum + answer.levelIndex + (answer.correct ? 0.5 : -0.5), 0);
+    const index = Math.round(total / answers.length);
+    return LEVELS[Math.min(Math.max(index, 0), LEVELS.length - 1)];
+}
+
+async function generateQuestion(skill, level, profile, userId) {
+    const learning = languageName(profile.learningLanguage);
+    const native = languageName(profile.nativeLanguage);
+    const prompt = [
+        `You are writing a ${learning} placement test question for a learner whose native language is ${native}.`,
+        SKILLS[skill].task(level),
+        `Write "passage" and "question" in ${learning}. Give exactly four short answer options in ${learning}, ` +
+        'only one of them correct, with "answerIndex" the zero-based index of the correct one. ' +
+        `Write "explanation" in ${native}, in one sentence.`
+    ].join('\n');
+    const result = await generate([{ role: 'user', parts: [{ text: prompt }] }], {
+        responseSchema: QUESTION_SCHEMA,
+        temperature: 0.9
+    });
+    await recordUsage(userId, { tokens: result.usage.totalTokens });
+
+    const parsed = JSON.parse(result.text);
+    const options = (Array.isArray(parsed.options) ? parsed.options : [])
+        .map(option => String(option).trim())
+        .filter(Boolean)
+        .slice(0, OPTION_LETTERS.length);
+    const answerIndex = Number(parsed.answerIndex);
+    if (!parsed.passage || options.length < 2 || !Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex >= options.length) {
+        throw new Error(t('common.badModelOutput'));
+    }
+    return {
+        passage: String(parsed.passage).trim(),
+        question: String(parsed.question || '').trim(),
+        options,
+        answerIndex,
+        explanation: String(parsed.explanation || '').trim()
+    };
+}
+
+// 选项可能较长，写在消息正文中，按钮只显示字母
+function renderOptions(options) {
+    return options.map((option, index) => `${OPTION_LETTERS[index]}. ${option}`).join('\n');
+}
+
+function answerKeyboard(options) {
+    return {
+        inline_keyboard: [
+            options.map((option, index) => ({ text: OPTION_LETTERS[index], callback_data: `level:answer:${index}` })),
+            [{ text: t('level.skip'), callback_data: 'level:answer:skip' }]
+        ]
+    };
+}
+
+// 出下一题：按阅读、语法、听力轮换，难度为当前估计的水平；听力题以语音发送，不显示原文
+async function askQuestion(botToken, chatId, userId, session) {
+    const skill = SKILL_ORDER[session.answers.length % SKILL_ORDER.length];
+    const level = LEVELS[session.levelIndex];
+    const profile = await getProfile(userId);
+    await apiRequest(botToken, 'sendChatAction', {
+        chat_id: chatId,
+        action: skill === 'listening' ? 'upload_voice' : 'typing'
+    });
+
+    const question = await generateQuestion(skill, level, profile, userId);
+    const header = t('level.questionHeader', {
+        number: session.answers.length + 1,
+        total: QUESTION_COUNT,
+        skill: t(`level.skill.${skill}`)
+    });
+    let sent;
+    if (skill === 'listening') {
+        // 听力题按题目难度而不是用户当前水平调整语速
+        const audio = await synthesizeSpeech(question.passage, { ...profile, level });
+        await recordUsage(userId, { synthesizedChars: question.passage.length });
+        sent = await sendVoice(botToken, chatId, audio, {
+            caption: t('level.listeningQuestion', { header, question: question.question, options: renderOptions(question.options) }),
+            reply_markup: answerKeyboard(question.options)
+        });
+    } else {
+        sent = await apiRequest(botToken, 'sendMessage', {
+            chat_id: chatId,
+            text: t('level.question', {
+                header,
+                passage: question.passage,
+                question: question.question,
+                options: renderOptions(question.options)
+            }),
+            reply_markup: answerKeyboard(question.options)
+        });
+    }
+
+    await saveSession(chatId, userId, {
+        ...session,
+        current: { skill, levelIndex: session.levelIndex, messageId: sent.result.message_id, ...question }
+    });
+}
+
+// 出题失败时保留测试进度，用户再次发送 /level 即可重试
+async function askQuestionSafely(botToken, chatId, userId, session) {
+    try {
+        await askQuestion(botToken, chatId, userId, session);
+    } catch (error) {
+        log('error', `Placement question error for chat ${chatId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('level.questionFailed', { error: error.message }));
+        });
+    }
+}
+
+function renderResult(level, answers) {
+    const lines = SKILL_ORDER.map(skill => {
+        const items = answers.filter(answer => answer.skill === skill);
+        return t('level.skillScore', {
+            skill: t(`level.skill.${skill}`),
+            correct: items.filter(answer => answer.correct).length,
+            total: items.length
+        });
+    });
+    return t('level.result', { level: levelLabel(level), scores: lines.join('\n') });
+}
+
+async function finishPlacement(botToken, chatId, userId, session) {
+    const level = estimateLevel(session.answers);
+    await updateProfile(userId, { level, levelCheckedAt: Date.now() });
+    await endSession(chatId, userId);
+    log('info', `Placement test finished for user ${userId}`, {
+        level,
+        correct: session.answers.filter(answer => answer.correct).length
+    });
+    await safeSendMessage(botToken, chatId, renderResult(level, session.answers));
+}
+
+async function startPlacement(botToken, chatId, userId) {
+    const session = { levelIndex: START_LEVEL_INDEX, answers: [], current: null, startedAt: Date.now() };
+    await saveSession(chatId, userId, session);
+    log('info', `Placement test started for user ${userId}`);
+    await askQuestionSafely(botToken, chatId, userId, session);
+}
+
+// 处理 /level [start|stop]：不带参数时显示当前水平和测试说明
+async function handleLevelCommand(botToken, chatId, userId, args) {
+    const action = args.trim().toLowerCase();
+    const session = await getSession(chatId, userId);
+
+    if (action === 'stop') {
+        await endSession(chatId, userId);
+        await safeSendMessage(botToken, chatId, t(session ? 'level.stopped' : 'level.none'));
+        return;
+    }
+
+    if (session && action !== 'start') {
+        if (!session.current) {
+            await askQuestionSafely(botToken, chatId, userId, session);
+            return;
+        }
+        await safeSendMessage(botToken, chatId, t('level.inProgress'));
+        return;
+    }
+
+    if (!isLLMConfigured()) {
+        await safeSendMessage(botToken, chatId, t('level.unavailable'));
+        return;
+    }
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+        await safeSendMessage(botToken, chatId, quotaError);
+        return;
+    }
+
+    if (action === 'start') {
+        await startPlacement(botToken, chatId, userId);
+        return;
+    }
+
+    const profile = await getProfile(userId);
+    const current = profile.level ? t('level.current', { level: levelLabel(profile.level) }) : t('level.untested');
+    await apiRequest(botToken, 'sendMessage', {
+        chat_id: chatId,
+        text: t('level.intro', { language: languageLabel(profile.learningLanguage), current, count: QUESTION_COUNT }),
+        reply_markup: { inline_keyboard: [[{ text: t('level.start'), callback_data: 'level:start' }]] }
+    });
+}
+
+// 处理水平测试的按钮，callback_data 格式：level:start | level:answer:<选项序号|skip>
+async function handleLevelCallback(botToken, callbackQuery) {
+    const [, action, value] = callbackQuery.data.split(':');
+    const userId = callbackQuery.from.id;
+    const { message } = callbackQuery;
+    const chatId = message.chat.id;
+
+    if (action === 'start') {
+        await apiRequest(botToken, 'answerCallbackQuery', { callback_query_id: callbackQuery.id });
+        await apiRequest(botToken, 'editMessageReplyMarkup', {
+            chat_id: chatId,
+            message_id: message.message_id,
+            reply_markup: { inline_keyboard: [] }
+        });
+        await handleLevelCommand(botToken, chatId, userId, 'start');
+        return;
+    }
+
+    const session = await getSession(chatId, userId);
+    const current = session?.current;
+    if (action !== 'answer' || !current || current.messageId !== message.message_id) {
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: t('level.answerExpired')
+        });
+        return;
+    }
+
+    const correct = Number(value) === current.answerIndex;
+    const answers = [...session.answers, { skill: current.skill, levelIndex: current.levelIndex, correct }];
+    const levelIndex = Math.min(Math.max(session.levelIndex + (correct ? 1 : -1), 0), LEVELS.length - 1);
+    const next = { ...session, answers, levelIndex, current: null };
+    // 先保存进度，避免重复点击同一道题
+    await saveSession(chatId, userId, next);
+
+    await apiRequest(botToken, 'answerCallbackQuery', {
+        callback_query_id: callbackQuery.id,
+        text: correct
+            ? t('level.correct')
+            : t('level.wrong', { answer: `${OPTION_LETTERS[current.answerIndex]}. ${current.options[current.answerIndex]}` })
+    });
+    await apiRequest(botToken, 'editMessageReplyMarkup', {
+        chat_id: chatId,
+        message_id: message.message_id,
+        reply_markup: { inline_keyboard: [] }
+    });
+    if (!correct && current.explanation) {
+        await safeSendMessage(botToken, chatId, `💡 ${current.explanation}`);
+    }
+
+    if (answers.length >= QUESTION_COUNT) {
+        await finishPlacement(botToken, chatId, userId, next);
+        return;
+    }
+    await askQuestionSafely(botToken, chatId, userId, next);
+}
+
+// 每轮聊天后调用：自上次评估以来的用户消息足够多时，根据这些消息和其中的错误重新评估水平
+// 每次最多调整一级，失败时只记录日志
+async function reviewLevel(botToken, chatId, userId, profile) {
+    try {
+        const messages = (await getHistory(chatId, userId))
+            .filter(entry => entry.role === 'user' && (entry.at ?? 0) > profile.levelCheckedAt);
+        if (messages.length < LEVEL_REVIEW_MESSAGES) {
+            return;
+        }
+
+        const learning = languageName(profile.learningLanguage);
+        const prompt = [
+            `Estimate the CEFR level of a ${learning} learner from their recent chat messages.`,
+            profile.level ? `Their previous level was ${profile.level}.` : '',
+            'Consider vocabulary range, grammatical accuracy and sentence complexity. Messages:',
+            ...messages.map(entry => {
+                const mistakes = (entry.correction?.errors || []).map(error => `${error.original} → ${error.correction}`);
+                return `- ${entry.text}${mistakes.length > 0 ? ` [mistakes: ${mistakes.join('; ')}]` : ''}`;
+            })
+        ].filter(Boolean).join('\n');
+        const result = await generate([{ role: 'user', parts: [{ text: prompt }] }], {
+            responseSchema: REVIEW_SCHEMA,
+            temperature: 0.2
+        });
+        await recordUsage(userId, { tokens: result.usage.totalTokens });
+
+        const estimated = JSON.parse(result.text).level;
+        if (!LEVELS.includes(estimated)) {
+            throw new Error(`Unexpected level: ${estimated}`);
+        }
+        let level = estimated;
+        if (profile.level) {
+            const from = LEVELS.indexOf(profile.level);
+            level = LEVELS[from + Math.sign(LEVELS.indexOf(estimated) - from)];
+        }
+
+        await updateProfile(userId, { level, levelCheckedAt: Date.now() });
+        log('info', `Level reviewed for user ${userId}`, { previous: profile.level, estimated, level });
+        if (level !== profile.level) {
+            const improved = profile.level && LEVELS.indexOf(level) > LEVELS.indexOf(profile.level);
+            await safeSendMessage(botToken, chatId,
+                t(improved ? 'level.reviewedUp' : 'level.reviewed', { level: levelLabel(level) }));
+        }
+    } catch (error) {
+        log('warn', `Failed to review level for user ${userId}`, { error: error.message });
+    }
+}
+
+module.exports = {
+    estimateLevel,
+    levelInstruction,
+    reviewLevel,
+    handleLevelCommand,
+    handleLevelCallback
+};
@@ -0,0 +1,57 @@
+// 各模型提供方共用的错误类型，code 沿用原先错误信息的前缀
+// 默认的错误说明为语言包中 llm.error.<code> 的文案
+const { t } = require('../i18n');
+
+// 遇到这些错误时尝试回退链中的下一个模型
+const FALLBACK_CODES = new Set(['QUOTA_EXCEEDED', 'SERVER_ERROR', 'NETWORK_ERROR', 'TIMEOUT_ERROR']);
+
+class LLMError extends Error {
+    constructor(code, detail = t(`llm.error.${code}`), { provider, model, status } = {}) {
+        super(`${code}: ${detail}`);
+        this.name = 'LLMError';
+        this.code = code;
+        this.provider = provider;
+        this.model = model;
+        this.status = status;
+    }
+
+    get retryable() {
+        return FALLBACK_CODES.has(this.code);
+    }
+}
+
+// 将 HTTP 状态码映射为错误类型
+function errorFromStatus(status, statusText, context) {
+    if (status === 401 || status === 403) {
+        return new LLMError('API_KEY_INVALID', undefined, { ...context, status });
+    }
+    if (status === 429) {
+        return new LLMError('QUOTA_EXCEEDED', undefined, { ...context, status });
+    }
+    if (status === 400) {
+        return new LLMError('BAD_REQUEST', undefined, { ...context, status });
+    }
+    if (status >= 500) {
+        return new LLMError('SERVER_ERROR', `${status} - ${statusText}`, { ...context, status });
+    }
+    return new LLMError('HTTP_ERROR', `${status} - ${statusText}`, { ...context, status });
+}
+
+// 将 HTTP 层异常（见 ../http.js）转换为错误类型，已经是 LLMError 的直接返回
+function toLLMError(error, context) {
+    if (error instanceof LLMError) {
+        return error;
+    }
+    if (error.code === 'NETWORK_ERROR') {
+        return new LLMError('NETWORK_ERROR', undefined, context);
+    }
+    if (error.code === 'TIMEOUT') {
+        return new LLMError('TIMEOUT_ERROR', undefined, context);
+    }
+    if (error.code === 'CIRCUIT_OPEN') {
+        return new LLMError('SERVER_ERROR', error.message, context);
+    }
+    return new LLMError('UNEXPECTED_ERROR', error.message, context);
+}
+
+module.exports = { LLMError, errorFromStatus, toLLMError };
@@ -0,0 +1,51 @@
+// 离线假模型：回复来自固定返回内容（见 ../fixtures.js），未匹配时回显用户消息，用于本地控制台调试
+const { loadFixtures } = require('../fixtures');
+
+// 按 schema 构造一个合法的 JSON 对象，所有字符串字段都填入回复文本，数组按 minItems 填充带编号的元素
+function sampleFromSchema(schema, reply) {
+    switch (schema.type) {
+        case 'OBJECT':
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .map(([key, value]) => [key, sampleFromSchema(value, reply)]));
+        case 'ARRAY':
+            return Array.from({ length: schema.minItems || 0 },
+                (item, index) => sampleFromSchema(schema.items || {}, `${reply} (${index + 1})`));
+        case 'NUMBER':
+        case 'INTEGER':
+            return 0;
+        case 'BOOLEAN':
+            return false;
+        default:
+            return reply;
+    }
+}
+
+function createFakeProvider({ model }) {
+    // 参数与 Gemini 提供方一致，见 ./gemini.js
+    async function generate(messages, options = {}) {
+        const last = messages[messages.length - 1];
+        const text = (last?.parts || []).map(part => part.text || '').join(' ').trim();
+
+        const fixture = loadFixtures().replies.find(entry => new RegExp(entry.match, 'i').test(text));
+        let output = fixture ? fixture.reply : `(${model}) ${text}`;
+        if (typeof output !== 'string') {
+            output = JSON.stringify(output);
+        } else if (options.responseSchema) {
+            output = JSON.stringify(sampleFromSchema(options.responseSchema, output));
+        }
+
+        const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+        const outputTokens = Math.ceil(output.length / 4);
+        return {
+            text: output,
+            finishReason: 'STOP',
+            usage: { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens },
+            provider: 'fake',
+            model
+        };
+    }
+
+    return { name: 'fake', model, mediaTypes: ['image/', 'audio/', 'video/'], generate };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,120 @@
+// Google AI Studio Gemini 提供方
+const { LLMError, errorFromStatus, toLLMError } = require('./errors');
+const { getUpstream } = require('../http');
+const { log } = require('../logger');
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const SAFETY_CATEGORIES = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+];
+
+function createGeminiProvider({ apiKey, model, temperature, maxOutputTokens, safetyThreshold, timeoutMs, retries }) {
+    const context = { provider: 'gemini', model };
+    // 每个模型单独熔断，一个模型持续出错时仍可回退到链中的其他模型
+    const upstream = getUpstream(`gemini:${model}`, { timeoutMs, retries });
+
+    // messages 使用 Gemini 的 contents 格式：[{ role: 'user' | 'model', parts: [{ text } | { inlineData }] }]
+    // options.systemInstruction: 系统提示词文本
+    // options.responseSchema: 要求返回符合该 schema 的 JSON
+    async function generate(messages, options = {}) {
+        try {
+            const url = `${GEMINI_API_BASE}/${model}:generateContent?key=${apiKey}`;
+
+            // 构建请求体
+            const requestBody = {
+                contents: messages,
+                generationConfig: {
+                    temperature: options.temperature ?? temperature,
+                    topK: 40,
+                    topP: 0.95,
+                    maxOutputTokens: options.maxOutputTokens ?? maxOutputTokens,
+                },
+                safetySettings: SAFETY_CATEGORIES.map(category => ({ category, threshold: safetyThreshold }))
+            };
+
+            if (options.systemInstruction) {
+                requestBody.systemInstruction = { parts: [{ text: options.systemInstruction }] };
+            }
+            if (options.responseSchema) {
+                requestBody.generationConfig.responseMimeType = 'application/json';
+                requestBody.generationConfig.responseSchema = options.responseSchema;
+            }
+
+            log('debug', 'Calling Gemini API', { model, messagesCount: messages.length });
+
+            const response = await upstream.request(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(requestBody)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                log('error', `Gemini API HTTP error: ${response.status}`, {
+                    status: response.status,
+                    statusText: response.statusText,
+                    errorBody: errorText
+                });
+                throw errorFromStatus(response.status, response.statusText, context);
+            }
+
+            const result = await response.json();
+
+            // 检查 API 响应是否包含错误
+            if (result.error) {
+                log('error', 'Gemini API returned error', result.error);
+                throw new LLMError('UNEXPECTED_ERROR', result.error.message || 'Unknown API error', context);
+            }
+
+            // 检查是否有有效的回复内容
+            if (!result.candidates || result.candidates.length === 0) {
+                log('warn', 'Gemini API returned no candidates', result);
+                if (result.promptFeedback?.blockReason) {
+                    throw new LLMError('CONTENT_BLOCKED', undefined, context);
+                }
+                throw new LLMError('NO_RESPONSE', undefined, context);
+            }
+
+            // 检查内容是否被安全过滤器阻止
+            const candidate = result.candidates[0];
+            if (candidate.finishReason === 'SAFETY') {
+                log('warn', 'Content blocked by safety filters', candidate);
+                throw new LLMError('CONTENT_BLOCKED', undefined, context);
+            }
+
+            log('debug', 'Gemini API call successful', {
+                candidatesCount: result.candidates.length,
+                finishReason: candidate.finishReason
+            });
+
+            return {
+                text: (candidate.content?.parts || []).map(part => part.text || '').join(''),
+                finishReason: candidate.finishReason,
+                usage: {
+                    promptTokens: result.usageMetadata?.promptTokenCount || 0,
+                    outputTokens: result.usageMetadata?.candidatesTokenCount || 0,
+                    totalTokens: result.usageMetadata?.totalTokenCount || 0
+                },
+                provider: 'gemini',
+                model
+            };
+
+        } catch (error) {
+            if (!(error instanceof LLMError)) {
+                log('error', 'Unexpected error calling Gemini API', error);
+            }
+            throw toLLMError(error, context);
+        }
+    }
+
+    // Gemini 接受图片、音频和视频的内联数据
+    return { name: 'gemini', model, mediaTypes: ['image/', 'audio/', 'video/'], generate };
+}
+
+module.exports = { createGeminiProvider };
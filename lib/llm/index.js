@@ -0,0 +1,143 @@
+// 大模型提供方抽象：按 LLM_PROVIDER_CHAIN 依次尝试，配额或服务端错误时回退到下一个模型
+//
+// LLM_PROVIDER_CHAIN 格式为逗号分隔的 provider[:model]，例如：
+//   gemini:gemini-2.0-flash,gemini:gemini-1.5-flash,openai:llama3.1
+// 未设置时，配置了 GOOGLE_AI_API_KEY 则使用 gemini，否则配置了 OPENAI_BASE_URL / OPENAI_API_KEY 则使用 openai
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createFakeProvider } = require('./fake');
+const { LLMError, toLLMError } = require('./errors');
+const { log } = require('../logger');
+
+const GOOGLE_AI_API_KEY = process.env.GOOGLE_AI_API_KEY;
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+// 模型调用耗时较长，超时单独配置；重试次数较少，失败后交给回退链处理
+const TIMEOUT_MS = envNumber('LLM_TIMEOUT_MS', 60000);
+const RETRIES = envNumber('LLM_MAX_RETRIES', 1);
+
+// 每个提供方的参数可单独配置，未配置时使用 LLM_TEMPERATURE / LLM_MAX_TOKENS
+const PROVIDERS = {
+    gemini: {
+        defaultModel: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+        isConfigured: () => Boolean(GOOGLE_AI_API_KEY),
+        create: model => createGeminiProvider({
+            apiKey: GOOGLE_AI_API_KEY,
+            model,
+            temperature: envNumber('GEMINI_TEMPERATURE', envNumber('LLM_TEMPERATURE', 0.7)),
+            maxOutputTokens: envNumber('GEMINI_MAX_TOKENS', envNumber('LLM_MAX_TOKENS', 2048)),
+            safetyThreshold: process.env.GEMINI_SAFETY_THRESHOLD || 'BLOCK_MEDIUM_AND_ABOVE',
+            timeoutMs: TIMEOUT_MS,
+            retries: RETRIES
+        })
+    },
+    openai: {
+        defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        isConfigured: () => Boolean(process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY),
+        create: model => createOpenAIProvider({
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            apiKey: process.env.OPENAI_API_KEY,
+            model,
+            temperature: envNumber('OPENAI_TEMPERATURE', envNumber('LLM_TEMPERATURE', 0.7)),
+            maxOutputTokens: envNumber('OPENAI_MAX_TOKENS', envNumber('LLM_MAX_TOKENS', 2048)),
+            timeoutMs: TIMEOUT_MS,
+            retries: RETRIES
+        })
+    },
+    // 离线假模型，只能在 LLM_PROVIDER_CHAIN 中显式指定
+    fake: {
+        defaultModel: 'echo',
+        isConfigured: () => true,
+        create: model => createFakeProvider({ model })
+    }
+};
+
+let chain = null;
+
+function defaultChainSpec() {
+    if (PROVIDERS.gemini.isConfigured()) {
+        return 'gemini';
+    }
+    if (PROVIDERS.openai.isConfigured()) {
+        return 'openai';
+    }
+    return '';
+}
+
+function buildChain(spec) {
+    return spec.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [name, ...modelParts] = entry.split(':');
+            const provider = PROVIDERS[name];
+            if (!provider) {
+                throw new Error(`Unknown LLM provider: ${name} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+            }
+            if (!provider.isConfigured()) {
+                log('warn', `LLM provider ${name} is in the chain but not configured, skipping`);
+                return null;
+            }
+            return provider.create(modelParts.join(':') || provider.defaultModel);
+        })
+        .filter(Boolean);
+}
+
+function getChain() {
+    if (!chain) {
+        chain = buildChain(process.env.LLM_PROVIDER_CHAIN || defaultChainSpec());
+    }
+    return chain;
+}
+
+function isLLMConfigured() {
+    return getChain().length > 0;
+}
+
+// 当前回退链，例如 ['gemini/gemini-2.0-flash', 'openai/llama3.1']
+function describeChain() {
+    return getChain().map(provider => `${provider.name}/${provider.model}`);
+}
+
+// 第一个提供方是否支持该类型的内联媒体，例如 image/jpeg、audio/mp4
+function supportsMedia(mimeType) {
+    return (getChain()[0]?.mediaTypes || []).some(prefix => mimeType.startsWith(prefix));
+}
+
+// 生成回复，返回 { text, finishReason, usage: { promptTokens, outputTokens, totalTokens }, provider, model }
+// messages 和 options 的格式见 ./gemini.js
+async function generate(messages, options = {}) {
+    const providers = getChain();
+    if (providers.length === 0) {
+        throw new LLMError('NOT_CONFIGURED');
+    }
+
+    let lastError;
+    for (const provider of providers) {
+        try {
+            return await provider.generate(messages, options);
+        } catch (error) {
+            lastError = toLLMError(error, { provider: provider.name, model: provider.model });
+            if (!lastError.retryable) {
+                throw lastError;
+            }
+            log('warn', `LLM provider ${provider.name}/${provider.model} failed, trying next in chain`, {
+                code: lastError.code
+            });
+        }
+    }
+    throw lastError;
+}
+
+module.exports = {
+    GOOGLE_AI_API_KEY,
+    LLMError,
+    generate,
+    isLLMConfigured,
+    describeChain,
+    supportsMedia
+};
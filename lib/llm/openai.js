@@ -0,0 +1,132 @@
+// OpenAI 兼容的 chat completions 提供方，也适用于本地 Ollama / llama.cpp 服务
+const { LLMError, errorFromStatus, toLLMError } = require('./errors');
+const { t } = require('../i18n');
+const { getUpstream } = require('../http');
+const { log } = require('../logger');
+
+// Gemini schema 使用大写类型名，转换为标准 JSON Schema
+function toJsonSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(toJsonSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+        key,
+        key === 'type' && typeof value === 'string' ? value.toLowerCase() : toJsonSchema(value)
+    ]));
+}
+
+// 将 Gemini 格式的 parts 转换为 OpenAI 的 content
+function toContent(parts, context) {
+    if (parts.every(part => part.text !== undefined)) {
+        return parts.map(part => part.text).join('');
+    }
+    return parts.map(part => {
+        if (part.text !== undefined) {
+            return { type: 'text', text: part.text };
+        }
+        if (part.inlineData?.mimeType?.startsWith('image/')) {
+            return {
+                type: 'image_url',
+                image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` }
+            };
+        }
+        throw new LLMError('BAD_REQUEST', t('llm.unsupportedMedia', { mimeType: part.inlineData?.mimeType || 'unknown' }), context);
+    });
+}
+
+function createOpenAIProvider({ baseUrl, apiKey, model, temperature, maxOutputTokens, timeoutMs, retries }) {
+    const context = { provider: 'openai', model };
+    // 按服务地址和模型分别熔断，本地模型服务不可用时不影响其他后端
+    const upstream = getUpstream(`openai:${baseUrl}:${model}`, { timeoutMs, retries });
+
+    // 参数与 Gemini 提供方一致，见 ./gemini.js
+    async function generate(messages, options = {}) {
+        try {
+            let systemPrompt = options.systemInstruction || '';
+            if (options.responseSchema) {
+                systemPrompt += `\n\nRespond only with a JSON object matching this JSON Schema:\n` +
+                    JSON.stringify(toJsonSchema(options.responseSchema));
+            }
+
+            const chatMessages = [];
+            if (systemPrompt.trim()) {
+                chatMessages.push({ role: 'system', content: systemPrompt.trim() });
+            }
+            for (const message of messages) {
+                chatMessages.push({
+                    role: message.role === 'model' ? 'assistant' : 'user',
+                    content: toContent(message.parts, context)
+                });
+            }
+
+            const requestBody = {
+                model,
+                messages: chatMessages,
+                temperature: options.temperature ?? temperature,
+                max_tokens: options.maxOutputTokens ?? maxOutputTokens
+            };
+            if (options.responseSchema) {
+                requestBody.response_format = { type: 'json_object' };
+            }
+
+            log('debug', 'Calling OpenAI-compatible API', { baseUrl, model, messagesCount: chatMessages.length });
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await upstream.request(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(requestBody)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                log('error', `OpenAI-compatible API HTTP error: ${response.status}`, {
+                    status: response.status,
+                    statusText: response.statusText,
+                    errorBody: errorText
+                });
+                throw errorFromStatus(response.status, response.statusText, context);
+            }
+
+            const result = await response.json();
+            const choice = result.choices?.[0];
+            if (!choice) {
+                log('warn', 'OpenAI-compatible API returned no choices', result);
+                throw new LLMError('NO_RESPONSE', undefined, context);
+            }
+            if (choice.finish_reason === 'content_filter') {
+                throw new LLMError('CONTENT_BLOCKED', undefined, context);
+            }
+
+            return {
+                text: choice.message?.content || '',
+                finishReason: choice.finish_reason,
+                usage: {
+                    promptTokens: result.usage?.prompt_tokens || 0,
+                    outputTokens: result.usage?.completion_tokens || 0,
+                    totalTokens: result.usage?.total_tokens || 0
+                },
+                provider: 'openai',
+                model
+            };
+
+        } catch (error) {
+            if (!(error instanceof LLMError)) {
+                log('error', 'Unexpected error calling OpenAI-compatible API', error);
+            }
+            throw toLLMError(error, context);
+        }
+    }
+
+    // OpenAI 兼容接口只能以 image_url 发送图片，见 toContent
+    return { name: 'openai', model, mediaTypes: ['image/'], generate };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,353 @@
+// 英文语言包，也用于语言包之外的 Telegram 语言
+module.exports = {
+    'locale.name': '🇺🇸 English',
+
+    // 通用
+    'common.back': '⬅️ Back',
+    'common.actionFailed': '❌ Something went wrong, please try again later.',
+    'common.notYourMenu': '🙅 This menu belongs to another member, send the command yourself to open your own',
+    'common.unavailable': '❌ The service is temporarily unavailable, please try again later.',
+    'common.listSeparator': ', ',
+    'common.labelValue': '{label}: {value}',
+    'common.badModelOutput': 'The model returned a response in an unexpected format',
+    'access.inviteOnly': '🔒 SpeakMate is currently invite-only.',
+
+    // 帮助
+    'help.text': `🤖 Welcome to SpeakMate, your AI language partner!
+
+Here is what I can do:
+
+🧠 **AI chat**: just type a message to start talking
+🌐 **Translation**: /translate <text>
+🔊 **Text to speech**: /tts <text>
+🎙️ **Speech recognition**: send a voice message, audio file or video note and I will transcribe it, detecting the language automatically
+📷 **Photo reading**: send a photo of a menu, sign or textbook page to get its text, a translation and key vocabulary; ask a question in the caption
+🗣️ **Shadowing practice**: /practice [topic], repeat a model sentence and get word-by-word pronunciation scores
+💾 **Vocabulary notebook**: /save <word or phrase> to save, /review to review, /vocab to browse
+🗣️ **Voice chat mode**: /voicechat, talk to the AI by voice and hear spoken replies
+✍️ **Grammar tutor mode**: /tutor, mistakes are pointed out and explained as you chat
+🎭 **Role-play scenarios**: /scenario, role-play at a restaurant, job interview, airport and more, then get a score
+📈 **Level test**: /level, reading, grammar and listening questions place you on the CEFR scale (A1–C2); chat difficulty and speaking rate adapt to your level
+⚙️ **Settings**: /settings (languages, voice, speaking rate, interface language)
+👥 **Groups**: mention me or reply to my messages in a group; each member has their own context. Admins can turn on auto-translation with /group
+⏰ **Daily lessons**: /subscribe, get a word of the day, a quiz or a practice reminder every day
+📤 **Export**: /export [md|html|csv], your conversation with translations and grammar notes for offline review
+📊 **Usage**: /usage
+🧠 **Long-term memory**: /memory shows what I remember about your name, goals, interests and common mistakes
+🧹 **Clear chat history and memory**: /reset
+
+Type a message to start chatting,
+or send a voice message to try speech recognition.`,
+    'reset.done': '🧹 Conversation context and memory cleared.',
+
+    // 语音识别
+    'voice.tooLarge': '❌ The file is too large. I can only process audio up to 20 MB.',
+    'voice.recognizing': '🎙️ Transcribing your voice message...',
+    'voice.recognizingProgress': '🎙️ Transcribing your voice message... ({percent}%)',
+    'voice.empty': '(No speech recognized)',
+    'voice.done': '🎙️ Transcription complete',
+    'voice.youSaid': '🗣️ You said: {text}',
+    'voice.result': '🎯 Transcription: {text}',
+    'voice.resultWithLanguage': '🎯 Transcription ({language}): {text}',
+    'voice.failed': '❌ Speech recognition failed: {error}',
+    'voice.unsupportedFormat': 'Unsupported audio format: {mimeType}',
+
+    // 翻译和朗读
+    'translate.usage': '❓ Usage: /translate <text to translate>',
+    'translate.result': '🌐 Translation:\n{text}',
+    'translate.failed': '❌ Translation failed: {error}',
+    'tts.usage': '❓ Usage: /tts <text to read aloud>',
+    'tts.failed': '❌ Speech synthesis failed: {error}',
+
+    // 个人设置
+    'settings.text': '⚙️ Current settings\n\n{fields}\n\nTap a button below to change a setting:',
+    'settings.field.nativeLanguage': '🏠 Native language',
+    'settings.field.learningLanguage': '🎯 Learning language',
+    'settings.field.sttLanguage': '🎙️ Speech recognition language',
+    'settings.field.ttsVoice': '🔊 Voice',
+    'settings.field.speakingRate': '⏩ Speaking rate',
+    'settings.field.replyMode': '💬 AI reply format',
+    'settings.field.level': '📈 Level',
+    'settings.field.interfaceLanguage': '🌍 Interface language',
+    'settings.replyMode.text': '💬 Text only',
+    'settings.replyMode.voice': '🔊 Voice only',
+    'settings.replyMode.both': '💬+🔊 Text and voice',
+    'settings.levelUntested': 'Not tested (send /level to take the test)',
+    'settings.interfaceAuto': '🔄 Same as Telegram',
+    'settings.unknownField': '❓ Unknown setting',
+    'settings.staleOption': '❓ This option has expired, please choose again',
+    'settings.updated': '✅ Updated {field}',
+
+    // 群组
+    'group.welcome': '👋 Hi everyone, I\'m SpeakMate! Send /help to see what I can do.',
+    'group.mentionHint': '👋 How can I help? Mention me with your question to chat, or send /help to see everything I can do.',
+    'group.field.nativeLanguage': '🏠 Group native language',
+    'group.field.learningLanguage': '🎯 Group learning language',
+    'group.settingsText': '👥 Group settings\n\n🌐 Auto-translate all messages: {autoTranslate}\n{fields}\n\n' +
+        'With auto-translation on, every message in the group is translated: messages in the learning language ' +
+        'into the native language, and everything else into the learning language.\n' +
+        '⚠️ To receive every message, the bot needs privacy mode turned off in @BotFather (/setprivacy) or admin rights.',
+    'group.autoTranslateOn': '✅ On',
+    'group.autoTranslateOff': '⏸️ Off',
+    'group.enable': '🌐 Turn on auto-translation',
+    'group.disable': '⏸️ Turn off auto-translation',
+    'group.enabled': '🌐 Auto-translation turned on',
+    'group.disabled': '⏸️ Auto-translation turned off',
+    'group.groupOnly': '👥 /group can only be used in groups.',
+    'group.adminOnly': '🔒 Only group admins can change group settings.',
+
+    // AI 聊天
+    'chat.notConfigured': '❌ AI chat is temporarily unavailable.\n\n' +
+        'Please check that the GOOGLE_AI_API_KEY or LLM_PROVIDER_CHAIN environment variable is configured correctly.',
+    'chat.noReply': 'Sorry, I couldn\'t come up with a reply.',
+    'chat.unavailable': '❌ AI chat is temporarily unavailable',
+    'chat.error.apiKey': '🔑 API key problem:\n• Check that the model provider\'s API key is correct\n• Make sure the API key is valid and has not expired',
+    'chat.error.quota': '📊 Quota exceeded:\n• The model service quota has been used up\n• Wait for the quota to reset or upgrade your plan',
+    'chat.error.badRequest': '🚫 Invalid request:\n• Your message may contain unsupported content\n• Please rephrase your question',
+    'chat.error.details': '🔍 Error details: {error}',
+
+    // 语音对话模式
+    'voicechat.usage': '❓ Usage: /voicechat [on|off|text|voice|both]',
+    'voicechat.on': '🗣️ Voice chat mode is on.\n\nJust send a voice message to talk with me (recognition language: {language}).\n' +
+        'Reply format: {replyMode}\n\nChange the reply format: /voicechat text | voice | both\nTurn off: /voicechat off',
+    'voicechat.off': '💬 Voice chat mode is off; voice messages will only be transcribed.\nReply format: {replyMode}',
+
+    // 回复下方的操作按钮
+    'action.listen': '🔊 Listen',
+    'action.translate': '🌐 Translate',
+    'action.explain': '✍️ Explain grammar',
+    'action.save': '💾 Save phrase',
+    'action.regenerate': '🔁 Regenerate',
+    'action.explanation': '✍️ Grammar explanation\n\n{text}',
+    'action.expired': '⌛ This message has expired and can no longer be used',
+    'action.notYours': '🙅 You can only regenerate replies to your own messages',
+    'action.failed': '❌ Action failed: {error}',
+
+    // 语法纠错模式
+    'tutor.title': '✍️ Correction',
+    'tutor.noErrors': '✍️ Correction: ✅ No mistakes found, great job!',
+    'tutor.on': '✍️ Grammar tutor mode is on.\nI\'ll point out the mistakes in your messages before we continue chatting. Send /tutor off to turn it off.',
+    'tutor.off': '💬 Grammar tutor mode is off; back to normal chat.',
+
+    // 跟读练习
+    'practice.prompt': '🗣️ Shadowing practice\n\n{text}\n\n🎧 Listen to the model pronunciation, then send a voice message repeating it.\n' +
+        'Send /practice stop to end the practice.',
+    'practice.score': '🎯 Pronunciation score: {score}/100 {stars}',
+    'practice.target': '📝 Target: {text}',
+    'practice.heard': '👂 Heard: {text}',
+    'practice.words': 'Word-by-word scores:',
+    'practice.word.missing': '❌ {word} — not spoken',
+    'practice.word.substituted': '❌ {word} {score} → heard as "{heard}" ({time})',
+    'practice.extraWords': '➕ {count} extra words spoken',
+    'practice.weak': '💡 Needs work: {words}',
+    'practice.perfect': '👏 Excellent, every word was clear!',
+    'practice.listenAgain': '🔁 Listen again',
+    'practice.next': '➡️ Next sentence',
+    'practice.stop': '⏹ Stop',
+    'practice.none': 'ℹ️ There is no shadowing practice in progress.',
+    'practice.stopped': '⏹ Shadowing practice ended.\n{attempts} attempts on this sentence, best score {best}/100.',
+    'practice.startFailed': '❌ Couldn\'t start shadowing practice: {error}',
+    'practice.scoreFailed': '❌ Pronunciation scoring failed: {error}',
+    'practice.expired': 'ℹ️ This practice has expired. Send /practice to start again.',
+
+    // 情景练习
+    'scenario.list': '🎭 Role-play scenarios\n\nPick a scenario and I\'ll play a role in it. ' +
+        'When you have completed the goals, send /scenario stop for a score and feedback.',
+    'scenario.option': '{title} ({difficulty})',
+    'scenario.started': '🎭 Scenario: {title} (difficulty {difficulty})\n\n🎯 Your goals:\n{goals}\n\n' +
+        'Reply to start the conversation, and send /scenario stop to finish and get feedback.',
+    'scenario.finish': '🏁 Finish and get feedback',
+    'scenario.goalsCompleted': '✅ Goal completed: {goals}',
+    'scenario.allGoalsCompleted': '🎉 All goals completed! Tap "Finish and get feedback" for your score.',
+    'scenario.debriefTitle': '🏁 Scenario finished: {title}',
+    'scenario.score': '⭐ Score: {score}/100',
+    'scenario.goalProgress': '🎯 Goals completed: {completed}/{total}',
+    'scenario.strengths': '👍 What went well:',
+    'scenario.improvements': '💡 What to improve:',
+    'scenario.none': 'ℹ️ There is no scenario in progress. Send /scenario to pick one.',
+    'scenario.stopped': '🏁 Scenario "{title}" ended.',
+    'scenario.notFound': '❓ Scenario "{id}" not found. Available: {ids}',
+    'scenario.failed': '❌ Scenario error: {error}',
+
+    // 生词本
+    'vocab.saveUsage': '❓ Usage: /save <word or phrase to save>',
+    'vocab.tooLong': '❓ That\'s too long. Please save words or phrases of up to {max} characters.',
+    'vocab.exists': 'ℹ️ "{text}" is already in your notebook.',
+    'vocab.saved': '💾 Saved to your notebook\n\n{item}\n\nSend /review to start reviewing',
+    'vocab.saveFailed': '❌ Couldn\'t save: {error}',
+    'vocab.listItem': '{index}. {text} — {translation} ({due})',
+    'vocab.page': '📒 Notebook ({total} items, {due} due)\n\n{items}\n\nPage {page}/{pageCount}',
+    'vocab.previous': '◀️ Previous',
+    'vocab.nextPage': 'Next ▶️',
+    'vocab.empty': '📒 Your notebook is empty.\nSend /save <word or phrase> to add one.',
+    'vocab.reviewDone': '🎉 You\'re done reviewing for today!\nNext review: {next}',
+    'vocab.reviewPrompt': '🧠 Review ({due} due)\n\n📌 {text}\n\nThink about what it means, then tap Show answer.',
+    'vocab.showAnswer': '👀 Show answer',
+    'vocab.reviewFailed': '❌ Couldn\'t load the review: {error}',
+    'vocab.notFound': '❓ This item no longer exists',
+    'vocab.reviewAnswer': '🧠 Review\n\n{item}\n\nHow well did you remember it?',
+    'vocab.listen': '🔊 Listen',
+    'vocab.grade.again': '😵 Again',
+    'vocab.grade.hard': '😓 Hard',
+    'vocab.grade.good': '🙂 Good',
+    'vocab.grade.easy': '😎 Easy',
+    'vocab.reviewGraded': '🧠 Review\n\n{item}\n\n{grade} · Next review: {next}',
+    'vocab.due.now': 'due now',
+    'vocab.due.minutes': 'in {count} min',
+    'vocab.due.hours': 'in {count} h',
+    'vocab.due.days': 'in {count} days',
+
+    // 每日推送
+    'lesson.type.word': '📖 Word of the day',
+    'lesson.type.quiz': '📝 Daily quiz',
+    'lesson.type.nudge': '👋 Practice reminder',
+    'lesson.wordTitle': '{title}: {phrase}',
+    'lesson.quizQuestion': '{title}: {question}',
+    'lesson.nudge': '{title}\n\n{status}\n🗣️ /practice shadowing practice\n🎭 /scenario role-play\n💬 or just send me a message to chat',
+    'lesson.nudgeDue': '📚 You have {due} words due for review. Send /review to start.',
+    'lesson.nudgeIdle': 'Time for a little practice today!',
+    'subscribe.status': '⏰ Daily lessons\n\nStatus: {status}\nLesson: {lesson}\nTime: every day at {time} ({timeZone})',
+    'subscribe.active': '✅ Subscribed',
+    'subscribe.inactive': '⏸️ Not subscribed',
+    'subscribe.startsTomorrow': 'Today\'s delivery time has passed, so lessons will start tomorrow.',
+    'subscribe.hintActive': 'Tap the buttons below to make changes, or send /subscribe off to unsubscribe.',
+    'subscribe.hintInactive': 'Pick a lesson to subscribe, or send e.g. /subscribe 21:30 Asia/Tokyo to choose your own time and time zone.',
+    'subscribe.timeZoneButton': '🌏 Time zone: {timeZone}',
+    'subscribe.cancel': '🔕 Unsubscribe',
+    'subscribe.privateOnly': '⏰ Please send /subscribe in a private chat with me to subscribe to daily lessons.',
+    'subscribe.cancelled': '🔕 Daily lessons cancelled. Send /subscribe to subscribe again.',
+    'subscribe.usage': '❓ Couldn\'t understand "{token}"\nUsage: /subscribe [word|quiz|nudge] [HH:MM] [time zone, e.g. Asia/Shanghai]\n' +
+        'Unsubscribe: /subscribe off',
+    'subscribe.updated': '✅ Subscription updated',
+    'subscribe.cancelledShort': '🔕 Unsubscribed',
+    'subscribe.zone.Asia/Shanghai': '🇨🇳 Beijing',
+    'subscribe.zone.Asia/Tokyo': '🇯🇵 Tokyo',
+    'subscribe.zone.Asia/Singapore': '🇸🇬 Singapore',
+    'subscribe.zone.Europe/London': '🇬🇧 London',
+    'subscribe.zone.Europe/Berlin': '🇩🇪 Berlin',
+    'subscribe.zone.America/New_York': '🇺🇸 New York',
+    'subscribe.zone.America/Los_Angeles': '🇺🇸 Los Angeles',
+    'subscribe.zone.UTC': '🌐 UTC',
+
+    // 水平测试
+    'level.name.A1': 'Beginner',
+    'level.name.A2': 'Elementary',
+    'level.name.B1': 'Intermediate',
+    'level.name.B2': 'Upper intermediate',
+    'level.name.C1': 'Advanced',
+    'level.name.C2': 'Proficient',
+    'level.skill.reading': '📖 Reading',
+    'level.skill.grammar': '✏️ Grammar',
+    'level.skill.listening': '🎧 Listening',
+    'level.skip': '🤷 I don\'t know',
+    'level.questionHeader': '📝 Level test {number}/{total} ({skill})',
+    'level.listeningQuestion': '{header}\n\nListen to the recording and answer:\n❓ {question}\n\n{options}',
+    'level.question': '{header}\n\n{passage}\n\n❓ {question}\n\n{options}',
+    'level.questionFailed': '❌ Couldn\'t create a question: {error}\n\nSend /level to try again, or /level stop to quit the test.',
+    'level.skillScore': '{skill}: {correct}/{total}',
+    'level.result': '🎓 **Level test complete!**\n\nYour level: **{level}**\n\n{scores}\n\n' +
+        'From now on I\'ll adjust my vocabulary and speaking rate to this level, and reassess it from our conversations from time to time.\n' +
+        'You can also change your level manually in /settings.',
+    'level.stopped': '⏹ Level test abandoned.',
+    'level.none': 'There is no level test in progress.',
+    'level.inProgress': '📝 A level test is in progress. Answer the question above, or send /level stop to quit.',
+    'level.unavailable': '❌ The level test is temporarily unavailable; it requires a configured language model.',
+    'level.current': 'Current level: {level}',
+    'level.untested': 'You haven\'t taken the level test yet.',
+    'level.intro': '📈 CEFR level test ({language})\n\n{current}\n\n' +
+        'The test has {count} reading, grammar and listening questions. The difficulty adapts to your answers, ' +
+        'and it takes about 5 minutes.',
+    'level.start': '▶️ Start the test',
+    'level.answerExpired': '❓ This question has already been answered or the test has ended',
+    'level.correct': '✅ Correct',
+    'level.wrong': '❌ Correct answer: {answer}',
+    'level.reviewed': '📈 Based on our recent conversations, your level is now {level}.\n' +
+        'I\'ll adjust our chats to this level. Send /level to take the test again.',
+    'level.reviewedUp': '📈 Based on our recent conversations, your level is now {level}. 🎉 Great progress!\n' +
+        'I\'ll adjust our chats to this level. Send /level to take the test again.',
+
+    // 用量
+    'usage.tier.free': 'Free',
+    'usage.tier.premium': 'Premium',
+    'usage.rateLimited': '⏳ Too many messages. You can send up to {limit} per minute, please try again shortly.',
+    'usage.busy': '⏳ Lots of people are using the bot right now, please try again shortly.',
+    'usage.tokensExceeded': '📊 You have used today\'s AI chat allowance ({limit} tokens). See you tomorrow! Send /usage to check your usage.',
+    'usage.audioExceeded': '📊 Not enough speech recognition allowance left today ({limit} seconds per day). Send /usage to check your usage.',
+    'usage.charactersExceeded': '📊 Not enough translation/speech allowance left today ({limit} characters per day). ' +
+        'Send /usage to check your usage.',
+    'usage.globalExceeded': '📊 The service has reached its total limit for today, please try again tomorrow.',
+    'usage.seconds': ' s',
+    'usage.report': '📊 **Today\'s usage** (UTC {day})\n\nPlan: {tier}\n💬 Messages: {messages}\n🧠 AI tokens: {tokens}\n' +
+        '🎙️ Speech recognition: {audio}\n🌐 Translation/speech characters: {characters}\n\n⏱ Up to {perMinute} messages per minute',
+
+    // 记忆
+    'memory.name': '👤 Name: {name}',
+    'memory.goals': '🎯 Goals: {goals}',
+    'memory.interests': '❤️ Interests: {interests}',
+    'memory.commonErrors': '⚠️ Common mistakes:\n{errors}',
+    'memory.summary': '📝 Conversation summary:\n{summary}',
+    'memory.empty': '🧠 I don\'t remember anything about you yet. Let\'s chat some more!',
+    'memory.text': '🧠 **What I remember about you**\n\n{items}\n\n🧹 Send /reset to clear the chat history and memory.',
+
+    // 图片
+    'photo.text': '📷 Text in the image\n{text}',
+    'photo.textWithLanguage': '📷 Text in the image ({language})\n{text}',
+    'photo.translation': '🌐 Translation\n{translation}',
+    'photo.noText': '📷 No text found in the image',
+    'photo.vocabulary': '📚 Key vocabulary\n{items}',
+    'photo.unavailable': '❌ Image recognition is temporarily unavailable; it requires a model that supports images (such as Gemini).',
+    'photo.unsupported': '❌ Unsupported image format. Please send a JPG, PNG, WebP or HEIC image.',
+    'photo.tooLarge': '❌ The image is too large. I can only process files up to 20 MB.',
+    'photo.failed': '❌ Image recognition failed: {error}',
+
+    // 导出
+    'export.title': 'SpeakMate conversation',
+    'export.role.user': '🧑 Me',
+    'export.role.model': '🤖 SpeakMate',
+    'export.exportedAt': 'Exported: {time}',
+    'export.learningLanguage': 'Learning language: {language}',
+    'export.nativeLanguage': 'Native language: {language}',
+    'export.entries': 'Messages: {count}',
+    'export.grammarNotes': 'Grammar notes',
+    'export.usage': '❓ Usage: /export [md|html|csv]',
+    'export.empty': '📭 There is no conversation to export yet. Let\'s chat first!',
+    'export.caption': '📤 Conversation ({count} messages)',
+    'export.failed': '❌ Export failed: {error}',
+
+    // 错误
+    'telegram.downloadFailed': 'Failed to download the file: {error}',
+    'telegram.voiceFailed': 'Failed to send the voice message: {error}',
+    'telegram.documentFailed': 'Failed to send the file: {error}',
+    'llm.unsupportedMedia': 'Unsupported media type: {mimeType}',
+    'llm.error.API_KEY_INVALID': 'Invalid API key or insufficient permissions',
+    'llm.error.QUOTA_EXCEEDED': 'API quota exhausted, please wait for it to reset',
+    'llm.error.BAD_REQUEST': 'Malformed request or content blocked by the safety filter',
+    'llm.error.CONTENT_BLOCKED': 'Content blocked by the safety filter, please rephrase your question',
+    'llm.error.NO_RESPONSE': 'The model returned no valid reply',
+    'llm.error.SERVER_ERROR': 'The model service is temporarily unavailable',
+    'llm.error.HTTP_ERROR': 'The model service returned an unexpected status',
+    'llm.error.NETWORK_ERROR': 'Network connection failed, please check your network settings',
+    'llm.error.TIMEOUT_ERROR': 'The request timed out, please try again later',
+    'llm.error.NOT_CONFIGURED': 'No model provider is available',
+    'llm.error.UNEXPECTED_ERROR': 'Unknown error',
+
+    // 命令菜单（setMyCommands）
+    'commands.help': 'How to use the bot',
+    'commands.reset': 'Clear chat history and memory',
+    'commands.memory': 'See what I remember about you',
+    'commands.usage': 'Show today\'s usage',
+    'commands.settings': 'Languages, voice, speaking rate and interface language',
+    'commands.level': 'CEFR level test',
+    'commands.practice': 'Shadowing practice with pronunciation scores',
+    'commands.scenario': 'Role-play conversation practice',
+    'commands.tutor': 'Toggle grammar tutor mode',
+    'commands.save': 'Save a word or phrase to your notebook',
+    'commands.review': 'Review saved words',
+    'commands.vocab': 'Browse your vocabulary notebook',
+    'commands.voicechat': 'Toggle voice chat mode',
+    'commands.subscribe': 'Subscribe to daily lessons',
+    'commands.export': 'Export your conversation',
+    'commands.group': 'Group settings',
+    'commands.translate': 'Translate text',
+    'commands.tts': 'Text to speech'
+};
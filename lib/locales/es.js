@@ -0,0 +1,354 @@
+// 西班牙文语言包
+module.exports = {
+    'locale.name': '🇪🇸 Español',
+
+    // 通用
+    'common.back': '⬅️ Volver',
+    'common.actionFailed': '❌ Algo salió mal, inténtalo de nuevo más tarde.',
+    'common.notYourMenu': '🙅 Este menú es de otro miembro, envía el comando tú mismo para abrir el tuyo',
+    'common.unavailable': '❌ El servicio no está disponible en este momento, inténtalo de nuevo más tarde.',
+    'common.listSeparator': ', ',
+    'common.labelValue': '{label}: {value}',
+    'common.badModelOutput': 'El modelo devolvió una respuesta con un formato inesperado',
+    'access.inviteOnly': '🔒 Por ahora SpeakMate solo está disponible por invitación.',
+
+    // 帮助
+    'help.text': `🤖 ¡Bienvenido a SpeakMate, tu compañero de idiomas con IA!
+
+Esto es lo que puedo hacer:
+
+🧠 **Chat con IA**: escribe un mensaje para empezar a conversar
+🌐 **Traducción**: /translate <texto>
+🔊 **Texto a voz**: /tts <texto>
+🎙️ **Reconocimiento de voz**: envía una nota de voz, un archivo de audio o un videomensaje y lo transcribo, detectando el idioma automáticamente
+📷 **Lectura de fotos**: envía una foto de un menú, un cartel o un libro de texto y te doy el texto, una traducción y el vocabulario clave; puedes preguntar algo en el pie de foto
+🗣️ **Práctica de repetición**: /practice [tema], repite una frase modelo y recibe una puntuación de pronunciación palabra por palabra
+💾 **Cuaderno de vocabulario**: /save <palabra o frase> para guardar, /review para repasar, /vocab para consultar
+🗣️ **Modo de chat por voz**: /voicechat, habla con la IA por voz y escucha sus respuestas
+✍️ **Modo tutor de gramática**: /tutor, señala y explica tus errores mientras conversamos
+🎭 **Juegos de rol**: /scenario, practica en un restaurante, una entrevista de trabajo, un aeropuerto y más, y recibe una puntuación
+📈 **Prueba de nivel**: /level, preguntas de lectura, gramática y comprensión auditiva para situarte en el MCER (A1–C2); la dificultad del chat y la velocidad de lectura se adaptan a tu nivel
+⚙️ **Ajustes**: /settings (idiomas, voz, velocidad de lectura, idioma de la interfaz)
+👥 **Grupos**: mencióname o responde a mis mensajes en un grupo; cada miembro tiene su propio contexto. Los administradores pueden activar la traducción automática con /group
+⏰ **Lecciones diarias**: /subscribe, recibe cada día la palabra del día, un test o un recordatorio para practicar
+📤 **Exportar**: /export [md|html|csv], tu conversación con traducciones y notas gramaticales para repasar sin conexión
+📊 **Uso**: /usage
+🧠 **Memoria a largo plazo**: /memory muestra lo que recuerdo de tu nombre, objetivos, intereses y errores frecuentes
+🧹 **Borrar el historial y la memoria**: /reset
+
+¡Escribe un mensaje para empezar a chatear,
+o envía una nota de voz para probar el reconocimiento de voz!`,
+    'reset.done': '🧹 Se han borrado el contexto de la conversación y la memoria.',
+
+    // 语音识别
+    'voice.tooLarge': '❌ El archivo es demasiado grande. Solo puedo procesar audio de hasta 20 MB.',
+    'voice.recognizing': '🎙️ Transcribiendo tu mensaje de voz...',
+    'voice.recognizingProgress': '🎙️ Transcribiendo tu mensaje de voz... ({percent}%)',
+    'voice.empty': '(No se reconoció ninguna voz)',
+    'voice.done': '🎙️ Transcripción completada',
+    'voice.youSaid': '🗣️ Dijiste: {text}',
+    'voice.result': '🎯 Transcripción: {text}',
+    'voice.resultWithLanguage': '🎯 Transcripción ({language}): {text}',
+    'voice.failed': '❌ Error en el reconocimiento de voz: {error}',
+    'voice.unsupportedFormat': 'Formato de audio no compatible: {mimeType}',
+
+    // 翻译和朗读
+    'translate.usage': '❓ Uso: /translate <texto que traducir>',
+    'translate.result': '🌐 Traducción:\n{text}',
+    'translate.failed': '❌ Error en la traducción: {error}',
+    'tts.usage': '❓ Uso: /tts <texto que leer en voz alta>',
+    'tts.failed': '❌ Error en la síntesis de voz: {error}',
+
+    // 个人设置
+    'settings.text': '⚙️ Ajustes actuales\n\n{fields}\n\nPulsa un botón para cambiar un ajuste:',
+    'settings.field.nativeLanguage': '🏠 Idioma nativo',
+    'settings.field.learningLanguage': '🎯 Idioma que aprendes',
+    'settings.field.sttLanguage': '🎙️ Idioma del reconocimiento de voz',
+    'settings.field.ttsVoice': '🔊 Voz',
+    'settings.field.speakingRate': '⏩ Velocidad de lectura',
+    'settings.field.replyMode': '💬 Formato de respuesta de la IA',
+    'settings.field.level': '📈 Nivel',
+    'settings.field.interfaceLanguage': '🌍 Idioma de la interfaz',
+    'settings.replyMode.text': '💬 Solo texto',
+    'settings.replyMode.voice': '🔊 Solo voz',
+    'settings.replyMode.both': '💬+🔊 Texto y voz',
+    'settings.levelUntested': 'Sin evaluar (envía /level para hacer la prueba)',
+    'settings.interfaceAuto': '🔄 Igual que Telegram',
+    'settings.unknownField': '❓ Ajuste desconocido',
+    'settings.staleOption': '❓ Esta opción ya no es válida, vuelve a elegir',
+    'settings.updated': '✅ {field} actualizado',
+
+    // 群组
+    'group.welcome': '👋 ¡Hola a todos, soy SpeakMate! Enviad /help para ver lo que puedo hacer.',
+    'group.mentionHint': '👋 ¿En qué puedo ayudarte? Mencióname con tu pregunta para chatear, o envía /help para ver todas las funciones.',
+    'group.field.nativeLanguage': '🏠 Idioma nativo del grupo',
+    'group.field.learningLanguage': '🎯 Idioma que aprende el grupo',
+    'group.settingsText': '👥 Ajustes del grupo\n\n🌐 Traducir automáticamente todos los mensajes: {autoTranslate}\n{fields}\n\n' +
+        'Con la traducción automática activada, se traduce cada mensaje del grupo: los mensajes en el idioma que se aprende ' +
+        'al idioma nativo y el resto al idioma que se aprende.\n' +
+        '⚠️ Para recibir todos los mensajes, el bot necesita el modo de privacidad desactivado en @BotFather (/setprivacy) o permisos de administrador.',
+    'group.autoTranslateOn': '✅ Activada',
+    'group.autoTranslateOff': '⏸️ Desactivada',
+    'group.enable': '🌐 Activar traducción automática',
+    'group.disable': '⏸️ Desactivar traducción automática',
+    'group.enabled': '🌐 Traducción automática activada',
+    'group.disabled': '⏸️ Traducción automática desactivada',
+    'group.groupOnly': '👥 /group solo se puede usar en grupos.',
+    'group.adminOnly': '🔒 Solo los administradores del grupo pueden cambiar sus ajustes.',
+
+    // AI 聊天
+    'chat.notConfigured': '❌ El chat con IA no está disponible en este momento.\n\n' +
+        'Comprueba que la variable de entorno GOOGLE_AI_API_KEY o LLM_PROVIDER_CHAIN esté bien configurada.',
+    'chat.noReply': 'Lo siento, no he podido generar una respuesta.',
+    'chat.unavailable': '❌ El chat con IA no está disponible en este momento',
+    'chat.error.apiKey': '🔑 Problema con la clave de API:\n• Comprueba que la clave de API del proveedor del modelo sea correcta\n' +
+        '• Asegúrate de que la clave sea válida y no haya caducado',
+    'chat.error.quota': '📊 Cuota superada:\n• Se ha agotado la cuota del servicio del modelo\n• Espera a que se restablezca o mejora tu plan',
+    'chat.error.badRequest': '🚫 Solicitud no válida:\n• Tu mensaje puede contener contenido no compatible\n• Intenta reformular tu pregunta',
+    'chat.error.details': '🔍 Detalles del error: {error}',
+
+    // 语音对话模式
+    'voicechat.usage': '❓ Uso: /voicechat [on|off|text|voice|both]',
+    'voicechat.on': '🗣️ Modo de chat por voz activado.\n\nEnvía una nota de voz para hablar conmigo (idioma de reconocimiento: {language}).\n' +
+        'Formato de respuesta: {replyMode}\n\nCambiar el formato de respuesta: /voicechat text | voice | both\nDesactivar: /voicechat off',
+    'voicechat.off': '💬 Modo de chat por voz desactivado; las notas de voz solo se transcribirán.\nFormato de respuesta: {replyMode}',
+
+    // 回复下方的操作按钮
+    'action.listen': '🔊 Escuchar',
+    'action.translate': '🌐 Traducir',
+    'action.explain': '✍️ Explicar gramática',
+    'action.save': '💾 Guardar frase',
+    'action.regenerate': '🔁 Regenerar',
+    'action.explanation': '✍️ Explicación gramatical\n\n{text}',
+    'action.expired': '⌛ Este mensaje ha caducado y ya no se puede usar',
+    'action.notYours': '🙅 Solo puedes regenerar las respuestas a tus propios mensajes',
+    'action.failed': '❌ La acción ha fallado: {error}',
+
+    // 语法纠错模式
+    'tutor.title': '✍️ Corrección',
+    'tutor.noErrors': '✍️ Corrección: ✅ No he encontrado errores, ¡muy bien!',
+    'tutor.on': '✍️ Modo tutor de gramática activado.\nSeñalaré los errores de tus mensajes antes de seguir conversando. Envía /tutor off para desactivarlo.',
+    'tutor.off': '💬 Modo tutor de gramática desactivado; volvemos al chat normal.',
+
+    // 跟读练习
+    'practice.prompt': '🗣️ Práctica de repetición\n\n{text}\n\n🎧 Escucha la pronunciación modelo y luego envía una nota de voz repitiéndola.\n' +
+        'Envía /practice stop para terminar la práctica.',
+    'practice.score': '🎯 Puntuación de pronunciación: {score}/100 {stars}',
+    'practice.target': '📝 Frase modelo: {text}',
+    'practice.heard': '👂 Reconocido: {text}',
+    'practice.words': 'Puntuación por palabra:',
+    'practice.word.missing': '❌ {word} — no se pronunció',
+    'practice.word.substituted': '❌ {word} {score} → se entendió «{heard}» ({time})',
+    'practice.extraWords': '➕ {count} palabras de más',
+    'practice.weak': '💡 Para practicar: {words}',
+    'practice.perfect': '👏 ¡Excelente, todas las palabras se oyeron claras!',
+    'practice.listenAgain': '🔁 Escuchar otra vez',
+    'practice.next': '➡️ Siguiente frase',
+    'practice.stop': '⏹ Terminar',
+    'practice.none': 'ℹ️ No hay ninguna práctica de repetición en curso.',
+    'practice.stopped': '⏹ Práctica de repetición terminada.\n{attempts} intentos con esta frase, mejor puntuación {best}/100.',
+    'practice.startFailed': '❌ No se pudo iniciar la práctica de repetición: {error}',
+    'practice.scoreFailed': '❌ Error al puntuar la pronunciación: {error}',
+    'practice.expired': 'ℹ️ La práctica ha caducado. Envía /practice para empezar de nuevo.',
+
+    // 情景练习
+    'scenario.list': '🎭 Juegos de rol\n\nElige una situación y yo interpretaré un papel en ella. ' +
+        'Cuando cumplas los objetivos, envía /scenario stop para recibir una puntuación y comentarios.',
+    'scenario.option': '{title} ({difficulty})',
+    'scenario.started': '🎭 Juego de rol: {title} (dificultad {difficulty})\n\n🎯 Tus objetivos:\n{goals}\n\n' +
+        'Responde para empezar la conversación y envía /scenario stop para terminar y recibir comentarios.',
+    'scenario.finish': '🏁 Terminar y evaluar',
+    'scenario.goalsCompleted': '✅ Objetivo cumplido: {goals}',
+    'scenario.allGoalsCompleted': '🎉 ¡Has cumplido todos los objetivos! Pulsa «Terminar y evaluar» para ver tu puntuación.',
+    'scenario.debriefTitle': '🏁 Juego de rol terminado: {title}',
+    'scenario.score': '⭐ Puntuación: {score}/100',
+    'scenario.goalProgress': '🎯 Objetivos cumplidos: {completed}/{total}',
+    'scenario.strengths': '👍 Lo que hiciste bien:',
+    'scenario.improvements': '💡 Qué mejorar:',
+    'scenario.none': 'ℹ️ No hay ningún juego de rol en curso. Envía /scenario para elegir uno.',
+    'scenario.stopped': '🏁 Juego de rol «{title}» terminado.',
+    'scenario.notFound': '❓ No se encontró la situación «{id}». Disponibles: {ids}',
+    'scenario.failed': '❌ Error en el juego de rol: {error}',
+
+    // 生词本
+    'vocab.saveUsage': '❓ Uso: /save <palabra o frase que guardar>',
+    'vocab.tooLong': '❓ Es demasiado largo. Guarda palabras o frases de hasta {max} caracteres.',
+    'vocab.exists': 'ℹ️ «{text}» ya está en tu cuaderno.',
+    'vocab.saved': '💾 Guardado en tu cuaderno\n\n{item}\n\nEnvía /review para empezar a repasar',
+    'vocab.saveFailed': '❌ No se pudo guardar: {error}',
+    'vocab.listItem': '{index}. {text} — {translation} ({due})',
+    'vocab.page': '📒 Cuaderno ({total} en total, {due} por repasar)\n\n{items}\n\nPágina {page}/{pageCount}',
+    'vocab.previous': '◀️ Anterior',
+    'vocab.nextPage': 'Siguiente ▶️',
+    'vocab.empty': '📒 Tu cuaderno está vacío.\nEnvía /save <palabra o frase> para añadir una.',
+    'vocab.reviewDone': '🎉 ¡Has terminado el repaso de hoy!\nPróximo repaso: {next}',
+    'vocab.reviewPrompt': '🧠 Repaso ({due} por repasar)\n\n📌 {text}\n\nPiensa en su significado y luego pulsa Ver respuesta.',
+    'vocab.showAnswer': '👀 Ver respuesta',
+    'vocab.reviewFailed': '❌ No se pudo cargar el repaso: {error}',
+    'vocab.notFound': '❓ Esta palabra ya no existe',
+    'vocab.reviewAnswer': '🧠 Repaso\n\n{item}\n\n¿Qué tal la recordabas?',
+    'vocab.listen': '🔊 Escuchar',
+    'vocab.grade.again': '😵 Otra vez',
+    'vocab.grade.hard': '😓 Difícil',
+    'vocab.grade.good': '🙂 Bien',
+    'vocab.grade.easy': '😎 Fácil',
+    'vocab.reviewGraded': '🧠 Repaso\n\n{item}\n\n{grade} · Próximo repaso: {next}',
+    'vocab.due.now': 'pendiente',
+    'vocab.due.minutes': 'en {count} min',
+    'vocab.due.hours': 'en {count} h',
+    'vocab.due.days': 'en {count} días',
+
+    // 每日推送
+    'lesson.type.word': '📖 Palabra del día',
+    'lesson.type.quiz': '📝 Test del día',
+    'lesson.type.nudge': '👋 Recordatorio para practicar',
+    'lesson.wordTitle': '{title}: {phrase}',
+    'lesson.quizQuestion': '{title}: {question}',
+    'lesson.nudge': '{title}\n\n{status}\n🗣️ /practice práctica de repetición\n🎭 /scenario juego de rol\n💬 o simplemente escríbeme para chatear',
+    'lesson.nudgeDue': '📚 Tienes {due} palabras por repasar. Envía /review para empezar.',
+    'lesson.nudgeIdle': '¡Hoy también toca practicar un poco!',
+    'subscribe.status': '⏰ Lecciones diarias\n\nEstado: {status}\nContenido: {lesson}\nHora: todos los días a las {time} ({timeZone})',
+    'subscribe.active': '✅ Suscrito',
+    'subscribe.inactive': '⏸️ Sin suscripción',
+    'subscribe.startsTomorrow': 'La hora de envío de hoy ya ha pasado, así que empezarás a recibirlas mañana.',
+    'subscribe.hintActive': 'Pulsa los botones para hacer cambios o envía /subscribe off para cancelar la suscripción.',
+    'subscribe.hintInactive': 'Elige un contenido para suscribirte o envía, por ejemplo, /subscribe 21:30 Europe/Madrid para elegir hora y zona horaria.',
+    'subscribe.timeZoneButton': '🌏 Zona horaria: {timeZone}',
+    'subscribe.cancel': '🔕 Cancelar suscripción',
+    'subscribe.privateOnly': '⏰ Envía /subscribe en un chat privado conmigo para suscribirte a las lecciones diarias.',
+    'subscribe.cancelled': '🔕 Lecciones diarias canceladas. Envía /subscribe para volver a suscribirte.',
+    'subscribe.usage': '❓ No entiendo «{token}»\nUso: /subscribe [word|quiz|nudge] [HH:MM] [zona horaria, p. ej. Europe/Madrid]\n' +
+        'Cancelar: /subscribe off',
+    'subscribe.updated': '✅ Suscripción actualizada',
+    'subscribe.cancelledShort': '🔕 Suscripción cancelada',
+    'subscribe.zone.Asia/Shanghai': '🇨🇳 Pekín',
+    'subscribe.zone.Asia/Tokyo': '🇯🇵 Tokio',
+    'subscribe.zone.Asia/Singapore': '🇸🇬 Singapur',
+    'subscribe.zone.Europe/London': '🇬🇧 Londres',
+    'subscribe.zone.Europe/Berlin': '🇩🇪 Berlín',
+    'subscribe.zone.America/New_York': '🇺🇸 Nueva York',
+    'subscribe.zone.America/Los_Angeles': '🇺🇸 Los Ángeles',
+    'subscribe.zone.UTC': '🌐 UTC',
+
+    // 水平测试
+    'level.name.A1': 'Principiante',
+    'level.name.A2': 'Elemental',
+    'level.name.B1': 'Intermedio',
+    'level.name.B2': 'Intermedio alto',
+    'level.name.C1': 'Avanzado',
+    'level.name.C2': 'Maestría',
+    'level.skill.reading': '📖 Lectura',
+    'level.skill.grammar': '✏️ Gramática',
+    'level.skill.listening': '🎧 Comprensión auditiva',
+    'level.skip': '🤷 No lo sé',
+    'level.questionHeader': '📝 Prueba de nivel {number}/{total} ({skill})',
+    'level.listeningQuestion': '{header}\n\nEscucha la grabación y responde:\n❓ {question}\n\n{options}',
+    'level.question': '{header}\n\n{passage}\n\n❓ {question}\n\n{options}',
+    'level.questionFailed': '❌ No se pudo crear la pregunta: {error}\n\nEnvía /level para reintentar o /level stop para abandonar la prueba.',
+    'level.skillScore': '{skill}: {correct}/{total}',
+    'level.result': '🎓 **¡Prueba de nivel completada!**\n\nTu nivel: **{level}**\n\n{scores}\n\n' +
+        'A partir de ahora adaptaré el vocabulario y la velocidad de lectura a este nivel, y lo reevaluaré de vez en cuando según nuestras conversaciones.\n' +
+        'También puedes cambiar tu nivel manualmente en /settings.',
+    'level.stopped': '⏹ Prueba de nivel abandonada.',
+    'level.none': 'No hay ninguna prueba de nivel en curso.',
+    'level.inProgress': '📝 Tienes una prueba de nivel en curso. Responde a la pregunta de arriba o envía /level stop para abandonarla.',
+    'level.unavailable': '❌ La prueba de nivel no está disponible en este momento; necesita un modelo de lenguaje configurado.',
+    'level.current': 'Nivel actual: {level}',
+    'level.untested': 'Todavía no has hecho la prueba de nivel.',
+    'level.intro': '📈 Prueba de nivel MCER ({language})\n\n{current}\n\n' +
+        'La prueba tiene {count} preguntas de lectura, gramática y comprensión auditiva. La dificultad se adapta a tus respuestas ' +
+        'y dura unos 5 minutos.',
+    'level.start': '▶️ Empezar la prueba',
+    'level.answerExpired': '❓ Esta pregunta ya se respondió o la prueba ha terminado',
+    'level.correct': '✅ Correcto',
+    'level.wrong': '❌ Respuesta correcta: {answer}',
+    'level.reviewed': '📈 Según nuestras conversaciones recientes, tu nivel ahora es {level}.\n' +
+        'Adaptaré nuestros chats a este nivel. Envía /level para repetir la prueba.',
+    'level.reviewedUp': '📈 Según nuestras conversaciones recientes, tu nivel ahora es {level}. 🎉 ¡Has progresado!\n' +
+        'Adaptaré nuestros chats a este nivel. Envía /level para repetir la prueba.',
+
+    // 用量
+    'usage.tier.free': 'Gratuito',
+    'usage.tier.premium': 'Premium',
+    'usage.rateLimited': '⏳ Demasiados mensajes. Puedes enviar hasta {limit} por minuto, inténtalo de nuevo en un momento.',
+    'usage.busy': '⏳ Hay mucha gente usando el bot ahora mismo, inténtalo de nuevo en un momento.',
+    'usage.tokensExceeded': '📊 Has agotado el límite diario de chat con IA ({limit} tokens). ¡Hasta mañana! Envía /usage para ver tu uso.',
+    'usage.audioExceeded': '📊 No te queda suficiente reconocimiento de voz hoy ({limit} segundos al día). Envía /usage para ver tu uso.',
+    'usage.charactersExceeded': '📊 No te quedan suficientes caracteres de traducción/voz hoy ({limit} caracteres al día). ' +
+        'Envía /usage para ver tu uso.',
+    'usage.globalExceeded': '📊 El servicio ha alcanzado su límite total de hoy, inténtalo de nuevo mañana.',
+    'usage.seconds': ' s',
+    'usage.report': '📊 **Uso de hoy** (UTC {day})\n\nPlan: {tier}\n💬 Mensajes: {messages}\n🧠 Tokens de IA: {tokens}\n' +
+        '🎙️ Reconocimiento de voz: {audio}\n🌐 Caracteres de traducción/voz: {characters}\n\n⏱ Hasta {perMinute} mensajes por minuto',
+
+    // 记忆
+    'memory.name': '👤 Nombre: {name}',
+    'memory.goals': '🎯 Objetivos: {goals}',
+    'memory.interests': '❤️ Intereses: {interests}',
+    'memory.commonErrors': '⚠️ Errores frecuentes:\n{errors}',
+    'memory.summary': '📝 Resumen de la conversación:\n{summary}',
+    'memory.empty': '🧠 Todavía no recuerdo nada sobre ti. ¡Sigamos conversando!',
+    'memory.text': '🧠 **Lo que recuerdo de ti**\n\n{items}\n\n🧹 Envía /reset para borrar el historial del chat y la memoria.',
+
+    // 图片
+    'photo.text': '📷 Texto de la imagen\n{text}',
+    'photo.textWithLanguage': '📷 Texto de la imagen ({language})\n{text}',
+    'photo.translation': '🌐 Traducción\n{translation}',
+    'photo.noText': '📷 No se encontró texto en la imagen',
+    'photo.vocabulary': '📚 Vocabulario clave\n{items}',
+    'photo.unavailable': '❌ El reconocimiento de imágenes no está disponible; necesita un modelo que admita imágenes (como Gemini).',
+    'photo.unsupported': '❌ Formato de imagen no compatible. Envía una imagen JPG, PNG, WebP o HEIC.',
+    'photo.tooLarge': '❌ La imagen es demasiado grande. Solo puedo procesar archivos de hasta 20 MB.',
+    'photo.failed': '❌ Error en el reconocimiento de la imagen: {error}',
+
+    // 导出
+    'export.title': 'Conversación de SpeakMate',
+    'export.role.user': '🧑 Yo',
+    'export.role.model': '🤖 SpeakMate',
+    'export.exportedAt': 'Exportado: {time}',
+    'export.learningLanguage': 'Idioma que aprendes: {language}',
+    'export.nativeLanguage': 'Idioma nativo: {language}',
+    'export.entries': 'Mensajes: {count}',
+    'export.grammarNotes': 'Notas gramaticales',
+    'export.usage': '❓ Uso: /export [md|html|csv]',
+    'export.empty': '📭 Todavía no hay ninguna conversación que exportar. ¡Charlemos primero!',
+    'export.caption': '📤 Conversación ({count} mensajes)',
+    'export.failed': '❌ Error al exportar: {error}',
+
+    // 错误
+    'telegram.downloadFailed': 'No se pudo descargar el archivo: {error}',
+    'telegram.voiceFailed': 'No se pudo enviar el mensaje de voz: {error}',
+    'telegram.documentFailed': 'No se pudo enviar el archivo: {error}',
+    'llm.unsupportedMedia': 'Tipo de contenido no compatible: {mimeType}',
+    'llm.error.API_KEY_INVALID': 'Clave de API no válida o sin permisos',
+    'llm.error.QUOTA_EXCEEDED': 'Cuota de la API agotada, espera a que se restablezca',
+    'llm.error.BAD_REQUEST': 'Solicitud mal formada o contenido bloqueado por el filtro de seguridad',
+    'llm.error.CONTENT_BLOCKED': 'Contenido bloqueado por el filtro de seguridad, reformula tu pregunta',
+    'llm.error.NO_RESPONSE': 'El modelo no devolvió ninguna respuesta válida',
+    'llm.error.SERVER_ERROR': 'El servicio del modelo no está disponible en este momento',
+    'llm.error.HTTP_ERROR': 'El servicio del modelo devolvió un estado inesperado',
+    'llm.error.NETWORK_ERROR': 'Error de conexión de red, revisa la configuración de red',
+    'llm.error.TIMEOUT_ERROR': 'La solicitud ha excedido el tiempo de espera, inténtalo de nuevo más tarde',
+    'llm.error.NOT_CONFIGURED': 'No hay ningún proveedor de modelos disponible',
+    'llm.error.UNEXPECTED_ERROR': 'Error desconocido',
+
+    // 命令菜单（setMyCommands）
+    'commands.help': 'Cómo usar el bot',
+    'commands.reset': 'Borrar el historial y la memoria',
+    'commands.memory': 'Lo que recuerdo de ti',
+    'commands.usage': 'Ver el uso de hoy',
+    'commands.settings': 'Idiomas, voz, velocidad e idioma de la interfaz',
+    'commands.level': 'Prueba de nivel MCER',
+    'commands.practice': 'Práctica de repetición con puntuación',
+    'commands.scenario': 'Practicar conversaciones con juegos de rol',
+    'commands.tutor': 'Activar o desactivar el tutor de gramática',
+    'commands.save': 'Guardar una palabra o frase en el cuaderno',
+    'commands.review': 'Repasar vocabulario',
+    'commands.vocab': 'Ver el cuaderno de vocabulario',
+    'commands.voicechat': 'Activar o desactivar el chat por voz',
+    'commands.subscribe': 'Suscribirse a lecciones diarias',
+    'commands.export': 'Exportar la conversación',
+    'commands.group': 'Ajustes del grupo',
+    'commands.translate': 'Traducir texto',
+    'commands.tts': 'Texto a voz'
+};
@@ -0,0 +1,350 @@
+// 日文语言包
+module.exports = {
+    'locale.name': '🇯🇵 日本語',
+
+    // 通用
+    'common.back': '⬅️ 戻る',
+    'common.actionFailed': '❌ 操作に失敗しました。しばらくしてからもう一度お試しください。',
+    'common.notYourMenu': '🙅 これは他のメンバーのメニューです。自分でコマンドを送って開いてください',
+    'common.unavailable': '❌ サービスは一時的に利用できません。しばらくしてからもう一度お試しください。',
+    'common.listSeparator': '、',
+    'common.labelValue': '{label}：{value}',
+    'common.badModelOutput': 'モデルの応答形式が正しくありません',
+    'access.inviteOnly': '🔒 SpeakMate は現在、招待されたユーザーのみご利用いただけます。',
+
+    // 帮助
+    'help.text': `🤖 SpeakMate AI ボットへようこそ！
+
+できること：
+
+🧠 **AI チャット**：メッセージを送るだけで会話できます
+🌐 **翻訳**：/translate <テキスト>
+🔊 **読み上げ**：/tts <テキスト>
+🎙️ **音声認識**：ボイスメッセージ、音声ファイル、ビデオメッセージを送ると文字に起こします（言語は自動判定）
+📷 **画像認識**：メニューや看板、教科書の写真を送ると、文字、翻訳、重要語句を返します。キャプションで質問もできます
+🗣️ **シャドーイング**：/practice [テーマ]、お手本の文をまねして単語ごとの発音スコアをもらえます
+💾 **単語帳**：/save <単語やフレーズ> で保存、/review で復習、/vocab で一覧
+🗣️ **音声会話モード**：/voicechat、音声で AI と会話し、音声で返事を聞けます
+✍️ **文法添削モード**：/tutor、チャット中の間違いを指摘して説明します
+🎭 **ロールプレイ**：/scenario、レストラン、面接、空港などの場面で会話練習をして採点を受けられます
+📈 **レベルテスト**：/level、読解・文法・リスニングの問題で CEFR レベル（A1–C2）を判定し、会話の難易度と読み上げ速度を調整します
+⚙️ **個人設定**：/settings（言語、音声、読み上げ速度、表示言語）
+👥 **グループ**：グループで私をメンションするか、私のメッセージに返信すると会話できます。メンバーごとに会話は独立しています。管理者は /group で自動翻訳をオンにできます
+⏰ **毎日の配信**：/subscribe、毎日決まった時間に今日の単語、ミニクイズ、練習リマインダーが届きます
+📤 **会話のエクスポート**：/export [md|html|csv]、翻訳と文法メモ付きでオフライン復習に便利です
+📊 **利用状況**：/usage
+🧠 **長期記憶**：/memory で、私が覚えているあなたの呼び名、目標、興味、よくある間違いを確認できます
+🧹 **チャット履歴と記憶の消去**：/reset
+
+メッセージを送ってチャットを始めましょう！
+ボイスメッセージを送って音声認識を試すこともできます。`,
+    'reset.done': '🧹 会話の文脈と記憶を消去しました。',
+
+    // 语音识别
+    'voice.tooLarge': '❌ ファイルが大きすぎます。処理できる音声は 20 MB までです。',
+    'voice.recognizing': '🎙️ 音声を認識しています。少々お待ちください...',
+    'voice.recognizingProgress': '🎙️ 音声を認識しています。少々お待ちください...（{percent}%）',
+    'voice.empty': '（音声を認識できませんでした）',
+    'voice.done': '🎙️ 音声認識が完了しました',
+    'voice.youSaid': '🗣️ あなたの発言：{text}',
+    'voice.result': '🎯 認識結果：{text}',
+    'voice.resultWithLanguage': '🎯 認識結果（{language}）：{text}',
+    'voice.failed': '❌ 音声認識に失敗しました：{error}',
+    'voice.unsupportedFormat': '対応していない音声形式です：{mimeType}',
+
+    // 翻译和朗读
+    'translate.usage': '❓ 使い方：/translate <翻訳するテキスト>',
+    'translate.result': '🌐 翻訳結果：\n{text}',
+    'translate.failed': '❌ 翻訳に失敗しました：{error}',
+    'tts.usage': '❓ 使い方：/tts <読み上げるテキスト>',
+    'tts.failed': '❌ 音声合成に失敗しました：{error}',
+
+    // 个人设置
+    'settings.text': '⚙️ 現在の設定\n\n{fields}\n\n下のボタンから変更できます：',
+    'settings.field.nativeLanguage': '🏠 母語',
+    'settings.field.learningLanguage': '🎯 学習言語',
+    'settings.field.sttLanguage': '🎙️ 音声認識の言語',
+    'settings.field.ttsVoice': '🔊 読み上げの声',
+    'settings.field.speakingRate': '⏩ 読み上げ速度',
+    'settings.field.replyMode': '💬 AI の返信形式',
+    'settings.field.level': '📈 学習言語のレベル',
+    'settings.field.interfaceLanguage': '🌍 表示言語',
+    'settings.replyMode.text': '💬 テキストのみ',
+    'settings.replyMode.voice': '🔊 音声のみ',
+    'settings.replyMode.both': '💬+🔊 テキストと音声',
+    'settings.levelUntested': '未測定（/level でテスト）',
+    'settings.interfaceAuto': '🔄 Telegram に合わせる',
+    'settings.unknownField': '❓ 不明な設定項目です',
+    'settings.staleOption': '❓ この選択肢は無効になりました。もう一度選んでください',
+    'settings.updated': '✅ {field}を更新しました',
+
+    // 群组
+    'group.welcome': '👋 皆さん、こんにちは。SpeakMate です！/help でできることを確認できます。',
+    'group.mentionHint': '👋 何かお手伝いしましょうか？私をメンションして質問すると会話できます。/help で全機能を確認できます。',
+    'group.field.nativeLanguage': '🏠 グループの母語',
+    'group.field.learningLanguage': '🎯 グループの学習言語',
+    'group.settingsText': '👥 グループ設定\n\n🌐 全メッセージの自動翻訳：{autoTranslate}\n{fields}\n\n' +
+        '自動翻訳をオンにすると、グループ内のすべてのメッセージを翻訳します。学習言語のメッセージは母語に、' +
+        'それ以外のメッセージは学習言語に翻訳します。\n' +
+        '⚠️ すべてのメッセージを受け取るには、@BotFather でボットのプライバシーモードをオフにする（/setprivacy）か、ボットを管理者にする必要があります。',
+    'group.autoTranslateOn': '✅ オン',
+    'group.autoTranslateOff': '⏸️ オフ',
+    'group.enable': '🌐 自動翻訳をオンにする',
+    'group.disable': '⏸️ 自動翻訳をオフにする',
+    'group.enabled': '🌐 自動翻訳をオンにしました',
+    'group.disabled': '⏸️ 自動翻訳をオフにしました',
+    'group.groupOnly': '👥 /group はグループでのみ使用できます。',
+    'group.adminOnly': '🔒 グループ設定を変更できるのはグループ管理者のみです。',
+
+    // AI 聊天
+    'chat.notConfigured': '❌ AI チャットは一時的に利用できません。\n\n' +
+        '環境変数 GOOGLE_AI_API_KEY または LLM_PROVIDER_CHAIN が正しく設定されているか確認してください。',
+    'chat.noReply': '申し訳ありません、返信を生成できませんでした。',
+    'chat.unavailable': '❌ AI チャットは一時的に利用できません',
+    'chat.error.apiKey': '🔑 API キーの問題：\n• モデル提供元の API キーが正しいか確認してください\n• API キーが有効で期限切れでないことを確認してください',
+    'chat.error.quota': '📊 クォータ超過：\n• モデルサービスのクォータを使い切りました\n• リセットを待つか、プランをアップグレードしてください',
+    'chat.error.badRequest': '🚫 リクエストの形式エラー：\n• メッセージに対応していない内容が含まれている可能性があります\n• 質問を言い換えてみてください',
+    'chat.error.details': '🔍 エラーの詳細：{error}',
+
+    // 语音对话模式
+    'voicechat.usage': '❓ 使い方：/voicechat [on|off|text|voice|both]',
+    'voicechat.on': '🗣️ 音声会話モードをオンにしました。\n\nボイスメッセージを送るだけで会話できます（認識言語：{language}）。\n' +
+        '返信形式：{replyMode}\n\n返信形式の切り替え：/voicechat text | voice | both\nオフにする：/voicechat off',
+    'voicechat.off': '💬 音声会話モードをオフにしました。ボイスメッセージは文字起こしのみ行います。\n返信形式：{replyMode}',
+
+    // 回复下方的操作按钮
+    'action.listen': '🔊 聞く',
+    'action.translate': '🌐 翻訳',
+    'action.explain': '✍️ 文法解説',
+    'action.save': '💾 フレーズを保存',
+    'action.regenerate': '🔁 再生成',
+    'action.explanation': '✍️ 文法解説\n\n{text}',
+    'action.expired': '⌛ このメッセージは期限切れのため操作できません',
+    'action.notYours': '🙅 再生成できるのは自分宛ての返信だけです',
+    'action.failed': '❌ 操作に失敗しました：{error}',
+
+    // 语法纠错模式
+    'tutor.title': '✍️ 添削',
+    'tutor.noErrors': '✍️ 添削：✅ 間違いは見つかりませんでした。すばらしい！',
+    'tutor.on': '✍️ 文法添削モードをオンにしました。\nメッセージの間違いを指摘してから会話を続けます。/tutor off でオフにできます。',
+    'tutor.off': '💬 文法添削モードをオフにしました。通常のチャットに戻ります。',
+
+    // 跟读练习
+    'practice.prompt': '🗣️ シャドーイング\n\n{text}\n\n🎧 お手本の発音を聞いてから、ボイスメッセージでまねして読んでください。\n' +
+        '/practice stop で練習を終了します。',
+    'practice.score': '🎯 発音スコア：{score}/100 {stars}',
+    'practice.target': '📝 お手本：{text}',
+    'practice.heard': '👂 認識結果：{text}',
+    'practice.words': '単語ごとのスコア：',
+    'practice.word.missing': '❌ {word} —— 読まれていません',
+    'practice.word.substituted': '❌ {word} {score} → 「{heard}」と聞こえました（{time}）',
+    'practice.extraWords': '➕ 余分に {count} 語読みました',
+    'practice.weak': '💡 要練習：{words}',
+    'practice.perfect': '👏 すばらしい、どの単語もはっきり聞き取れました！',
+    'practice.listenAgain': '🔁 もう一度聞く',
+    'practice.next': '➡️ 次の文',
+    'practice.stop': '⏹ 終了',
+    'practice.none': 'ℹ️ 進行中のシャドーイングはありません。',
+    'practice.stopped': '⏹ シャドーイングを終了しました。\nこの文の挑戦回数 {attempts} 回、最高スコア {best}/100。',
+    'practice.startFailed': '❌ シャドーイングを開始できませんでした：{error}',
+    'practice.scoreFailed': '❌ 発音の採点に失敗しました：{error}',
+    'practice.expired': 'ℹ️ 練習の有効期限が切れました。/practice でもう一度始めてください。',
+
+    // 情景练习
+    'scenario.list': '🎭 ロールプレイ\n\n場面を選ぶと、私がその中の役を演じて会話します。目標を達成したら /scenario stop で採点と講評を受けられます。',
+    'scenario.option': '{title}（{difficulty}）',
+    'scenario.started': '🎭 ロールプレイ：{title}（難易度 {difficulty}）\n\n🎯 あなたの目標：\n{goals}\n\n' +
+        '返信すると会話が始まります。/scenario stop で終了して講評を受けられます。',
+    'scenario.finish': '🏁 終了して講評',
+    'scenario.goalsCompleted': '✅ 目標達成：{goals}',
+    'scenario.allGoalsCompleted': '🎉 すべての目標を達成しました！「終了して講評」をタップして採点を受けましょう。',
+    'scenario.debriefTitle': '🏁 ロールプレイ終了：{title}',
+    'scenario.score': '⭐ スコア：{score}/100',
+    'scenario.goalProgress': '🎯 達成した目標：{completed}/{total}',
+    'scenario.strengths': '👍 よかった点：',
+    'scenario.improvements': '💡 改善できる点：',
+    'scenario.none': 'ℹ️ 進行中のロールプレイはありません。/scenario で場面を選んでください。',
+    'scenario.stopped': '🏁 ロールプレイ「{title}」を終了しました。',
+    'scenario.notFound': '❓ 場面「{id}」が見つかりません。選べる場面：{ids}',
+    'scenario.failed': '❌ ロールプレイでエラーが発生しました：{error}',
+
+    // 生词本
+    'vocab.saveUsage': '❓ 使い方：/save <保存する単語やフレーズ>',
+    'vocab.tooLong': '❓ 長すぎます。{max} 文字以内の単語やフレーズを保存してください。',
+    'vocab.exists': 'ℹ️ 「{text}」はすでに単語帳にあります。',
+    'vocab.saved': '💾 単語帳に保存しました\n\n{item}\n\n/review で復習を始めましょう',
+    'vocab.saveFailed': '❌ 保存に失敗しました：{error}',
+    'vocab.listItem': '{index}. {text} — {translation}（{due}）',
+    'vocab.page': '📒 単語帳（全 {total} 件、復習待ち {due} 件）\n\n{items}\n\n{page}/{pageCount} ページ',
+    'vocab.previous': '◀️ 前へ',
+    'vocab.nextPage': '次へ ▶️',
+    'vocab.empty': '📒 単語帳はまだ空です。\n/save <単語やフレーズ> で追加しましょう。',
+    'vocab.reviewDone': '🎉 今日の復習は完了です！\n次の復習：{next}',
+    'vocab.reviewPrompt': '🧠 復習（復習待ち {due} 件）\n\n📌 {text}\n\n意味を思い出してから「答えを見る」をタップしてください。',
+    'vocab.showAnswer': '👀 答えを見る',
+    'vocab.reviewFailed': '❌ 復習を読み込めませんでした：{error}',
+    'vocab.notFound': '❓ この単語はもう存在しません',
+    'vocab.reviewAnswer': '🧠 復習\n\n{item}\n\nどのくらい覚えていましたか？',
+    'vocab.listen': '🔊 発音を聞く',
+    'vocab.grade.again': '😵 もう一度',
+    'vocab.grade.hard': '😓 難しい',
+    'vocab.grade.good': '🙂 普通',
+    'vocab.grade.easy': '😎 簡単',
+    'vocab.reviewGraded': '🧠 復習\n\n{item}\n\n{grade} · 次の復習：{next}',
+    'vocab.due.now': '期限到来',
+    'vocab.due.minutes': '{count} 分後',
+    'vocab.due.hours': '{count} 時間後',
+    'vocab.due.days': '{count} 日後',
+
+    // 每日推送
+    'lesson.type.word': '📖 今日の単語',
+    'lesson.type.quiz': '📝 今日のミニクイズ',
+    'lesson.type.nudge': '👋 練習リマインダー',
+    'lesson.wordTitle': '{title}：{phrase}',
+    'lesson.quizQuestion': '{title}：{question}',
+    'lesson.nudge': '{title}\n\n{status}\n🗣️ /practice シャドーイング\n🎭 /scenario ロールプレイ\n💬 または、メッセージを送ってチャット',
+    'lesson.nudgeDue': '📚 復習待ちの単語が {due} 件あります。/review で始めましょう。',
+    'lesson.nudgeIdle': '今日も少し練習しましょう！',
+    'subscribe.status': '⏰ 毎日の配信\n\n状態：{status}\n内容：{lesson}\n時間：毎日 {time}（{timeZone}）',
+    'subscribe.active': '✅ 購読中',
+    'subscribe.inactive': '⏸️ 未購読',
+    'subscribe.startsTomorrow': '今日の配信時刻は過ぎているため、明日から配信します。',
+    'subscribe.hintActive': '下のボタンで変更するか、/subscribe off で購読を解除できます。',
+    'subscribe.hintInactive': '配信内容を選ぶと購読できます。/subscribe 21:30 Asia/Tokyo のように時間とタイムゾーンを指定することもできます。',
+    'subscribe.timeZoneButton': '🌏 タイムゾーン：{timeZone}',
+    'subscribe.cancel': '🔕 購読を解除',
+    'subscribe.privateOnly': '⏰ 毎日の配信を購読するには、私との個別チャットで /subscribe を送ってください。',
+    'subscribe.cancelled': '🔕 毎日の配信を解除しました。/subscribe で再び購読できます。',
+    'subscribe.usage': '❓ 「{token}」を認識できません\n使い方：/subscribe [word|quiz|nudge] [HH:MM] [タイムゾーン（例：Asia/Tokyo）]\n' +
+        '購読の解除：/subscribe off',
+    'subscribe.updated': '✅ 購読を更新しました',
+    'subscribe.cancelledShort': '🔕 購読を解除しました',
+    'subscribe.zone.Asia/Shanghai': '🇨🇳 北京',
+    'subscribe.zone.Asia/Tokyo': '🇯🇵 東京',
+    'subscribe.zone.Asia/Singapore': '🇸🇬 シンガポール',
+    'subscribe.zone.Europe/London': '🇬🇧 ロンドン',
+    'subscribe.zone.Europe/Berlin': '🇩🇪 ベルリン',
+    'subscribe.zone.America/New_York': '🇺🇸 ニューヨーク',
+    'subscribe.zone.America/Los_Angeles': '🇺🇸 ロサンゼルス',
+    'subscribe.zone.UTC': '🌐 UTC',
+
+    // 水平测试
+    'level.name.A1': '入門',
+    'level.name.A2': '初級',
+    'level.name.B1': '中級',
+    'level.name.B2': '中上級',
+    'level.name.C1': '上級',
+    'level.name.C2': '熟達',
+    'level.skill.reading': '📖 読解',
+    'level.skill.grammar': '✏️ 文法',
+    'level.skill.listening': '🎧 リスニング',
+    'level.skip': '🤷 わからない',
+    'level.questionHeader': '📝 レベルテスト {number}/{total}（{skill}）',
+    'level.listeningQuestion': '{header}\n\n音声を聞いて答えてください：\n❓ {question}\n\n{options}',
+    'level.question': '{header}\n\n{passage}\n\n❓ {question}\n\n{options}',
+    'level.questionFailed': '❌ 問題を作成できませんでした：{error}\n\n/level で再試行するか、/level stop でテストを中止してください。',
+    'level.skillScore': '{skill}：{correct}/{total}',
+    'level.result': '🎓 **レベルテスト完了！**\n\nあなたのレベル：**{level}**\n\n{scores}\n\n' +
+        'これからのチャットはこのレベルに合わせて語彙と読み上げ速度を調整し、会話をもとに定期的に再評価します。\n' +
+        '/settings でレベルを手動で変更することもできます。',
+    'level.stopped': '⏹ レベルテストを中止しました。',
+    'level.none': '進行中のレベルテストはありません。',
+    'level.inProgress': '📝 レベルテストの途中です。上の問題に答えるか、/level stop で中止してください。',
+    'level.unavailable': '❌ レベルテストは一時的に利用できません。言語モデルの設定が必要です。',
+    'level.current': '現在のレベル：{level}',
+    'level.untested': 'まだレベルテストを受けていません。',
+    'level.intro': '📈 CEFR レベルテスト（{language}）\n\n{current}\n\n' +
+        'テストは読解・文法・リスニングの全 {count} 問です。難易度は回答に応じて自動で調整され、所要時間は約 5 分です。',
+    'level.start': '▶️ テストを始める',
+    'level.answerExpired': '❓ この問題は回答済みか、テストが終了しています',
+    'level.correct': '✅ 正解',
+    'level.wrong': '❌ 正解：{answer}',
+    'level.reviewed': '📈 最近の会話から、あなたのレベルを {level} に調整しました。\n' +
+        'これからのチャットはこのレベルに合わせます。/level で再テストできます。',
+    'level.reviewedUp': '📈 最近の会話から、あなたのレベルを {level} に調整しました。🎉 上達しましたね！\n' +
+        'これからのチャットはこのレベルに合わせます。/level で再テストできます。',
+
+    // 用量
+    'usage.tier.free': '無料プラン',
+    'usage.tier.premium': 'プレミアム',
+    'usage.rateLimited': '⏳ メッセージが多すぎます。1 分間に送れるのは {limit} 件までです。しばらくしてからお試しください。',
+    'usage.busy': '⏳ 現在混み合っています。しばらくしてからお試しください。',
+    'usage.tokensExceeded': '📊 本日の AI チャットの上限（{limit} トークン）に達しました。また明日どうぞ。/usage で利用状況を確認できます。',
+    'usage.audioExceeded': '📊 本日の音声認識の残りが足りません（1 日 {limit} 秒）。/usage で利用状況を確認できます。',
+    'usage.charactersExceeded': '📊 本日の翻訳・読み上げの残りが足りません（1 日 {limit} 文字）。/usage で利用状況を確認できます。',
+    'usage.globalExceeded': '📊 本日のサービス全体の上限に達しました。明日またお試しください。',
+    'usage.seconds': ' 秒',
+    'usage.report': '📊 **本日の利用状況**（UTC {day}）\n\nプラン：{tier}\n💬 メッセージ：{messages}\n🧠 AI トークン：{tokens}\n' +
+        '🎙️ 音声認識：{audio}\n🌐 翻訳・読み上げ文字数：{characters}\n\n⏱ 1 分間に最大 {perMinute} 件',
+
+    // 记忆
+    'memory.name': '👤 呼び名：{name}',
+    'memory.goals': '🎯 目標：{goals}',
+    'memory.interests': '❤️ 興味：{interests}',
+    'memory.commonErrors': '⚠️ よくある間違い：\n{errors}',
+    'memory.summary': '📝 会話の要約：\n{summary}',
+    'memory.empty': '🧠 まだあなたについて何も覚えていません。もっとお話ししましょう！',
+    'memory.text': '🧠 **あなたについて覚えていること**\n\n{items}\n\n🧹 /reset でチャット履歴と記憶を消去できます。',
+
+    // 图片
+    'photo.text': '📷 画像内の文字\n{text}',
+    'photo.textWithLanguage': '📷 画像内の文字（{language}）\n{text}',
+    'photo.translation': '🌐 翻訳\n{translation}',
+    'photo.noText': '📷 画像に文字は見つかりませんでした',
+    'photo.vocabulary': '📚 重要語句\n{items}',
+    'photo.unavailable': '❌ 画像認識は一時的に利用できません。画像に対応したモデル（Gemini など）の設定が必要です。',
+    'photo.unsupported': '❌ 対応していない画像形式です。JPG、PNG、WebP、HEIC の画像を送ってください。',
+    'photo.tooLarge': '❌ 画像が大きすぎます。処理できるファイルは 20 MB までです。',
+    'photo.failed': '❌ 画像認識に失敗しました：{error}',
+
+    // 导出
+    'export.title': 'SpeakMate 会話記録',
+    'export.role.user': '🧑 自分',
+    'export.role.model': '🤖 SpeakMate',
+    'export.exportedAt': 'エクスポート日時：{time}',
+    'export.learningLanguage': '学習言語：{language}',
+    'export.nativeLanguage': '母語：{language}',
+    'export.entries': '件数：{count}',
+    'export.grammarNotes': '文法メモ',
+    'export.usage': '❓ 使い方：/export [md|html|csv]',
+    'export.empty': '📭 エクスポートできる会話がまだありません。まずは少しお話ししましょう！',
+    'export.caption': '📤 会話記録（{count} 件）',
+    'export.failed': '❌ エクスポートに失敗しました：{error}',
+
+    // 错误
+    'telegram.downloadFailed': 'ファイルのダウンロードに失敗しました：{error}',
+    'telegram.voiceFailed': 'ボイスメッセージの送信に失敗しました：{error}',
+    'telegram.documentFailed': 'ファイルの送信に失敗しました：{error}',
+    'llm.unsupportedMedia': '対応していないメディア形式です：{mimeType}',
+    'llm.error.API_KEY_INVALID': 'API キーが無効か、権限がありません',
+    'llm.error.QUOTA_EXCEEDED': 'API のクォータを使い切りました。リセットをお待ちください',
+    'llm.error.BAD_REQUEST': 'リクエストの形式が正しくないか、内容が安全フィルターでブロックされました',
+    'llm.error.CONTENT_BLOCKED': '内容が安全フィルターでブロックされました。質問を言い換えてください',
+    'llm.error.NO_RESPONSE': 'モデルから有効な返信がありませんでした',
+    'llm.error.SERVER_ERROR': 'モデルサービスは一時的に利用できません',
+    'llm.error.HTTP_ERROR': 'モデルサービスが異常なステータスを返しました',
+    'llm.error.NETWORK_ERROR': 'ネットワーク接続に失敗しました。ネットワーク設定を確認してください',
+    'llm.error.TIMEOUT_ERROR': 'リクエストがタイムアウトしました。しばらくしてからお試しください',
+    'llm.error.NOT_CONFIGURED': '利用できるモデル提供元がありません',
+    'llm.error.UNEXPECTED_ERROR': '不明なエラー',
+
+    // 命令菜单（setMyCommands）
+    'commands.help': '使い方',
+    'commands.reset': 'チャット履歴と記憶を消去',
+    'commands.memory': '私が覚えているあなたの情報',
+    'commands.usage': '本日の利用状況',
+    'commands.settings': '言語、音声、読み上げ速度、表示言語の設定',
+    'commands.level': 'CEFR レベルテスト',
+    'commands.practice': 'シャドーイングと発音スコア',
+    'commands.scenario': 'ロールプレイで会話練習',
+    'commands.tutor': '文法添削モードの切り替え',
+    'commands.save': '単語やフレーズを単語帳に保存',
+    'commands.review': '単語の復習',
+    'commands.vocab': '単語帳を見る',
+    'commands.voicechat': '音声会話モードの切り替え',
+    'commands.subscribe': '毎日の配信を購読',
+    'commands.export': '会話記録をエクスポート',
+    'commands.group': 'グループ設定',
+    'commands.translate': 'テキストを翻訳',
+    'commands.tts': 'テキストを読み上げ'
+};
@@ -0,0 +1,344 @@
+// 简体中文语言包，也是其他语言包缺少某个键时的回退
+// 键按功能分组，{name} 为插值占位符
+module.exports = {
+    'locale.name': '🇨🇳 中文',
+
+    // 通用
+    'common.back': '⬅️ 返回',
+    'common.actionFailed': '❌ 操作失败，请稍后再试。',
+    'common.notYourMenu': '🙅 这是其他成员的菜单，请自己发送命令打开',
+    'common.unavailable': '❌ 服务暂时不可用，请稍后再试。',
+    'common.listSeparator': '、',
+    'common.labelValue': '{label}：{value}',
+    'common.badModelOutput': '模型返回的内容格式不正确',
+    'access.inviteOnly': '🔒 SpeakMate 目前仅对受邀用户开放。',
+
+    // 帮助
+    'help.text': `🤖 欢迎使用 SpeakMate AI 机器人！
+
+我可以执行以下任务：
+
+🧠 **多轮 AI 聊天**：直接输入问题即可对话
+🌐 **文本翻译**：/translate <文本>
+🔊 **文本转语音**：/tts <文本>
+🎙️ **语音识别**：发送语音、音频文件或圆形视频即可识别为文字，自动检测语言
+📷 **图片识别**：发送菜单、路牌或课本照片，获得文字、翻译和重点词汇，可在图片说明中提问
+🗣️ **跟读练习**：/practice [主题]，跟读示范句并获得逐词发音评分
+💾 **生词本**：/save <单词或短语> 保存，/review 复习，/vocab 查看
+🗣️ **语音对话模式**：/voicechat，直接用语音和 AI 对话并收听语音回复
+✍️ **语法纠错模式**：/tutor，聊天时自动指出并解释错误
+🎭 **情景练习**：/scenario，在餐厅、面试、机场等场景中角色扮演并获得评分
+📈 **水平测试**：/level，通过阅读、语法和听力题评估 CEFR 水平（A1–C2），聊天难度和朗读语速随之调整
+⚙️ **个人设置**：/settings（语言、音色、语速、界面语言）
+👥 **群组**：在群里 @我 或回复我的消息即可对话，每位成员的上下文独立；管理员可用 /group 开启自动翻译
+⏰ **每日推送**：/subscribe，每天定时收到每日一词、小测验或练习提醒
+📤 **导出对话**：/export [md|html|csv]，附母语翻译和语法笔记，方便离线复习
+📊 **用量统计**：/usage
+🧠 **长期记忆**：/memory 查看我记住的你的称呼、目标、兴趣和常见错误
+🧹 **清除聊天记录和记忆**：/reset
+
+直接输入你的问题即可开始聊天！
+或尝试发送语音消息来测试语音识别功能。`,
+    'reset.done': '🧹 对话上下文和记忆已清空。',
+
+    // 语音识别
+    'voice.tooLarge': '❌ 文件太大了，机器人只能处理 20 MB 以内的音频。',
+    'voice.recognizing': '🎙️ 正在识别语音，请稍候...',
+    'voice.recognizingProgress': '🎙️ 正在识别语音，请稍候...（{percent}%）',
+    'voice.empty': '（未能识别语音内容）',
+    'voice.done': '🎙️ 语音识别完成',
+    'voice.youSaid': '🗣️ 你说：{text}',
+    'voice.result': '🎯 识别结果: {text}',
+    'voice.resultWithLanguage': '🎯 识别结果（{language}）: {text}',
+    'voice.failed': '❌ 语音识别失败：{error}',
+    'voice.unsupportedFormat': '不支持的音频格式：{mimeType}',
+
+    // 翻译和朗读
+    'translate.usage': '❓ 用法: /translate <要翻译的文本>',
+    'translate.result': '🌐 翻译结果:\n{text}',
+    'translate.failed': '❌ 翻译失败：{error}',
+    'tts.usage': '❓ 用法: /tts <要转为语音的文本>',
+    'tts.failed': '❌ 语音合成失败：{error}',
+
+    // 个人设置
+    'settings.text': '⚙️ 当前设置\n\n{fields}\n\n点击下方按钮修改：',
+    'settings.field.nativeLanguage': '🏠 母语',
+    'settings.field.learningLanguage': '🎯 学习语言',
+    'settings.field.sttLanguage': '🎙️ 语音识别语言',
+    'settings.field.ttsVoice': '🔊 朗读音色',
+    'settings.field.speakingRate': '⏩ 朗读语速',
+    'settings.field.replyMode': '💬 AI 回复方式',
+    'settings.field.level': '📈 学习语言水平',
+    'settings.field.interfaceLanguage': '🌍 界面语言',
+    'settings.replyMode.text': '💬 仅文字',
+    'settings.replyMode.voice': '🔊 仅语音',
+    'settings.replyMode.both': '💬+🔊 文字和语音',
+    'settings.levelUntested': '未测试（发送 /level 测试）',
+    'settings.interfaceAuto': '🔄 跟随 Telegram',
+    'settings.unknownField': '❓ 未知的设置项',
+    'settings.staleOption': '❓ 该选项已失效，请重新选择',
+    'settings.updated': '✅ 已更新 {field}',
+
+    // 群组
+    'group.welcome': '👋 大家好，我是 SpeakMate！发送 /help 查看我能做什么。',
+    'group.mentionHint': '👋 有什么可以帮你？@我 并附上问题即可对话，发送 /help 查看全部功能。',
+    'group.field.nativeLanguage': '🏠 群组母语',
+    'group.field.learningLanguage': '🎯 群组学习语言',
+    'group.settingsText': '👥 群组设置\n\n🌐 自动翻译所有消息：{autoTranslate}\n{fields}\n\n' +
+        '自动翻译开启后，群内每条消息都会被翻译：学习语言的消息译为母语，其他消息译为学习语言。\n' +
+        '⚠️ 需要在 @BotFather 中关闭机器人的隐私模式（/setprivacy），或将机器人设为管理员，机器人才能收到所有消息。',
+    'group.autoTranslateOn': '✅ 已开启',
+    'group.autoTranslateOff': '⏸️ 已关闭',
+    'group.enable': '🌐 开启自动翻译',
+    'group.disable': '⏸️ 关闭自动翻译',
+    'group.enabled': '🌐 已开启自动翻译',
+    'group.disabled': '⏸️ 已关闭自动翻译',
+    'group.groupOnly': '👥 /group 只能在群组中使用。',
+    'group.adminOnly': '🔒 只有群组管理员可以修改群组设置。',
+
+    // AI 聊天
+    'chat.notConfigured': '❌ AI聊天功能暂时不可用。\n\n请检查 GOOGLE_AI_API_KEY 或 LLM_PROVIDER_CHAIN 环境变量是否正确配置。',
+    'chat.noReply': '抱歉，我无法生成回复。',
+    'chat.unavailable': '❌ AI聊天暂时不可用',
+    'chat.error.apiKey': '🔑 API Key 问题：\n• 请检查模型提供方的 API Key 是否正确\n• 确保 API Key 有效且未过期',
+    'chat.error.quota': '📊 配额超限：\n• 模型服务配额已用完\n• 请等待配额重置或升级计划',
+    'chat.error.badRequest': '🚫 请求格式错误：\n• 您的消息可能包含不支持的内容\n• 请重新组织您的问题',
+    'chat.error.details': '🔍 错误详情：{error}',
+
+    // 语音对话模式
+    'voicechat.usage': '❓ 用法: /voicechat [on|off|text|voice|both]',
+    'voicechat.on': '🗣️ 语音对话模式已开启。\n\n直接发送语音即可和我对话（识别语言：{language}）。\n' +
+        '回复方式：{replyMode}\n\n切换回复方式：/voicechat text | voice | both\n关闭：/voicechat off',
+    'voicechat.off': '💬 语音对话模式已关闭，语音消息将只做识别。\n回复方式：{replyMode}',
+
+    // 回复下方的操作按钮
+    'action.listen': '🔊 Listen',
+    'action.translate': '🌐 Translate',
+    'action.explain': '✍️ Explain grammar',
+    'action.save': '💾 Save phrase',
+    'action.regenerate': '🔁 Regenerate',
+    'action.explanation': '✍️ 语法讲解\n\n{text}',
+    'action.expired': '⌛ 这条消息已过期，无法再操作',
+    'action.notYours': '🙅 只能重新生成回复给你的消息',
+    'action.failed': '❌ 操作失败：{error}',
+
+    // 语法纠错模式
+    'tutor.title': '✍️ Correction',
+    'tutor.noErrors': '✍️ Correction：✅ 没有发现错误，很棒！',
+    'tutor.on': '✍️ 语法纠错模式已开启。\n我会先指出你消息中的错误，再继续和你聊天。发送 /tutor off 关闭。',
+    'tutor.off': '💬 语法纠错模式已关闭，恢复普通聊天。',
+
+    // 跟读练习
+    'practice.prompt': '🗣️ 跟读练习\n\n{text}\n\n🎧 先听示范发音，然后发送语音跟读。\n发送 /practice stop 结束练习。',
+    'practice.score': '🎯 发音评分：{score}/100 {stars}',
+    'practice.target': '📝 目标：{text}',
+    'practice.heard': '👂 识别：{text}',
+    'practice.words': '逐词得分：',
+    'practice.word.missing': '❌ {word} —— 未读出',
+    'practice.word.substituted': '❌ {word} {score} → 听成了「{heard}」({time})',
+    'practice.extraWords': '➕ 多读了 {count} 个词',
+    'practice.weak': '💡 需要加强：{words}',
+    'practice.perfect': '👏 非常棒，每个词都很清楚！',
+    'practice.listenAgain': '🔁 再听一遍',
+    'practice.next': '➡️ 下一句',
+    'practice.stop': '⏹ 结束',
+    'practice.none': 'ℹ️ 当前没有进行中的跟读练习。',
+    'practice.stopped': '⏹ 跟读练习已结束。\n本句尝试 {attempts} 次，最佳得分 {best}/100。',
+    'practice.startFailed': '❌ 跟读练习启动失败：{error}',
+    'practice.scoreFailed': '❌ 发音评分失败：{error}',
+    'practice.expired': 'ℹ️ 练习已过期，发送 /practice 重新开始。',
+
+    // 情景练习
+    'scenario.list': '🎭 情景练习\n\n选择一个场景，我会扮演其中的角色和你对话。完成目标后发送 /scenario stop 获取评分点评。',
+    'scenario.option': '{title}（{difficulty}）',
+    'scenario.started': '🎭 情景练习：{title}（难度 {difficulty}）\n\n🎯 你的目标：\n{goals}\n\n' +
+        '直接回复即可开始对话，发送 /scenario stop 结束并获取点评。',
+    'scenario.finish': '🏁 结束并点评',
+    'scenario.goalsCompleted': '✅ 目标完成：{goals}',
+    'scenario.allGoalsCompleted': '🎉 所有目标都已完成！点击「结束并点评」获取评分。',
+    'scenario.debriefTitle': '🏁 情景练习结束：{title}',
+    'scenario.score': '⭐ 得分：{score}/100',
+    'scenario.goalProgress': '🎯 目标完成：{completed}/{total}',
+    'scenario.strengths': '👍 做得好：',
+    'scenario.improvements': '💡 可以改进：',
+    'scenario.none': 'ℹ️ 当前没有进行中的情景练习。发送 /scenario 选择一个场景。',
+    'scenario.stopped': '🏁 情景练习「{title}」已结束。',
+    'scenario.notFound': '❓ 没有找到场景「{id}」。可选：{ids}',
+    'scenario.failed': '❌ 情景练习出错：{error}',
+
+    // 生词本
+    'vocab.saveUsage': '❓ 用法: /save <要保存的单词或短语>',
+    'vocab.tooLong': '❓ 内容太长了，请保存 {max} 个字符以内的单词或短语。',
+    'vocab.exists': 'ℹ️ 「{text}」已经在生词本中了。',
+    'vocab.saved': '💾 已保存到生词本\n\n{item}\n\n发送 /review 开始复习',
+    'vocab.saveFailed': '❌ 保存失败：{error}',
+    'vocab.listItem': '{index}. {text} — {translation}（{due}）',
+    'vocab.page': '📒 生词本（共 {total} 个，待复习 {due} 个）\n\n{items}\n\n第 {page}/{pageCount} 页',
+    'vocab.previous': '◀️ 上一页',
+    'vocab.nextPage': '下一页 ▶️',
+    'vocab.empty': '📒 生词本还是空的。\n发送 /save <单词或短语> 添加生词。',
+    'vocab.reviewDone': '🎉 今天的复习已完成！\n下一个复习：{next}',
+    'vocab.reviewPrompt': '🧠 复习（待复习 {due} 个）\n\n📌 {text}\n\n想一想它的意思，然后点击显示答案。',
+    'vocab.showAnswer': '👀 显示答案',
+    'vocab.reviewFailed': '❌ 复习加载失败：{error}',
+    'vocab.notFound': '❓ 这个生词已经不存在了',
+    'vocab.reviewAnswer': '🧠 复习\n\n{item}\n\n你记得怎么样？',
+    'vocab.listen': '🔊 听发音',
+    'vocab.grade.again': '😵 Again',
+    'vocab.grade.hard': '😓 Hard',
+    'vocab.grade.good': '🙂 Good',
+    'vocab.grade.easy': '😎 Easy',
+    'vocab.reviewGraded': '🧠 复习\n\n{item}\n\n{grade} · 下次复习：{next}',
+    'vocab.due.now': '已到期',
+    'vocab.due.minutes': '{count} 分钟后',
+    'vocab.due.hours': '{count} 小时后',
+    'vocab.due.days': '{count} 天后',
+
+    // 每日推送
+    'lesson.type.word': '📖 每日一词',
+    'lesson.type.quiz': '📝 每日小测验',
+    'lesson.type.nudge': '👋 练习提醒',
+    'lesson.wordTitle': '{title}：{phrase}',
+    'lesson.quizQuestion': '{title}：{question}',
+    'lesson.nudge': '{title}\n\n{status}\n🗣️ /practice 跟读练习\n🎭 /scenario 情景对话\n💬 或者直接发一条消息和我聊天',
+    'lesson.nudgeDue': '📚 你有 {due} 个生词等待复习，发送 /review 开始。',
+    'lesson.nudgeIdle': '今天也来练一练吧！',
+    'subscribe.status': '⏰ 每日推送\n\n状态：{status}\n内容：{lesson}\n时间：每天 {time}（{timeZone}）',
+    'subscribe.active': '✅ 已订阅',
+    'subscribe.inactive': '⏸️ 未订阅',
+    'subscribe.startsTomorrow': '今天的推送时间已过，将从明天开始推送。',
+    'subscribe.hintActive': '点击下方按钮修改，或发送 /subscribe off 取消订阅。',
+    'subscribe.hintInactive': '选择推送内容即可订阅，也可以发送 /subscribe 21:30 Asia/Tokyo 自定义时间和时区。',
+    'subscribe.timeZoneButton': '🌏 时区：{timeZone}',
+    'subscribe.cancel': '🔕 取消订阅',
+    'subscribe.privateOnly': '⏰ 请在与我的私聊中发送 /subscribe 订阅每日推送。',
+    'subscribe.cancelled': '🔕 已取消每日推送，发送 /subscribe 可重新订阅。',
+    'subscribe.usage': '❓ 无法识别「{token}」\n用法: /subscribe [word|quiz|nudge] [HH:MM] [时区，如 Asia/Shanghai]\n取消订阅: /subscribe off',
+    'subscribe.updated': '✅ 已更新订阅',
+    'subscribe.cancelledShort': '🔕 已取消订阅',
+    'subscribe.zone.Asia/Shanghai': '🇨🇳 北京时间',
+    'subscribe.zone.Asia/Tokyo': '🇯🇵 东京',
+    'subscribe.zone.Asia/Singapore': '🇸🇬 新加坡',
+    'subscribe.zone.Europe/London': '🇬🇧 伦敦',
+    'subscribe.zone.Europe/Berlin': '🇩🇪 柏林',
+    'subscribe.zone.America/New_York': '🇺🇸 纽约',
+    'subscribe.zone.America/Los_Angeles': '🇺🇸 洛杉矶',
+    'subscribe.zone.UTC': '🌐 UTC',
+
+    // 水平测试
+    'level.name.A1': '入门',
+    'level.name.A2': '初级',
+    'level.name.B1': '中级',
+    'level.name.B2': '中高级',
+    'level.name.C1': '高级',
+    'level.name.C2': '精通',
+    'level.skill.reading': '📖 阅读',
+    'level.skill.grammar': '✏️ 语法',
+    'level.skill.listening': '🎧 听力',
+    'level.skip': '🤷 不知道',
+    'level.questionHeader': '📝 水平测试 {number}/{total}（{skill}）',
+    'level.listeningQuestion': '{header}\n\n听录音，回答问题：\n❓ {question}\n\n{options}',
+    'level.question': '{header}\n\n{passage}\n\n❓ {question}\n\n{options}',
+    'level.questionFailed': '❌ 出题失败：{error}\n\n发送 /level 重试，或发送 /level stop 放弃测试。',
+    'level.skillScore': '{skill}：{correct}/{total}',
+    'level.result': '🎓 **水平测试完成！**\n\n你的水平：**{level}**\n\n{scores}\n\n' +
+        '之后的聊天会按这个水平调整用词和朗读语速，我也会根据你的对话定期重新评估。\n也可以在 /settings 中手动修改水平。',
+    'level.stopped': '⏹ 已放弃水平测试。',
+    'level.none': '当前没有进行中的水平测试。',
+    'level.inProgress': '📝 水平测试进行中，请回答上面的题目，或发送 /level stop 放弃测试。',
+    'level.unavailable': '❌ 水平测试暂时不可用，需要配置大模型。',
+    'level.current': '当前水平：{level}',
+    'level.untested': '你还没有测试过水平。',
+    'level.intro': '📈 CEFR 水平测试（{language}）\n\n{current}\n\n' +
+        '测试共 {count} 题，包括阅读、语法和听力，题目难度会根据你的回答自动调整，大约需要 5 分钟。',
+    'level.start': '▶️ 开始测试',
+    'level.answerExpired': '❓ 这道题已经作答或测试已结束',
+    'level.correct': '✅ 回答正确',
+    'level.wrong': '❌ 正确答案：{answer}',
+    'level.reviewed': '📈 根据最近的对话，你的水平调整为 {level}。\n之后的聊天会按这个水平调整，发送 /level 可以重新测试。',
+    'level.reviewedUp': '📈 根据最近的对话，你的水平调整为 {level}。🎉 进步了！\n之后的聊天会按这个水平调整，发送 /level 可以重新测试。',
+
+    // 用量
+    'usage.tier.free': '免费版',
+    'usage.tier.premium': '高级版',
+    'usage.rateLimited': '⏳ 消息太频繁了，每分钟最多 {limit} 条，请稍后再试。',
+    'usage.busy': '⏳ 当前使用人数较多，请稍后再试。',
+    'usage.tokensExceeded': '📊 今日 AI 对话额度已用完（{limit} tokens），明天再来吧。发送 /usage 查看用量。',
+    'usage.audioExceeded': '📊 今日语音识别额度不足（每日 {limit} 秒），发送 /usage 查看用量。',
+    'usage.charactersExceeded': '📊 今日翻译/朗读额度不足（每日 {limit} 字符），发送 /usage 查看用量。',
+    'usage.globalExceeded': '📊 今日服务总额度已用完，请明天再试。',
+    'usage.seconds': ' 秒',
+    'usage.report': '📊 **今日用量**（UTC {day}）\n\n等级：{tier}\n💬 消息：{messages}\n🧠 AI Tokens：{tokens}\n' +
+        '🎙️ 语音识别：{audio}\n🌐 翻译/朗读字符：{characters}\n\n⏱ 每分钟最多 {perMinute} 条消息',
+
+    // 记忆
+    'memory.name': '👤 称呼：{name}',
+    'memory.goals': '🎯 目标：{goals}',
+    'memory.interests': '❤️ 兴趣：{interests}',
+    'memory.commonErrors': '⚠️ 常见错误：\n{errors}',
+    'memory.summary': '📝 对话摘要：\n{summary}',
+    'memory.empty': '🧠 我还没有记住关于你的信息，多聊几句吧！',
+    'memory.text': '🧠 **我记住的关于你的信息**\n\n{items}\n\n🧹 发送 /reset 清除聊天记录和记忆。',
+
+    // 图片
+    'photo.text': '📷 图片文字\n{text}',
+    'photo.textWithLanguage': '📷 图片文字（{language}）\n{text}',
+    'photo.translation': '🌐 翻译\n{translation}',
+    'photo.noText': '📷 图片中没有发现文字',
+    'photo.vocabulary': '📚 重点词汇\n{items}',
+    'photo.unavailable': '❌ 图片识别暂时不可用，需要配置支持图片的大模型（如 Gemini）。',
+    'photo.unsupported': '❌ 不支持该图片格式，请发送 JPG、PNG、WebP 或 HEIC 图片。',
+    'photo.tooLarge': '❌ 图片太大了，机器人只能处理 20 MB 以内的文件。',
+    'photo.failed': '❌ 图片识别失败：{error}',
+
+    // 导出
+    'export.title': 'SpeakMate 对话记录',
+    'export.role.user': '🧑 我',
+    'export.role.model': '🤖 SpeakMate',
+    'export.exportedAt': '导出时间：{time}',
+    'export.learningLanguage': '学习语言：{language}',
+    'export.nativeLanguage': '母语：{language}',
+    'export.entries': '记录条数：{count}',
+    'export.grammarNotes': '语法笔记',
+    'export.usage': '❓ 用法: /export [md|html|csv]',
+    'export.empty': '📭 还没有可以导出的对话，先和我聊几句吧！',
+    'export.caption': '📤 对话记录（{count} 条）',
+    'export.failed': '❌ 导出失败：{error}',
+
+    // 错误
+    'telegram.downloadFailed': '下载文件失败: {error}',
+    'telegram.voiceFailed': '语音发送失败：{error}',
+    'telegram.documentFailed': '文件发送失败：{error}',
+    'llm.unsupportedMedia': '不支持的媒体类型：{mimeType}',
+    'llm.error.API_KEY_INVALID': 'API Key 无效或无权限',
+    'llm.error.QUOTA_EXCEEDED': 'API 配额已用完，请等待重置',
+    'llm.error.BAD_REQUEST': '请求格式错误或内容被安全过滤器阻止',
+    'llm.error.CONTENT_BLOCKED': '内容被安全过滤器阻止，请重新组织您的问题',
+    'llm.error.NO_RESPONSE': '模型没有返回有效回复',
+    'llm.error.SERVER_ERROR': '模型服务暂时不可用',
+    'llm.error.HTTP_ERROR': '模型服务返回了异常状态',
+    'llm.error.NETWORK_ERROR': '网络连接失败，请检查网络设置',
+    'llm.error.TIMEOUT_ERROR': '请求超时，请稍后重试',
+    'llm.error.NOT_CONFIGURED': '没有可用的模型提供方',
+    'llm.error.UNEXPECTED_ERROR': '未知错误',
+
+    // 命令菜单（setMyCommands）
+    'commands.help': '使用帮助',
+    'commands.reset': '清除聊天记录和记忆',
+    'commands.memory': '查看我记住的关于你的信息',
+    'commands.usage': '查看今日用量',
+    'commands.settings': '语言、音色、语速和界面语言设置',
+    'commands.level': 'CEFR 水平测试',
+    'commands.practice': '跟读练习和发音评分',
+    'commands.scenario': '情景对话练习',
+    'commands.tutor': '开关语法纠错模式',
+    'commands.save': '保存单词或短语到生词本',
+    'commands.review': '复习生词',
+    'commands.vocab': '查看生词本',
+    'commands.voicechat': '开关语音对话模式',
+    'commands.subscribe': '订阅每日推送',
+    'commands.export': '导出对话记录',
+    'commands.group': '群组设置',
+    'commands.translate': '翻译文本',
+    'commands.tts': '文本转语音'
+};
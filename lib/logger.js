@@ -0,0 +1,149 @@
+// 结构化日志：默认按 Cloud Logging 的格式每行输出一个 JSON，LOG_FORMAT=text 时输出便于阅读的文本
+// 日志级别由 LOG_LEVEL 环境变量控制（debug、info、warn、error），默认输出全部日志
+// 同一个 update 的日志带有相同的 trace 和 updateId，Token、密钥和用户消息内容会被脱敏
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.debug;
+const format = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+// 本地调试时可设置 LOG_REDACT_CONTENT=false 查看消息内容，密钥始终脱敏
+const redactContent = process.env.LOG_REDACT_CONTENT !== 'false';
+
+// 用户消息内容所在的字段
+const CONTENT_KEYS = new Set([
+    'text', 'caption', 'content', 'prompt', 'reply', 'transcript', 'translatedText', 'corrected', 'query'
+]);
+const SECRET_KEYS = /^(token|secret|password|authorization|api_?key|key)$/i;
+const SECRET_PATTERNS = [
+    [/bot\d+:[A-Za-z0-9_-]{20,}/g, 'bot<redacted>'],
+    [/\b\d{6,}:[A-Za-z0-9_-]{30,}\b/g, '<redacted-token>'],
+    [/AIza[0-9A-Za-z_-]{30,}/g, '<redacted-key>'],
+    [/\bsk-[A-Za-z0-9_-]{16,}/g, '<redacted-key>'],
+    [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, '$1<redacted>'],
+    [/([?&](?:key|token|api_key)=)[^&\s]+/gi, '$1<redacted>']
+];
+
+const traceStorage = new AsyncLocalStorage();
+
+// 去掉字符串中的 Bot Token 和 API Key
+function redact(text) {
+    return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text));
+}
+
+// 转为可以 JSON 序列化的结构，同时按字段名脱敏
+function sanitize(value, key = '', seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        if (SECRET_KEYS.test(key)) {
+            return '<redacted>';
+        }
+        if (redactContent && CONTENT_KEYS.has(key)) {
+            return `<redacted ${value.length} chars>`;
+        }
+        return redact(value);
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `<Buffer ${value.length} bytes>`;
+    }
+    if (seen.has(value)) {
+        return '<circular>';
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+        const error = { name: value.name, message: redact(value.message) };
+        for (const field of ['code', 'status', 'errorCode', 'upstream', 'provider', 'model']) {
+            if (value[field] !== undefined) {
+                error[field] = value[field];
+            }
+        }
+        if (value.stack) {
+            error.stack = redact(value.stack);
+        }
+        return error;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => sanitize(item, key, seen));
+    }
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, sanitize(item, field, seen)]));
+}
+
+// 在 trace 上下文中执行 fn，期间（包括其中的异步调用）输出的日志都带有该 trace
+// context：{ traceId, updateId }，traceId 缺省时随机生成
+function withTrace(context, fn) {
+    const traceId = context.traceId || crypto.randomBytes(16).toString('hex');
+    return traceStorage.run({ ...context, traceId }, fn);
+}
+
+// 从 Cloud Run 请求头 X-Cloud-Trace-Context（TRACE_ID/SPAN_ID;o=1）中取出 trace id
+function traceIdFromHeader(header) {
+    const traceId = (header || '').split('/')[0];
+    return /^[0-9a-f]{32}$/i.test(traceId) ? traceId : null;
+}
+
+function buildEntry(level, message, data) {
+    const entry = {
+        severity: SEVERITIES[level] || 'DEFAULT',
+        message: redact(message),
+        time: new Date().toISOString()
+    };
+
+    const trace = traceStorage.getStore();
+    if (trace) {
+        const project = process.env.GCLOUD_PROJECT;
+        entry['logging.googleapis.com/trace'] = project ? `projects/${project}/traces/${trace.traceId}` : trace.traceId;
+        if (trace.updateId !== undefined) {
+            entry['logging.googleapis.com/labels'] = { updateId: String(trace.updateId) };
+        }
+    }
+
+    if (data !== null && data !== undefined) {
+        const sanitized = sanitize(data);
+        if (data instanceof Error) {
+            entry.error = sanitized;
+        } else {
+            entry.data = sanitized;
+        }
+        // Error Reporting 根据 stack_trace 字段归类错误
+        const error = data instanceof Error ? entry.error : sanitized?.error;
+        if (level === 'error' && error?.stack) {
+            entry.stack_trace = error.stack;
+            delete error.stack;
+        }
+    }
+    return entry;
+}
+
+// 日志函数
+function log(level, message, data = null) {
+    if ((LEVELS[level] ?? LEVELS.info) < minLevel) {
+        return;
+    }
+
+    const entry = buildEntry(level, message, data);
+    if (format === 'json') {
+        console.log(JSON.stringify(entry));
+        return;
+    }
+
+    const trace = traceStorage.getStore();
+    const prefix = `[${entry.time}] [${level.toUpperCase()}]${trace?.updateId !== undefined ? ` [update ${trace.updateId}]` : ''}`;
+    const details = entry.error ?? entry.data;
+    if (details !== undefined) {
+        console.log(`${prefix} ${entry.message}`, details);
+    } else {
+        console.log(`${prefix} ${entry.message}`);
+    }
+    if (entry.stack_trace) {
+        console.log(entry.stack_trace);
+    }
+}
+
+module.exports = { log, redact, withTrace, traceIdFromHeader };
@@ -0,0 +1,260 @@
+// 长期记忆：近期对话超出 token 预算时，把较早的对话压缩为滚动摘要；
+// 同时维护一份学习者档案（称呼、目标、兴趣、常见错误），每次聊天都注入系统提示词；水平见 ./level.js
+// 与聊天历史使用相同的键：私聊按 chatId，群组中按 chatId:userId 为每个成员单独保存
+const { getStore } = require('./store');
+const { safeSendMessage } = require('./telegram');
+const { generate } = require('./llm');
+const { getHistory, historyKey } = require('./conversations');
+const { languageName } = require('./settings');
+const { recordUsage } = require('./usage');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+const NAMESPACE = 'memories';
+// 发给模型的近期对话的 token 预算；超出时把较早的对话压缩到摘要中，只保留一半预算的近期对话
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET || '2000', 10);
+// 记忆比聊天历史保存得更久，默认 90 天
+const MEMORY_TTL_SECONDS = parseInt(process.env.MEMORY_TTL_SECONDS || '7776000', 10);
+// 没有触发压缩时，每新增这么多条记录刷新一次学习者档案
+const FACT_REFRESH_ENTRIES = 10;
+const MAX_FACT_ITEMS = 5;
+
+const FACTS_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        name: { type: 'STRING' },
+        goals: { type: 'ARRAY', items: { type: 'STRING' } },
+        interests: { type: 'ARRAY', items: { type: 'STRING' } },
+        commonErrors: { type: 'ARRAY', items: { type: 'STRING' } }
+    },
+    required: ['name', 'goals', 'interests', 'commonErrors']
+};
+
+// summarizedThrough / factsThrough 为已读入摘要和档案的最后一条记录的时间
+const EMPTY_MEMORY = {
+    summary: '',
+    summarizedThrough: -1,
+    facts: { name: '', goals: [], interests: [], commonErrors: [] },
+    factsThrough: -1
+};
+
+// 粗略估算 token 数：中日韩文字每字约一个 token，其余约四个字符一个 token
+function estimateTokens(text) {
+    const value = String(text || '');
+    const wide = (value.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+    return wide + Math.ceil((value.length - wide) / 4);
+}
+
+function totalTokens(entries) {
+    return entries.reduce((sum, entry) => sum + estimateTokens(entry.text), 0);
+}
+
+async function getMemory(chatId, userId = chatId) {
+    const memory = await getStore().get(NAMESPACE, historyKey(chatId, userId));
+    return memory ? { ...EMPTY_MEMORY, ...memory } : { ...EMPTY_MEMORY };
+}
+
+async function saveMemory(chatId, userId, memory) {
+    await getStore().set(NAMESPACE, historyKey(chatId, userId), { ...memory, updatedAt: Date.now() }, {
+        ttlMs: MEMORY_TTL_SECONDS * 1000
+    });
+}
+
+async function clearMemory(chatId, userId = chatId) {
+    await getStore().delete(NAMESPACE, historyKey(chatId, userId));
+}
+
+// 清除整个聊天的记忆，包括群组中每个成员的记忆
+async function clearChatMemories(chatId) {
+    const keys = (await getStore().list(NAMESPACE, { prefix: `${chatId}:` })).map(entry => entry.key);
+    keys.push(String(chatId));
+    await Promise.all(keys.map(key => getStore().delete(NAMESPACE, key)));
+}
+
+// 尚未压缩进摘要的记录；早期没有时间戳的记录按 0 处理
+function pendingEntries(history, through) {
+    return history.filter(entry => (entry.at ?? 0) > through);
+}
+
+// 从最新的记录往前保留不超过 budget 的部分，返回保留部分的起始下标
+// 同一轮对话的用户消息和回复时间相同，不会被拆开
+function recentStart(entries, budget) {
+    let start = entries.length;
+    let used = 0;
+    while (start > 0) {
+        const tokens = estimateTokens(entries[start - 1].text);
+        if (used + tokens > budget) {
+            break;
+        }
+        used += tokens;
+        start -= 1;
+    }
+    while (start > 0 && start < entries.length && entries[start].at === entries[start - 1].at) {
+        start += 1;
+    }
+    return start;
+}
+
+// 组装发给模型的上下文：摘要之后的近期对话（不超过预算）和注入系统提示词的记忆
+function buildContext(history, memory) {
+    const pending = pendingEntries(history, memory.summarizedThrough);
+    return {
+        entries: pending.slice(recentStart(pending, CONTEXT_TOKEN_BUDGET)),
+        instruction: memoryInstruction(memory)
+    };
+}
+
+function memoryInstruction(memory) {
+    const { facts, summary } = memory;
+    const lines = [
+        facts.name && `- Name: ${facts.name}`,
+        facts.goals.length > 0 && `- Goals: ${facts.goals.join('; ')}`,
+        facts.interests.length > 0 && `- Interests: ${facts.interests.join('; ')}`,
+        facts.commonErrors.length > 0 && `- Common mistakes: ${facts.commonErrors.join('; ')}`
+    ].filter(Boolean);
+
+    const sections = [];
+    if (lines.length > 0) {
+        sections.push(['What you remember about the learner (use it naturally, do not recite it):', ...lines].join('\n'));
+    }
+    if (summary) {
+        sections.push(`Summary of your earlier conversation with the learner:\n${summary}`);
+    }
+    return sections.join('\n\n');
+}
+
+function transcriptLine(entry) {
+    const speaker = entry.role === 'user' ? 'Learner' : 'Partner';
+    const mistakes = (entry.correction?.errors || [])
+        .map(error => `${error.original} → ${error.correction}`)
+        .join('; ');
+    return `${speaker}: ${entry.text}${mistakes ? ` [mistakes: ${mistakes}]` : ''}`;
+}
+
+function normalizeFacts(facts) {
+    const list = value => (Array.isArray(value) ? value : [])
+        .map(item => String(item).trim())
+        .filter(Boolean)
+        .slice(0, MAX_FACT_ITEMS);
+    return {
+        name: String(facts?.name || '').trim(),
+        goals: list(facts?.goals),
+        interests: list(facts?.interests),
+        commonErrors: list(facts?.commonErrors)
+    };
+}
+
+// 读入新的对话记录，更新学习者档案；compress 为 true 时同时把这些记录合并进摘要
+async function refreshMemory(memory, entries, profile, userId, compress) {
+    const learning = languageName(profile.learningLanguage);
+    const native = languageName(profile.nativeLanguage);
+    const prompt = [
+        `You maintain the long-term memory of a ${learning} speaking partner for a learner whose native language is ${native}.`,
+        `Current learner profile (JSON): ${JSON.stringify(memory.facts)}`,
+        ...(compress ? [`Summary of the earlier conversation: ${memory.summary || '(none)'}`] : []),
+        'New conversation turns:',
+        ...entries.map(transcriptLine),
+        '',
+        `Respond with JSON, written in ${native}:`,
+        '- "facts": the updated learner profile. Keep what is still true and add what the new turns reveal: ' +
+        '"name" the learner\'s name or nickname, "goals" and "interests" as short phrases, ' +
+        '"commonErrors" the recurring mistakes worth practicing. ' +
+        `At most ${MAX_FACT_ITEMS} items per list; use empty values for anything unknown.`,
+        ...(compress
+            ? ['- "summary": the earlier summary merged with the new turns, in at most 120 words, ' +
+                'keeping topics discussed, personal details shared and anything promised for later.']
+            : [])
+    ].join('\n');
+
+    const schema = compress
+        ? {
+            type: 'OBJECT',
+            properties: { summary: { type: 'STRING' }, facts: FACTS_SCHEMA },
+            required: ['summary', 'facts']
+        }
+        : { type: 'OBJECT', properties: { facts: FACTS_SCHEMA }, required: ['facts'] };
+    const result = await generate([{ role: 'user', parts: [{ text: prompt }] }], {
+        responseSchema: schema,
+        temperature: 0.2
+    });
+    await recordUsage(userId, { tokens: result.usage.totalTokens });
+
+    const parsed = JSON.parse(result.text);
+    return {
+        facts: normalizeFacts(parsed.facts),
+        summary: compress ? String(parsed.summary || '').trim() : memory.summary
+    };
+}
+
+// 每轮聊天后调用：近期对话超出预算时压缩较早的部分，否则按需刷新学习者档案
+// 记忆更新失败不影响聊天，只记录日志，下一轮再试
+async function updateMemory(chatId, userId, profile) {
+    try {
+        const history = await getHistory(chatId, userId);
+        const memory = await getMemory(chatId, userId);
+        const pending = pendingEntries(history, memory.summarizedThrough);
+
+        if (totalTokens(pending) > CONTEXT_TOKEN_BUDGET) {
+            const older = pending.slice(0, recentStart(pending, CONTEXT_TOKEN_BUDGET / 2));
+            if (older.length === 0) {
+                return;
+            }
+            const through = older[older.length - 1].at ?? 0;
+            const refreshed = await refreshMemory(memory, older, profile, userId, true);
+            await saveMemory(chatId, userId, {
+                ...memory,
+                ...refreshed,
+                summarizedThrough: through,
+                factsThrough: Math.max(memory.factsThrough, through)
+            });
+            log('info', `Conversation summarized for chat ${chatId}`, { entries: older.length, summaryLength: refreshed.summary.length });
+            return;
+        }
+
+        const unread = pendingEntries(history, memory.factsThrough);
+        if (unread.length >= FACT_REFRESH_ENTRIES) {
+            const refreshed = await refreshMemory(memory, unread.slice(recentStart(unread, CONTEXT_TOKEN_BUDGET)), profile, userId, false);
+            await saveMemory(chatId, userId, {
+                ...memory,
+                ...refreshed,
+                factsThrough: unread[unread.length - 1].at ?? 0
+            });
+            log('info', `Learner facts refreshed for chat ${chatId}`, { entries: unread.length });
+        }
+    } catch (error) {
+        log('warn', `Failed to update memory for chat ${chatId}`, { error: error.message });
+    }
+}
+
+function renderMemory(memory) {
+    const { facts, summary } = memory;
+    const separator = t('common.listSeparator');
+    const lines = [
+        facts.name && t('memory.name', { name: facts.name }),
+        facts.goals.length > 0 && t('memory.goals', { goals: facts.goals.join(separator) }),
+        facts.interests.length > 0 && t('memory.interests', { interests: facts.interests.join(separator) }),
+        facts.commonErrors.length > 0 && t('memory.commonErrors', {
+            errors: facts.commonErrors.map(error => `• ${error}`).join('\n')
+        }),
+        summary && t('memory.summary', { summary })
+    ].filter(Boolean);
+
+    if (lines.length === 0) {
+        return t('memory.empty');
+    }
+    return t('memory.text', { items: lines.join('\n') });
+}
+
+// 处理 /memory：查看当前聊天中保存的记忆
+async function handleMemoryCommand(botToken, chatId, userId) {
+    await safeSendMessage(botToken, chatId, renderMemory(await getMemory(chatId, userId)));
+}
+
+module.exports = {
+    getMemory,
+    clearMemory,
+    clearChatMemories,
+    buildContext,
+    updateMemory,
+    handleMemoryCommand
+};
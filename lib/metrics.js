@@ -0,0 +1,99 @@
+// Prometheus 指标，以文本格式从 /metrics 输出；指标保存在实例内存中，每个实例分别采集
+const HANDLER_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+// 最近一段时间内有消息的聊天视为活跃聊天
+const ACTIVE_CHAT_WINDOW_MS = parseInt(process.env.ACTIVE_CHAT_WINDOW_MS || '900000', 10); // 默认 15 分钟
+
+const handlerDurations = new Map();
+const upstreamErrors = new Map();
+const activeChats = new Map();
+
+function labelKey(labels) {
+    return JSON.stringify(labels);
+}
+
+function formatLabels(labels, extra = {}) {
+    const entries = Object.entries({ ...labels, ...extra });
+    if (entries.length === 0) {
+        return '';
+    }
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+// 记录一次 update 的处理耗时，handler 为 update 类型或命令名
+function observeHandler(handler, seconds) {
+    const key = labelKey({ handler });
+    let histogram = handlerDurations.get(key);
+    if (!histogram) {
+        histogram = { labels: { handler }, buckets: HANDLER_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        handlerDurations.set(key, histogram);
+    }
+    HANDLER_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) {
+            histogram.buckets[index] += 1;
+        }
+    });
+    histogram.sum += seconds;
+    histogram.count += 1;
+}
+
+// 上游请求失败次数，code 为错误类别（TIMEOUT、NETWORK_ERROR、SERVER_ERROR 等），重试的每次失败都计入
+function countUpstreamError(upstream, code) {
+    const key = labelKey({ upstream, code });
+    const counter = upstreamErrors.get(key) || { labels: { upstream, code }, value: 0 };
+    counter.value += 1;
+    upstreamErrors.set(key, counter);
+}
+
+function markChatActive(chatId) {
+    activeChats.set(chatId, Date.now());
+}
+
+function countActiveChats() {
+    const cutoff = Date.now() - ACTIVE_CHAT_WINDOW_MS;
+    for (const [chatId, seenAt] of activeChats) {
+        if (seenAt < cutoff) {
+            activeChats.delete(chatId);
+        }
+    }
+    return activeChats.size;
+}
+
+// 输出 Prometheus 文本格式
+function renderMetrics() {
+    const lines = [
+        '# HELP speakmate_handler_duration_seconds Time spent handling a Telegram update.',
+        '# TYPE speakmate_handler_duration_seconds histogram'
+    ];
+    for (const { labels, buckets, sum, count } of handlerDurations.values()) {
+        HANDLER_BUCKETS.forEach((bound, index) => {
+            lines.push(`speakmate_handler_duration_seconds_bucket${formatLabels(labels, { le: bound })} ${buckets[index]}`);
+        });
+        lines.push(`speakmate_handler_duration_seconds_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`);
+        lines.push(`speakmate_handler_duration_seconds_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`speakmate_handler_duration_seconds_count${formatLabels(labels)} ${count}`);
+    }
+
+    lines.push(
+        '# HELP speakmate_upstream_errors_total Failed upstream requests by error class, including retried attempts.',
+        '# TYPE speakmate_upstream_errors_total counter'
+    );
+    for (const { labels, value } of upstreamErrors.values()) {
+        lines.push(`speakmate_upstream_errors_total${formatLabels(labels)} ${value}`);
+    }
+
+    lines.push(
+        `# HELP speakmate_active_chats Chats with at least one update in the last ${ACTIVE_CHAT_WINDOW_MS / 1000} seconds on this instance.`,
+        '# TYPE speakmate_active_chats gauge',
+        `speakmate_active_chats ${countActiveChats()}`,
+        '# HELP process_resident_memory_bytes Resident memory size in bytes.',
+        '# TYPE process_resident_memory_bytes gauge',
+        `process_resident_memory_bytes ${process.memoryUsage().rss}`,
+        '# HELP process_uptime_seconds Time since the process started.',
+        '# TYPE process_uptime_seconds gauge',
+        `process_uptime_seconds ${process.uptime()}`
+    );
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { observeHandler, countUpstreamError, markChatActive, renderMetrics };
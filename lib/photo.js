@@ -0,0 +1,176 @@
+// 图片理解：识别照片和图片文档中的文字（菜单、路牌、课本等），给出翻译和重点词汇
+// 图片以内联数据发给支持图片的大模型，图片说明（caption）作为用户的问题
+const { apiRequest, sendRichMessage, safeSendMessage, downloadFile } = require('./telegram');
+const { generate, isLLMConfigured, supportsMedia } = require('./llm');
+const { MAX_DOWNLOAD_BYTES } = require('./transcribe');
+const { getProfile, languageName, languageLabel } = require('./settings');
+const { actionKeyboard, rememberReply } = require('./replies');
+const { recordUsage, checkQuota } = require('./usage');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+// Gemini 支持的图片格式
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+const PHOTO_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        extractedText: { type: 'STRING' },
+        sourceLanguage: { type: 'STRING' },
+        translation: { type: 'STRING' },
+        description: { type: 'STRING' },
+        answer: { type: 'STRING' },
+        vocabulary: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    term: { type: 'STRING' },
+                    meaning: { type: 'STRING' }
+                },
+                required: ['term', 'meaning']
+            }
+        }
+    },
+    required: ['extractedText', 'sourceLanguage', 'translation', 'description', 'answer', 'vocabulary']
+};
+
+// 从消息中取出图片，统一为 { fileId, fileSize, mimeType }，没有时返回 null
+// 照片有多个尺寸，取分辨率最大的一个
+function imageAttachment(message) {
+    if (Array.isArray(message.photo) && message.photo.length > 0) {
+        const largest = message.photo.reduce((best, size) =>
+            size.width * size.height > best.width * best.height ? size : best);
+        return { fileId: largest.file_id, fileSize: largest.file_size, mimeType: 'image/jpeg' };
+    }
+    const { document } = message;
+    if (document?.mime_type?.startsWith('image/')) {
+        return { fileId: document.file_id, fileSize: document.file_size, mimeType: document.mime_type };
+    }
+    return null;
+}
+
+function buildPrompt(profile, question) {
+    const learning = languageName(profile.learningLanguage);
+    const native = languageName(profile.nativeLanguage);
+    return [
+        `You help a ${learning} learner whose native language is ${native} understand a photo, such as a menu, a sign or a textbook page.`,
+        '- "extractedText": all readable text in the image, in reading order, keeping line breaks; empty if there is none.',
+        '- "sourceLanguage": the BCP-47 code of the extracted text; empty if there is none.',
+        `- "translation": if the text is in ${learning}, translate it into ${native}; otherwise translate it into ${learning}.`,
+        `- "description": one sentence in ${native} describing the image.`,
+        question
+            ? `- "answer": answer the learner's question about the image in ${native}. The question is: ${question}`
+            : '- "answer": an empty string.',
+        `- "vocabulary": up to 8 useful words or phrases from the text, each with its meaning in ${native}; ` +
+        'empty if there is no text.'
+    ].join('\n');
+}
+
+function renderResult(result) {
+    const sections = [];
+    if (result.extractedText) {
+        const text = result.sourceLanguage
+            ? t('photo.textWithLanguage', { language: languageLabel(result.sourceLanguage), text: result.extractedText })
+            : t('photo.text', { text: result.extractedText });
+        sections.push(text);
+        if (result.translation) {
+            sections.push(t('photo.translation', { translation: result.translation }));
+        }
+    } else {
+        sections.push([t('photo.noText'), result.description].filter(Boolean).join('\n'));
+    }
+    if (result.answer) {
+        sections.push(`💡 ${result.answer}`);
+    }
+    if (result.vocabulary.length > 0) {
+        sections.push(t('photo.vocabulary', {
+            items: result.vocabulary.map(item => `• ${item.term} — ${item.meaning}`).join('\n')
+        }));
+    }
+    return sections.join('\n\n');
+}
+
+// 处理照片和图片类文档
+async function handlePhotoMessage(botToken, message, image) {
+    const chatId = message.chat.id;
+    const userId = message.from?.id ?? chatId;
+    const question = (message.caption || '').trim();
+    log('info', `Processing photo from chat ${chatId}`, {
+        mimeType: image.mimeType,
+        fileSize: image.fileSize,
+        hasQuestion: Boolean(question)
+    });
+
+    if (!isLLMConfigured() || !supportsMedia(image.mimeType)) {
+        await safeSendMessage(botToken, chatId, t('photo.unavailable'));
+        return;
+    }
+    if (!IMAGE_TYPES.includes(image.mimeType)) {
+        await safeSendMessage(botToken, chatId, t('photo.unsupported'));
+        return;
+    }
+    if (image.fileSize > MAX_DOWNLOAD_BYTES) {
+        await safeSendMessage(botToken, chatId, t('photo.tooLarge'));
+        return;
+    }
+
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+        await safeSendMessage(botToken, chatId, quotaError);
+        return;
+    }
+
+    try {
+        await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'typing' });
+
+        const profile = await getProfile(userId);
+        const buffer = await downloadFile(botToken, image.fileId);
+        const response = await generate([{
+            role: 'user',
+            parts: [
+                { inlineData: { mimeType: image.mimeType, data: buffer.toString('base64') } },
+                { text: buildPrompt(profile, question) }
+            ]
+        }], { responseSchema: PHOTO_SCHEMA, temperature: 0.2 });
+        await recordUsage(userId, { tokens: response.usage.totalTokens });
+
+        const parsed = JSON.parse(response.text);
+        const result = {
+            extractedText: String(parsed.extractedText || '').trim(),
+            sourceLanguage: String(parsed.sourceLanguage || ''),
+            translation: String(parsed.translation || '').trim(),
+            description: String(parsed.description || '').trim(),
+            answer: String(parsed.answer || '').trim(),
+            vocabulary: Array.isArray(parsed.vocabulary) ? parsed.vocabulary.filter(item => item?.term) : []
+        };
+
+        if (!result.extractedText) {
+            await sendRichMessage(botToken, chatId, renderResult(result));
+            return;
+        }
+
+        // 朗读和讲解针对学习语言：原文是学习语言时用原文，否则用译文
+        const sourceIsLearning = result.sourceLanguage.split('-')[0].toLowerCase()
+            === profile.learningLanguage.split('-')[0].toLowerCase();
+        const sent = await sendRichMessage(botToken, chatId, renderResult(result), {
+            reply_markup: actionKeyboard('photo')
+        });
+        await rememberReply(chatId, sent.result.message_id, {
+            kind: 'photo',
+            text: result.extractedText,
+            speech: sourceIsLearning ? result.extractedText : result.translation || result.extractedText
+        });
+        log('info', `Photo processed for chat ${chatId}`, {
+            sourceLanguage: result.sourceLanguage,
+            vocabulary: result.vocabulary.length
+        });
+    } catch (error) {
+        log('error', `Photo processing error for chat ${chatId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('photo.failed', { error: error.message }));
+        });
+    }
+}
+
+module.exports = { imageAttachment, handlePhotoMessage };
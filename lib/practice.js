@@ -0,0 +1,392 @@
+// 发音跟读练习：发送示范语音，识别用户跟读并逐词打分
+const { getStore } = require('./store');
+const { apiRequest, safeSendMessage, sendVoice, downloadFile } = require('./telegram');
+const { speechClient } = require('./clients');
+const { generate, isLLMConfigured } = require('./llm');
+const { synthesizeSpeech } = require('./speech');
+const { getProfile, languageName } = require('./settings');
+const { recordUsage, checkQuota } = require('./usage');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+const NAMESPACE = 'practice';
+const SESSION_TTL_MS = 15 * 60 * 1000;
+
+// 按字符而不是空格切分的语言
+const CHARACTER_LANGUAGES = ['zh', 'ja', 'cmn'];
+
+// 未配置大模型或生成失败时使用的句子库
+const SENTENCE_BANK = {
+    'en-US': [
+        'I would like a cup of coffee, please.',
+        'Could you tell me how to get to the station?',
+        'The weather is really nice this afternoon.',
+        'She thought the theater was three streets away.',
+        'We usually have breakfast together on weekends.'
+    ],
+    'zh-CN': [
+        '今天天气很好，我们去公园散步吧。',
+        '请问去火车站怎么走？',
+        '我想点一杯热咖啡。'
+    ],
+    'ja-JP': [
+        '駅までの道を教えていただけますか。',
+        '今日はとてもいい天気ですね。',
+        'コーヒーを一杯お願いします。'
+    ],
+    'ko-KR': [
+        '역까지 어떻게 가는지 알려 주시겠어요?',
+        '오늘 날씨가 정말 좋네요.'
+    ],
+    'es-ES': [
+        '¿Podría decirme cómo llegar a la estación?',
+        'Me gustaría un café con leche, por favor.'
+    ],
+    'fr-FR': [
+        'Pourriez-vous me dire comment aller à la gare ?',
+        'Je voudrais un café, s’il vous plaît.'
+    ],
+    'de-DE': [
+        'Könnten Sie mir sagen, wie ich zum Bahnhof komme?',
+        'Ich hätte gern einen Kaffee, bitte.'
+    ]
+};
+
+function sessionKey(chatId, userId) {
+    return `${chatId}:${userId}`;
+}
+
+async function getSession(chatId, userId) {
+    return getStore().get(NAMESPACE, sessionKey(chatId, userId));
+}
+
+async function saveSession(chatId, userId, session) {
+    await getStore().set(NAMESPACE, sessionKey(chatId, userId), session, { ttlMs: SESSION_TTL_MS });
+}
+
+async function hasActivePractice(chatId, userId) {
+    return Boolean(await getSession(chatId, userId));
+}
+
+function isCharacterLanguage(languageCode) {
+    return CHARACTER_LANGUAGES.includes(languageCode.split('-')[0]);
+}
+
+function normalizeToken(token) {
+    return token.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+// 切分为 { raw, norm }，中文和日文按字符切分
+function tokenize(text, languageCode) {
+    const pieces = isCharacterLanguage(languageCode) ? [...text] : text.split(/\s+/);
+    return pieces
+        .map(piece => ({
+            raw: piece.replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, ''),
+            norm: normalizeToken(piece)
+        }))
+        .filter(token => token.norm);
+}
+
+function toSeconds(duration) {
+    if (!duration) {
+        return 0;
+    }
+    return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+}
+
+// 将识别结果中的单词展开为与目标句相同粒度的 token，保留置信度和时间
+function recognizedTokens(words, languageCode) {
+    return words.flatMap(word => tokenize(word.word, languageCode).map(token => ({
+        ...token,
+        // confidence 为 0 表示未提供
+        confidence: word.confidence || 1,
+        start: toSeconds(word.startTime),
+        end: toSeconds(word.endTime)
+    })));
+}
+
+function editDistance(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) {
+        dp[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j] + 1,
+                dp[i][j - 1] + 1,
+                dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+    }
+    return dp;
+}
+
+function similarity(a, b) {
+    const distance = editDistance([...a], [...b])[a.length][b.length];
+    return 1 - distance / Math.max(a.length, b.length, 1);
+}
+
+// 对齐目标句和识别结果，为目标句中的每个 token 打分
+function scoreAttempt(targetText, words, languageCode) {
+    const target = tokenize(targetText, languageCode);
+    const heard = recognizedTokens(words, languageCode);
+    const dp = editDistance(target.map(token => token.norm), heard.map(token => token.norm));
+
+    const scored = [];
+    let extraWords = 0;
+    let i = target.length;
+    let j = heard.length;
+
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && target[i - 1].norm === heard[j - 1].norm && dp[i][j] === dp[i - 1][j - 1]) {
+            const word = heard[j - 1];
+            scored.unshift({ ...target[i - 1], status: 'match', heard: word, score: Math.round(word.confidence * 100) });
+            i--;
+            j--;
+        } else if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + 1) {
+            const word = heard[j - 1];
+            const score = Math.round(similarity(target[i - 1].norm, word.norm) * 50);
+            scored.unshift({ ...target[i - 1], status: 'substituted', heard: word, score });
+            i--;
+            j--;
+        } else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+            scored.unshift({ ...target[i - 1], status: 'missing', heard: null, score: 0 });
+            i--;
+        } else {
+            extraWords++;
+            j--;
+        }
+    }
+
+    const total = scored.length > 0
+        ? Math.round(scored.reduce((sum, token) => sum + token.score, 0) / scored.length)
+        : 0;
+
+    return { total, words: scored, extraWords };
+}
+
+function formatTime(seconds) {
+    return `${seconds.toFixed(1)}s`;
+}
+
+function renderWord(token) {
+    if (token.status === 'missing') {
+        return t('practice.word.missing', { word: token.raw });
+    }
+    if (token.status === 'substituted') {
+        return t('practice.word.substituted', {
+            word: token.raw,
+            score: token.score,
+            heard: token.heard.raw,
+            time: formatTime(token.heard.start)
+        });
+    }
+    if (token.score < 80) {
+        return `⚠️ ${token.raw} ${token.score} (${formatTime(token.heard.start)}–${formatTime(token.heard.end)})`;
+    }
+    return `✅ ${token.raw} ${token.score}`;
+}
+
+function renderResult(session, transcript, result) {
+    const stars = '⭐'.repeat(Math.max(1, Math.round(result.total / 20)));
+    const weak = result.words.filter(token => token.status !== 'match' || token.score < 80);
+
+    const lines = [
+        t('practice.score', { score: result.total, stars }),
+        '',
+        t('practice.target', { text: session.sentence }),
+        t('practice.heard', { text: transcript || t('voice.empty') }),
+        '',
+        t('practice.words'),
+        ...result.words.map(renderWord)
+    ];
+
+    if (result.extraWords > 0) {
+        lines.push('', t('practice.extraWords', { count: result.extraWords }));
+    }
+
+    lines.push('', weak.length > 0
+        ? t('practice.weak', { words: weak.map(token => token.raw).join(isCharacterLanguage(session.language) ? '' : ', ') })
+        : t('practice.perfect'));
+
+    return lines.join('\n');
+}
+
+function resultKeyboard() {
+    return {
+        inline_keyboard: [[
+            { text: t('practice.listenAgain'), callback_data: 'practice:listen' },
+            { text: t('practice.next'), callback_data: 'practice:next' },
+            { text: t('practice.stop'), callback_data: 'practice:stop' }
+        ]]
+    };
+}
+
+// 选取目标句：优先让大模型生成，失败或额度不足时从句子库中随机选取
+async function pickSentence(userId, languageCode, topic, previous) {
+    if (isLLMConfigured() && !(await checkQuota(userId))) {
+        try {
+            const prompt = `Write one natural ${languageName(languageCode)} sentence of 6 to 14 words ` +
+                `that a language learner can use for pronunciation practice` +
+                `${topic ? ` about "${topic}"` : ''}. ` +
+                'Reply with the sentence only, without quotes, translation or explanation.';
+            const result = await generate([{ role: 'user', parts: [{ text: prompt }] }]);
+            await recordUsage(userId, { tokens: result.usage.totalTokens });
+            const sentence = result.text.trim().split('\n')[0].replace(/^["“「]|["”」]$/g, '');
+            if (sentence) {
+                return sentence;
+            }
+        } catch (error) {
+            log('warn', 'Failed to generate practice sentence, falling back to sentence bank', error);
+        }
+    }
+
+    const bank = SENTENCE_BANK[languageCode] || SENTENCE_BANK['en-US'];
+    const candidates = bank.filter(sentence => sentence !== previous);
+    return candidates[Math.floor(Math.random() * candidates.length)] || bank[0];
+}
+
+async function sendTarget(botToken, chatId, userId, session, profile) {
+    await apiRequest(botToken, 'sendMessage', {
+        chat_id: chatId,
+        text: t('practice.prompt', { text: session.sentence })
+    });
+    const quotaError = await checkQuota(userId, { characters: session.sentence.length });
+    if (quotaError) {
+        await safeSendMessage(botToken, chatId, quotaError);
+        return;
+    }
+    await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'upload_voice' });
+    const audioBuffer = await synthesizeSpeech(session.sentence, profile);
+    await sendVoice(botToken, chatId, audioBuffer);
+    await recordUsage(userId, { synthesizedChars: session.sentence.length });
+}
+
+async function startPractice(botToken, chatId, userId, topic = '', previous = null) {
+    const profile = await getProfile(userId);
+    const sentence = await pickSentence(userId, profile.learningLanguage, topic, previous);
+    const session = {
+        sentence,
+        topic,
+        language: profile.learningLanguage,
+        attempts: 0,
+        bestScore: 0
+    };
+    await saveSession(chatId, userId, session);
+    log('info', `Practice started for chat ${chatId}`, { sentence });
+    await sendTarget(botToken, chatId, userId, session, profile);
+}
+
+async function stopPractice(botToken, chatId, userId) {
+    const session = await getSession(chatId, userId);
+    await getStore().delete(NAMESPACE, sessionKey(chatId, userId));
+    if (!session) {
+        await safeSendMessage(botToken, chatId, t('practice.none'));
+        return;
+    }
+    await safeSendMessage(botToken, chatId,
+        t('practice.stopped', { attempts: session.attempts, best: session.bestScore }));
+}
+
+// 处理 /practice [主题] 和 /practice stop
+async function handlePracticeCommand(botToken, chatId, userId, args) {
+    try {
+        if (args === 'stop') {
+            await stopPractice(botToken, chatId, userId);
+            return;
+        }
+        await startPractice(botToken, chatId, userId, args);
+    } catch (error) {
+        log('error', `Practice error for chat ${chatId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('practice.startFailed', { error: error.message }));
+        });
+    }
+}
+
+// 练习进行中收到语音：识别并打分
+async function handlePracticeAttempt(botToken, message) {
+    const chatId = message.chat.id;
+    const userId = message.from?.id ?? chatId;
+    log('info', `Scoring practice attempt for chat ${chatId}`);
+
+    try {
+        const session = await getSession(chatId, userId);
+        if (!session) {
+            return;
+        }
+
+        await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'typing' });
+        const audio = await downloadFile(botToken, message.voice.file_id);
+        await recordUsage(userId, { audioSeconds: message.voice.duration || 0 });
+
+        const [sttResponse] = await speechClient.recognize({
+            config: {
+                encoding: 'OGG_OPUS',
+                sampleRateHertz: 16000,
+                languageCode: session.language,
+                enableWordConfidence: true,
+                enableWordTimeOffsets: true
+            },
+            audio: { content: audio.toString('base64') }
+        });
+
+        const alternatives = (sttResponse.results || [])
+            .map(r => r.alternatives?.[0])
+            .filter(Boolean);
+        const transcript = alternatives.map(a => a.transcript).join(' ').trim();
+        const words = alternatives.flatMap(a => a.words || []);
+
+        const result = scoreAttempt(session.sentence, words, session.language);
+        session.attempts += 1;
+        session.bestScore = Math.max(session.bestScore, result.total);
+        await saveSession(chatId, userId, session);
+
+        log('info', `Practice attempt scored for chat ${chatId}`, { score: result.total, attempts: session.attempts });
+
+        await apiRequest(botToken, 'sendMessage', {
+            chat_id: chatId,
+            text: renderResult(session, transcript, result),
+            reply_markup: resultKeyboard()
+        });
+    } catch (error) {
+        log('error', `Practice scoring error for chat ${chatId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('practice.scoreFailed', { error: error.message }));
+        });
+    }
+}
+
+// 处理练习结果下方的按钮，callback_data 格式：practice:listen | practice:next | practice:stop
+async function handlePracticeCallback(botToken, callbackQuery) {
+    const action = callbackQuery.data.split(':')[1];
+    const chatId = callbackQuery.message.chat.id;
+    const userId = callbackQuery.from.id;
+
+    await apiRequest(botToken, 'answerCallbackQuery', { callback_query_id: callbackQuery.id });
+
+    if (action === 'stop') {
+        await stopPractice(botToken, chatId, userId);
+        return;
+    }
+
+    const session = await getSession(chatId, userId);
+    if (!session) {
+        await safeSendMessage(botToken, chatId, t('practice.expired'));
+        return;
+    }
+
+    if (action === 'next') {
+        await startPractice(botToken, chatId, userId, session.topic, session.sentence);
+    } else if (action === 'listen') {
+        await sendTarget(botToken, chatId, userId, session, await getProfile(userId));
+    }
+}
+
+module.exports = {
+    hasActivePractice,
+    handlePracticeCommand,
+    handlePracticeAttempt,
+    handlePracticeCallback
+};
@@ -0,0 +1,54 @@
+// 机器人回复下方的操作按钮，以及按 message_id 缓存的回复内容
+const { getStore } = require('./store');
+const { t } = require('./i18n');
+
+const NAMESPACE = 'replies';
+const OWNER_NAMESPACE = 'menu_owners';
+const REPLY_TTL_SECONDS = parseInt(process.env.REPLY_TTL_SECONDS || '172800', 10); // 默认 2 天
+
+// 每种回复可用的操作，翻译结果本身不再提供翻译按钮，只有 AI 回复可以重新生成
+const KIND_ACTIONS = {
+    chat: ['listen', 'translate', 'explain', 'save', 'regenerate'],
+    scenario: ['listen', 'translate', 'explain', 'save'],
+    translation: ['listen', 'explain', 'save'],
+    transcript: ['listen', 'translate', 'explain', 'save'],
+    photo: ['listen', 'translate', 'explain', 'save'],
+    lesson: ['translate', 'explain', 'save']
+};
+
+// 按钮的 callback_data 格式：act:<操作>，操作对象由按钮所在消息的 message_id 确定
+// 按钮文字为语言包中 action.<操作> 的文案
+function actionKeyboard(kind) {
+    const buttons = KIND_ACTIONS[kind].map(action => ({ text: t(`action.${action}`), callback_data: `act:${action}` }));
+    return { inline_keyboard: [buttons.slice(0, 3), buttons.slice(3)].filter(row => row.length > 0) };
+}
+
+function replyKey(chatId, messageId) {
+    return `${chatId}:${messageId}`;
+}
+
+// 缓存回复内容：kind 为 chat | scenario | translation | transcript | photo | lesson，text 为回复文本，
+// speech 为朗读的学习语言文本（默认同 text），prompt 为 AI 回复对应的用户消息，
+// userId 为 AI 回复所属的用户（群组中只有该用户可以重新生成）
+async function rememberReply(chatId, messageId, entry) {
+    await getStore().set(NAMESPACE, replyKey(chatId, messageId), entry, {
+        ttlMs: REPLY_TTL_SECONDS * 1000
+    });
+}
+
+async function recallReply(chatId, messageId) {
+    return getStore().get(NAMESPACE, replyKey(chatId, messageId));
+}
+
+// 记录个人菜单（设置、复习卡片、生词本）所属的用户，群组中只有该用户可以点击其中的按钮
+async function rememberOwner(chatId, messageId, userId) {
+    await getStore().set(OWNER_NAMESPACE, replyKey(chatId, messageId), userId, {
+        ttlMs: REPLY_TTL_SECONDS * 1000
+    });
+}
+
+async function recallOwner(chatId, messageId) {
+    return getStore().get(OWNER_NAMESPACE, replyKey(chatId, messageId));
+}
+
+module.exports = { actionKeyboard, rememberReply, recallReply, rememberOwner, recallOwner };
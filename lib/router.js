@@ -0,0 +1,674 @@
+// 消息路由：按 update 类型和命令分发到各功能模块，与 Webhook / 控制台等传输方式无关
+const { log } = require('./logger');
+const { t, withLocale, resolveLocale } = require('./i18n');
+const { apiRequest, getBotInfo, sendRichMessage, safeSendMessage, sendVoice, downloadFile } = require('./telegram');
+const { synthesizeSpeech } = require('./speech');
+const { translateForLearner } = require('./translation');
+const { MAX_DOWNLOAD_BYTES, audioAttachment, transcribeAudio } = require('./transcribe');
+const { clearHistory, clearChatHistories } = require('./conversations');
+const { clearMemory, clearChatMemories, handleMemoryCommand } = require('./memory');
+const { handleLevelCommand, handleLevelCallback } = require('./level');
+const { handleAIChat } = require('./chat');
+const { actionKeyboard, rememberReply, recallOwner } = require('./replies');
+const { handleActionCallback } = require('./actions');
+const {
+    getProfile,
+    languageLabel,
+    profileLocale,
+    syncTelegramLanguage,
+    handleSettingsCommand,
+    handleSettingsCallback
+} = require('./settings');
+const {
+    hasActivePractice,
+    handlePracticeCommand,
+    handlePracticeAttempt,
+    handlePracticeCallback
+} = require('./practice');
+const { handleTutorCommand } = require('./tutor');
+const { endScenario, handleScenarioCommand, handleScenarioCallback } = require('./scenario');
+const {
+    handleSaveCommand,
+    handleVocabCommand,
+    handleReviewCommand,
+    handleReviewCallback,
+    handleVocabCallback
+} = require('./vocab');
+const { handleVoiceChatCommand } = require('./voicechat');
+const { handleExportCommand } = require('./export');
+const { handleSubscribeCommand, handleSubscribeCallback } = require('./subscriptions');
+const { imageAttachment, handlePhotoMessage } = require('./photo');
+const { COMMANDS, parseCommand } = require('./commands');
+const { observeHandler, markChatActive } = require('./metrics');
+const {
+    isGroupChat,
+    addressedMessage,
+    handleGroupCommand,
+    handleGroupCallback,
+    handleGroupAutoTranslate
+} = require('./groups');
+const {
+    isAllowed,
+    recordUsage,
+    consumeMessage,
+    checkQuota,
+    buildUsageReport
+} = require('./usage');
+
+// 识别时可能出现的语言：主要语言之外，加上母语、学习语言和语音识别语言
+function recognitionLanguages(profile) {
+    // 语音对话模式下用户主要说学习语言
+    const languageCode = profile.voiceChat ? profile.learningLanguage : profile.sttLanguage;
+    const alternativeLanguageCodes = [...new Set([profile.learningLanguage, profile.nativeLanguage, profile.sttLanguage])]
+        .filter(code => code !== languageCode)
+        .slice(0, 3);
+    return { languageCode, alternativeLanguageCodes };
+}
+
+// 处理语音消息、音频文件、圆形视频和音频类文档
+async function handleVoiceMessage(botToken, message, attachment) {
+    const chatId = message.chat.id;
+    const userId = message.from?.id ?? chatId;
+    log('info', `Processing audio message from chat ${chatId}`, {
+        mimeType: attachment.mimeType,
+        duration: attachment.duration,
+        fileSize: attachment.fileSize
+    });
+    
+    try {
+        if (attachment.fileSize > MAX_DOWNLOAD_BYTES) {
+            await safeSendMessage(botToken, chatId, t('voice.tooLarge'));
+            return;
+        }
+
+        const profile = await getProfile(userId);
+
+        // 发送处理中消息，长音频识别时更新进度
+        const status = await apiRequest(botToken, 'sendMessage', { 
+            chat_id: chatId, 
+            text: t('voice.recognizing')
+        });
+        let lastPercent = 0;
+        const onProgress = percent => {
+            // 每前进 10% 更新一次，避免频繁编辑消息
+            if (percent - lastPercent < 10) {
+                return;
+            }
+            lastPercent = percent;
+            apiRequest(botToken, 'editMessageText', {
+                chat_id: chatId,
+                message_id: status.result.message_id,
+                text: t('voice.recognizingProgress', { percent })
+            }).catch(() => {});
+        };
+        
+        // 获取音频文件
+        const audioBuf = await downloadFile(botToken, attachment.fileId);
+
+        const { languageCode, alternativeLanguageCodes } = recognitionLanguages(profile);
+        const result = await transcribeAudio(audioBuf, attachment.mimeType, {
+            duration: attachment.duration,
+            languageCode,
+            alternativeLanguageCodes,
+            onProgress
+        });
+        // 音频类文档没有时长信息，按实际计费时长记录
+        await recordUsage(userId, {
+            audioSeconds: attachment.duration || Math.ceil(result.billedSeconds || 0),
+            tokens: result.tokens || 0
+        });
+
+        const recognized = result.transcript;
+        const transcript = recognized || t('voice.empty');
+        
+        log('info', `Speech recognition completed for chat ${chatId}`, {
+            transcript,
+            languageCode: result.languageCode,
+            method: result.method
+        });
+
+        if (lastPercent > 0) {
+            await apiRequest(botToken, 'editMessageText', {
+                chat_id: chatId,
+                message_id: status.result.message_id,
+                text: t('voice.done')
+            }).catch(() => {});
+        }
+
+        // 语音对话模式：识别结果直接进入 AI 聊天
+        if (profile.voiceChat && recognized) {
+            await apiRequest(botToken, 'sendMessage', {
+                chat_id: chatId,
+                text: t('voice.youSaid', { text: recognized })
+            });
+            await handleAIChat(botToken, chatId, recognized, userId);
+            return;
+        }
+        
+        if (!recognized) {
+            await sendRichMessage(botToken, chatId, t('voice.result', { text: transcript }));
+            return;
+        }
+
+        const sent = await sendRichMessage(botToken, chatId,
+            t('voice.resultWithLanguage', { language: languageLabel(result.languageCode), text: transcript }),
+            { reply_markup: actionKeyboard('transcript') });
+        await rememberReply(chatId, sent.result.message_id, { kind: 'transcript', text: recognized });
+        
+    } catch (error) {
+        log('error', `Voice processing error for chat ${chatId}`, error);
+        // 异步发送错误消息，不阻塞主流程
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('voice.failed', { error: error.message }));
+        });
+    }
+}
+
+// 处理翻译功能
+async function handleTranslation(botToken, chatId, content, userId = chatId) {
+    log('info', `Processing translation for chat ${chatId}`, { content });
+    
+    try {
+        await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'typing' });
+
+        const profile = await getProfile(userId);
+        const { translatedText, sourceIsLearning } = await translateForLearner(content, profile);
+        log('info', `Translation completed for chat ${chatId}`, { translatedText });
+        await recordUsage(userId, { translatedChars: content.length });
+        
+        const sent = await apiRequest(botToken, 'sendMessage', {
+            chat_id: chatId,
+            text: t('translate.result', { text: translatedText }),
+            reply_markup: actionKeyboard('translation')
+        });
+        await rememberReply(chatId, sent.result.message_id, {
+            kind: 'translation',
+            text: translatedText,
+            speech: sourceIsLearning ? content : translatedText
+        });
+        
+    } catch (error) {
+        log('error', `Translation error for chat ${chatId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('translate.failed', { error: error.message }));
+        });
+    }
+}
+
+// 处理文本转语音功能
+async function handleTextToSpeech(botToken, chatId, content, userId = chatId) {
+    log('info', `Processing TTS for chat ${chatId}`, { content });
+    
+    try {
+        await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'upload_voice' });
+
+        const profile = await getProfile(userId);
+        const audioBuffer = await synthesizeSpeech(content, profile);
+        log('debug', `TTS audio generated, size: ${audioBuffer.length} bytes`);
+
+        await sendVoice(botToken, chatId, audioBuffer);
+        
+        log('info', `TTS voice sent successfully to chat ${chatId}`);
+        await recordUsage(userId, { synthesizedChars: content.length });
+        
+    } catch (error) {
+        log('error', `TTS error for chat ${chatId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('tts.failed', { error: error.message }));
+        });
+    }
+}
+
+// 按钮 callback_data 的前缀，与 handleCallbackQuery 中的分发一致
+const CALLBACK_PREFIXES = ['settings', 'practice', 'review', 'vocab', 'scenario', 'level', 'sub', 'group', 'act'];
+
+// 这些按钮所在的菜单属于发送命令的成员，群组中其他成员不能操作
+const OWNED_PREFIXES = ['settings', 'review', 'vocab'];
+
+// 群组中的个人菜单只接受所属成员的点击，其他成员会收到提示，返回是否放行
+async function checkMenuOwner(botToken, callbackQuery) {
+    const { message } = callbackQuery;
+    const prefix = (callbackQuery.data || '').split(':')[0];
+    if (!OWNED_PREFIXES.includes(prefix) || !message || !isGroupChat(message.chat)) {
+        return true;
+    }
+
+    const ownerId = await recallOwner(message.chat.id, message.message_id);
+    if (ownerId === callbackQuery.from.id) {
+        return true;
+    }
+    await apiRequest(botToken, 'answerCallbackQuery', {
+        callback_query_id: callbackQuery.id,
+        text: t(ownerId === null ? 'action.expired' : 'common.notYourMenu')
+    });
+    return false;
+}
+
+// 处理内联键盘按钮回调
+async function handleCallbackQuery(botToken, callbackQuery) {
+    const data = callbackQuery.data || '';
+    log('info', `Received callback query from user ${callbackQuery.from.id}`, { data });
+
+    try {
+        if (!(await checkMenuOwner(botToken, callbackQuery))) {
+            return;
+        }
+
+        if (data.startsWith('settings:')) {
+            await handleSettingsCallback(botToken, callbackQuery);
+            return;
+        }
+
+        if (data.startsWith('practice:')) {
+            await handlePracticeCallback(botToken, callbackQuery);
+            return;
+        }
+
+        if (data.startsWith('review:')) {
+            await handleReviewCallback(botToken, callbackQuery);
+            return;
+        }
+
+        if (data.startsWith('vocab:')) {
+            await handleVocabCallback(botToken, callbackQuery);
+            return;
+        }
+
+        if (data.startsWith('scenario:')) {
+            await handleScenarioCallback(botToken, callbackQuery);
+            return;
+        }
+
+        if (data.startsWith('level:')) {
+            await handleLevelCallback(botToken, callbackQuery);
+            return;
+        }
+
+        if (data.startsWith('sub:')) {
+            await handleSubscribeCallback(botToken, callbackQuery);
+            return;
+        }
+
+        if (data.startsWith('group:')) {
+            await handleGroupCallback(botToken, callbackQuery);
+            return;
+        }
+
+        if (data.startsWith('act:')) {
+            await handleActionCallback(botToken, callbackQuery);
+            return;
+        }
+
+        log('warn', `Unknown callback query data: ${data}`);
+        await apiRequest(botToken, 'answerCallbackQuery', { callback_query_id: callbackQuery.id });
+    } catch (error) {
+        log('error', `Callback query error for user ${callbackQuery.from.id}`, error);
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: t('common.actionFailed')
+        }).catch(() => {});
+    }
+}
+
+// 机器人在聊天中的状态变化（被拉入群、被移出、被用户屏蔽等）
+async function handleMyChatMember(botToken, update) {
+    const chatId = update.chat.id;
+    const status = update.new_chat_member?.status;
+    log('info', `Bot membership changed in chat ${chatId}`, {
+        oldStatus: update.old_chat_member?.status,
+        newStatus: status,
+        chatType: update.chat.type
+    });
+
+    // 被屏蔽或移出后清理该聊天的上下文，群组中包括每个成员的上下文
+    if (status === 'kicked' || status === 'left') {
+        const cleared = await clearChatHistories(chatId);
+        await clearChatMemories(chatId);
+        log('info', `Chat history cleared for chat ${chatId} after bot was removed`, { conversations: cleared });
+        return;
+    }
+
+    if ((status === 'member' || status === 'administrator') && update.chat.type !== 'private') {
+        await safeSendMessage(botToken, chatId, t('group.welcome'));
+    }
+}
+
+// 处理一条消息（包括编辑后的消息）
+async function handleMessage(botToken, message) {
+    const chatId = message.chat.id;
+    const userId = message.from?.id ?? chatId;
+    const text = message.text || '';
+    const attachment = audioAttachment(message);
+    const image = imageAttachment(message);
+    // 群组中引用用户的消息作答，便于分辨回复的是谁
+    const inGroup = isGroupChat(message.chat);
+    
+    log('info', `Received message from chat ${chatId}`, { 
+        messageType: (attachment || image)?.mimeType || 'text',
+        textLength: text.length,
+        userId: message.from?.id
+    });
+
+    try {
+        // 处理语音消息和音频文件
+        if (attachment) {
+            const quotaError = await checkQuota(userId, { audioSeconds: attachment.duration });
+            if (quotaError) {
+                await safeSendMessage(botToken, chatId, quotaError);
+                return;
+            }
+
+            // 跟读练习进行中时，语音用于发音评分
+            if (message.voice && await hasActivePractice(chatId, userId)) {
+                await handlePracticeAttempt(botToken, message);
+                return;
+            }
+            await handleVoiceMessage(botToken, message, attachment);
+            return;
+        }
+
+        // 处理照片和图片文档，图片说明作为提问
+        if (image) {
+            await handlePhotoMessage(botToken, message, image);
+            return;
+        }
+        
+        // 处理文本消息
+        if (text) {
+            // 群组中发给其他机器人的命令已在 handleUpdate 中过滤
+            const { command, args } = parseCommand(text) || {};
+
+            // 重置对话，同时清除长期记忆
+            if (command === '/reset') {
+                await clearHistory(chatId, userId);
+                await clearMemory(chatId, userId);
+                await endScenario(chatId, userId);
+                log('info', `Chat history and memory cleared for chat ${chatId}`);
+                await safeSendMessage(botToken, chatId, t('reset.done'));
+                return;
+            }
+
+            // 水平测试
+            if (command === '/level') {
+                await handleLevelCommand(botToken, chatId, userId, args);
+                return;
+            }
+
+            // 查看长期记忆
+            if (command === '/memory') {
+                await handleMemoryCommand(botToken, chatId, userId);
+                return;
+            }
+
+            // 用量统计
+            if (command === '/usage') {
+                await safeSendMessage(botToken, chatId, await buildUsageReport(userId));
+                return;
+            }
+
+            // 个人设置
+            if (command === '/settings') {
+                await handleSettingsCommand(botToken, chatId, userId);
+                return;
+            }
+
+            // 跟读练习
+            if (command === '/practice') {
+                await handlePracticeCommand(botToken, chatId, userId, args);
+                return;
+            }
+
+            // 情景练习
+            if (command === '/scenario') {
+                await handleScenarioCommand(botToken, chatId, userId, args);
+                return;
+            }
+
+            // 语法纠错模式
+            if (command === '/tutor') {
+                await handleTutorCommand(botToken, chatId, userId, args);
+                return;
+            }
+
+            // 生词本
+            if (command === '/save') {
+                if (!args) {
+                    await safeSendMessage(botToken, chatId, t('vocab.saveUsage'));
+                    return;
+                }
+                await handleSaveCommand(botToken, chatId, userId, args);
+                return;
+            }
+
+            if (command === '/review') {
+                await handleReviewCommand(botToken, chatId, userId);
+                return;
+            }
+
+            if (command === '/vocab') {
+                await handleVocabCommand(botToken, chatId, userId, args);
+                return;
+            }
+
+            // 语音对话模式
+            if (command === '/voicechat') {
+                await handleVoiceChatCommand(botToken, chatId, userId, args);
+                return;
+            }
+
+            // 每日推送
+            if (command === '/subscribe') {
+                await handleSubscribeCommand(botToken, chatId, userId, args);
+                return;
+            }
+
+            // 导出对话记录
+            if (command === '/export') {
+                await handleExportCommand(botToken, chatId, userId, args);
+                return;
+            }
+
+            // 群组设置
+            if (command === '/group') {
+                await handleGroupCommand(botToken, message);
+                return;
+            }
+
+            // 帮助信息
+            if (command === '/start' || command === '/help') {
+                log('info', `Sending help message to chat ${chatId}`);
+                await safeSendMessage(botToken, chatId, t('help.text'));
+                return;
+            }
+
+            // 翻译功能
+            if (command === '/translate') {
+                if (!args) {
+                    await safeSendMessage(botToken, chatId, t('translate.usage'));
+                    return;
+                }
+                const quotaError = await checkQuota(userId, { characters: args.length });
+                if (quotaError) {
+                    await safeSendMessage(botToken, chatId, quotaError);
+                    return;
+                }
+                await handleTranslation(botToken, chatId, args, userId);
+                return;
+            }
+
+            // 文本转语音功能
+            if (command === '/tts') {
+                if (!args) {
+                    await safeSendMessage(botToken, chatId, t('tts.usage'));
+                    return;
+                }
+                const quotaError = await checkQuota(userId, { characters: args.length });
+                if (quotaError) {
+                    await safeSendMessage(botToken, chatId, quotaError);
+                    return;
+                }
+                await handleTextToSpeech(botToken, chatId, args, userId);
+                return;
+            }
+
+            // AI 聊天功能
+            await handleAIChat(botToken, chatId, text, userId, inGroup ? { replyToMessageId: message.message_id } : {});
+        }
+    } catch (error) {
+        log('error', `Unexpected error in message handler for chat ${chatId}`, error);
+        await safeSendMessage(botToken, chatId, t('common.unavailable'));
+    }
+}
+
+// 白名单和频率限制，拒绝时通知用户并返回 false
+async function admitUpdate(botToken, update) {
+    const message = update.message || update.edited_message;
+    const callbackQuery = update.callback_query;
+    const userId = message?.from?.id ?? callbackQuery?.from?.id;
+    if (userId === undefined) {
+        return true;
+    }
+
+    let denial = null;
+    if (!isAllowed(userId)) {
+        log('info', `Rejected update from user ${userId} not on allowlist`);
+        denial = t('access.inviteOnly');
+    } else {
+        denial = await consumeMessage(userId);
+        if (denial) {
+            log('info', `Rate limited user ${userId}`);
+        }
+    }
+
+    if (!denial) {
+        return true;
+    }
+
+    if (callbackQuery) {
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: denial,
+            show_alert: true
+        });
+    } else {
+        await safeSendMessage(botToken, message.chat.id, denial);
+    }
+    return false;
+}
+
+// 群组消息只有发给机器人时才处理，返回去掉 @提及 后的消息；
+// 与机器人无关的消息不计入频率限制，只用于自动翻译，返回 null
+async function admitGroupMessage(botToken, message, isEdit) {
+    const addressed = addressedMessage(message, await getBotInfo(botToken));
+    if (!addressed) {
+        if (!isEdit) {
+            await handleGroupAutoTranslate(botToken, message);
+        }
+        return null;
+    }
+
+    // 只 @ 了机器人而没有内容时给出提示
+    if (addressed.text === '' && !audioAttachment(addressed)) {
+        await apiRequest(botToken, 'sendMessage', {
+            chat_id: message.chat.id,
+            text: t('group.mentionHint'),
+            reply_to_message_id: message.message_id
+        });
+        return null;
+    }
+    return addressed;
+}
+
+// 指标中消息的处理器名称：已知命令、audio、photo 或 chat，未知命令按 chat 计，避免标签数量失控
+function messageHandlerName(message) {
+    if (audioAttachment(message)) {
+        return 'audio';
+    }
+    if (imageAttachment(message)) {
+        return 'photo';
+    }
+    const { command } = parseCommand(message.text) || {};
+    if (COMMANDS.includes(command)) {
+        return command;
+    }
+    return message.text ? 'chat' : 'other';
+}
+
+// 群组消息和准入检查通过后再分发，返回处理器名称用于指标
+async function dispatchUpdate(botToken, update) {
+    const incoming = update.message || update.edited_message;
+    if (incoming && isGroupChat(incoming.chat)) {
+        const addressed = await admitGroupMessage(botToken, incoming, !update.message);
+        if (!addressed) {
+            return 'group_message';
+        }
+        update = update.message ? { ...update, message: addressed } : { ...update, edited_message: addressed };
+    }
+
+    if (!(await admitUpdate(botToken, update))) {
+        return 'rejected';
+    }
+
+    // 通过准入检查后才读取并同步用户设置，之后改用 /settings 中选择的界面语言
+    const sender = (update.message || update.edited_message || update.callback_query)?.from;
+    if (!sender) {
+        return routeUpdate(botToken, update);
+    }
+    const profile = await syncTelegramLanguage(sender.id, sender.language_code);
+    return withLocale(profileLocale(profile), () => routeUpdate(botToken, update));
+}
+
+// 按 update 类型交给对应的处理器，返回处理器名称用于指标
+async function routeUpdate(botToken, update) {
+    if (update.message) {
+        markChatActive(update.message.chat.id);
+        await handleMessage(botToken, update.message);
+        return messageHandlerName(update.message);
+    }
+
+    // 编辑过的文本消息按新消息处理，让用户修改问题后得到新的回答
+    if (update.edited_message) {
+        if (update.edited_message.text) {
+            log('info', `Processing edited message in chat ${update.edited_message.chat.id}`);
+            markChatActive(update.edited_message.chat.id);
+            await handleMessage(botToken, update.edited_message);
+        }
+        return 'edited_message';
+    }
+
+    if (update.callback_query) {
+        const prefix = (update.callback_query.data || '').split(':')[0];
+        if (update.callback_query.message) {
+            markChatActive(update.callback_query.message.chat.id);
+        }
+        await handleCallbackQuery(botToken, update.callback_query);
+        return CALLBACK_PREFIXES.includes(prefix) ? `callback:${prefix}` : 'callback';
+    }
+
+    if (update.my_chat_member) {
+        await handleMyChatMember(botToken, update.my_chat_member);
+        return 'my_chat_member';
+    }
+
+    log('debug', 'Received unsupported update type', { keys: Object.keys(update) });
+    return 'unsupported';
+}
+
+// 准入检查之前不访问存储，界面语言按发送者 Telegram 客户端的语言确定
+function updateLocale(update) {
+    const sender = (update.message || update.edited_message || update.callback_query || update.my_chat_member)?.from;
+    return resolveLocale(sender?.language_code);
+}
+
+// 处理一个 update 并记录耗时，出错时同样计入
+async function handleUpdate(botToken, update) {
+    const startedAt = process.hrtime.bigint();
+    let handler = 'error';
+    try {
+        handler = await withLocale(updateLocale(update), () => dispatchUpdate(botToken, update));
+    } finally {
+        observeHandler(handler, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+}
+
+module.exports = { handleUpdate };
@@ -0,0 +1,325 @@
+// 情景角色扮演：AI 扮演 data/scenarios.json 中的角色，逐轮跟踪学习目标，结束时给出评分点评
+// 场景文件中的 title 和目标的 label 按界面语言给出
+// 进行中的情景优先于普通聊天和纠错模式，对话记录保存在会话中，不写入普通聊天历史
+const SCENARIOS = require('../data/scenarios.json');
+const { getStore } = require('./store');
+const { apiRequest, sendRichMessage, safeSendMessage } = require('./telegram');
+const { generate, isLLMConfigured } = require('./llm');
+const { translateText } = require('./translation');
+const { getProfile, languageName, translationLanguageCode } = require('./settings');
+const { sendChatReply } = require('./voicechat');
+const { actionKeyboard, rememberReply } = require('./replies');
+const { recordUsage, checkQuota } = require('./usage');
+const { t, localized } = require('./i18n');
+const { log } = require('./logger');
+
+const NAMESPACE = 'scenarios';
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_TRANSCRIPT_ENTRIES = 40;
+
+const TURN_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        reply: { type: 'STRING' },
+        completedGoals: { type: 'ARRAY', items: { type: 'STRING' } }
+    },
+    required: ['reply', 'completedGoals']
+};
+
+const DEBRIEF_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        score: { type: 'INTEGER' },
+        summary: { type: 'STRING' },
+        strengths: { type: 'ARRAY', items: { type: 'STRING' } },
+        improvements: { type: 'ARRAY', items: { type: 'STRING' } }
+    },
+    required: ['score', 'summary', 'strengths', 'improvements']
+};
+
+function sessionKey(chatId, userId) {
+    return `${chatId}:${userId}`;
+}
+
+async function getScenarioSession(chatId, userId) {
+    return getStore().get(NAMESPACE, sessionKey(chatId, userId));
+}
+
+async function saveSession(chatId, userId, session) {
+    await getStore().set(NAMESPACE, sessionKey(chatId, userId), session, { ttlMs: SESSION_TTL_MS });
+}
+
+async function endScenario(chatId, userId) {
+    await getStore().delete(NAMESPACE, sessionKey(chatId, userId));
+}
+
+function findScenario(id) {
+    return SCENARIOS.find(scenario => scenario.id === id);
+}
+
+function buildSystemInstruction(scenario, session, profile) {
+    const learning = languageName(profile.learningLanguage);
+    return [
+        `You are role-playing as ${scenario.persona}. ${scenario.setting}`,
+        `The learner is practicing ${learning} at CEFR level ${scenario.difficulty}; ` +
+        `their native language is ${languageName(profile.nativeLanguage)}.`,
+        `Stay in character and speak only ${learning}, using vocabulary suitable for level ${scenario.difficulty}. ` +
+        'Keep each reply to one to three sentences and steer the conversation so the learner can reach their goals, ' +
+        'but never list the goals or break character.',
+        `You opened the scene by saying: "${session.opening}"`,
+        'Learner goals (id: description):',
+        ...scenario.goals.map(goal => `- ${goal.id}: ${goal.check}` +
+            (session.completedGoals.includes(goal.id) ? ' (already completed)' : '')),
+        'Respond with JSON: "reply" is your in-character answer; "completedGoals" lists the ids of the goals ' +
+        'the learner completed in their latest message (an empty list if none).'
+    ].join('\n');
+}
+
+function renderGoals(scenario, completedGoals) {
+    return scenario.goals
+        .map(goal => `${completedGoals.includes(goal.id) ? '✅' : '☐'} ${localized(goal.label)}`)
+        .join('\n');
+}
+
+// 情景对话回复下方的按钮：常用操作加上结束按钮
+function scenarioKeyboard(kind) {
+    return {
+        inline_keyboard: [
+            ...actionKeyboard(kind).inline_keyboard,
+            [{ text: t('scenario.finish'), callback_data: 'scenario:stop' }]
+        ]
+    };
+}
+
+function renderScenarioList() {
+    return {
+        text: t('scenario.list'),
+        reply_markup: {
+            inline_keyboard: SCENARIOS.map(scenario => [{
+                text: t('scenario.option', { title: localized(scenario.title), difficulty: scenario.difficulty }),
+                callback_data: `scenario:start:${scenario.id}`
+            }])
+        }
+    };
+}
+
+async function startScenario(botToken, chatId, userId, scenario) {
+    const profile = await getProfile(userId);
+
+    // 场景文件中的开场白为英文，学习其他语言时先翻译
+    let opening = scenario.openingLine;
+    if (!profile.learningLanguage.startsWith('en')) {
+        opening = (await translateText(opening, translationLanguageCode(profile.learningLanguage))).translatedText;
+    }
+
+    await saveSession(chatId, userId, {
+        scenarioId: scenario.id,
+        opening,
+        messages: [],
+        completedGoals: [],
+        turns: 0,
+        startedAt: Date.now()
+    });
+    log('info', `Scenario ${scenario.id} started for user ${userId}`);
+
+    await safeSendMessage(botToken, chatId, t('scenario.started', {
+        title: localized(scenario.title),
+        difficulty: scenario.difficulty,
+        goals: renderGoals(scenario, [])
+    }));
+
+    const sent = await sendChatReply(botToken, chatId, userId, opening, opening, profile, {
+        reply_markup: scenarioKeyboard('scenario')
+    });
+    await rememberReply(chatId, sent.result.message_id, { kind: 'scenario', text: opening });
+}
+
+// 情景中的一轮对话，由 handleAIChat 在有进行中的情景时调用
+async function handleScenarioTurn(botToken, chatId, userId, session, text, profile, options = {}) {
+    const scenario = findScenario(session.scenarioId);
+    if (!scenario) {
+        // 场景已从数据文件中改名或删除，结束会话以免用户卡在出错的对话里
+        await endScenario(chatId, userId);
+        log('warn', `Scenario ${session.scenarioId} no longer exists, ended session for user ${userId}`);
+        await safeSendMessage(botToken, chatId,
+            t('scenario.notFound', { id: session.scenarioId, ids: SCENARIOS.map(item => item.id).join(', ') }));
+        return;
+    }
+
+    // 重新生成时移除上一轮对话
+    const last = session.messages.length - 2;
+    if (options.regenerate && last >= 0 && session.messages[last].text === text) {
+        session.messages = session.messages.slice(0, last);
+    }
+
+    const messages = [...session.messages, { role: 'user', text }]
+        .map(message => ({ role: message.role, parts: [{ text: message.text }] }));
+    const result = await generate(messages, {
+        systemInstruction: buildSystemInstruction(scenario, session, profile),
+        responseSchema: TURN_SCHEMA
+    });
+    await recordUsage(userId, { tokens: result.usage.totalTokens });
+
+    let reply = result.text;
+    let completedGoals = [];
+    try {
+        const parsed = JSON.parse(result.text);
+        reply = String(parsed.reply || '');
+        completedGoals = Array.isArray(parsed.completedGoals) ? parsed.completedGoals : [];
+    } catch (error) {
+        log('warn', 'Failed to parse scenario response as JSON', { error: error.message });
+    }
+    reply = reply || t('chat.noReply');
+
+    const newlyCompleted = scenario.goals.filter(goal =>
+        completedGoals.includes(goal.id) && !session.completedGoals.includes(goal.id));
+    session.completedGoals.push(...newlyCompleted.map(goal => goal.id));
+    session.messages = [...session.messages, { role: 'user', text }, { role: 'model', text: reply }]
+        .slice(-MAX_TRANSCRIPT_ENTRIES);
+    session.turns += 1;
+    await saveSession(chatId, userId, session);
+
+    let displayText = reply;
+    if (newlyCompleted.length > 0) {
+        const goals = newlyCompleted.map(goal => localized(goal.label)).join(t('common.listSeparator'));
+        displayText += `\n\n${t('scenario.goalsCompleted', { goals })}`;
+        if (session.completedGoals.length === scenario.goals.length) {
+            displayText += `\n${t('scenario.allGoalsCompleted')}`;
+        }
+    }
+
+    const extra = { reply_markup: scenarioKeyboard('chat') };
+    if (options.replyToMessageId) {
+        extra.reply_to_message_id = options.replyToMessageId;
+    }
+    const sent = await sendChatReply(botToken, chatId, userId, displayText, reply, profile, extra);
+    await rememberReply(chatId, sent.result.message_id, { kind: 'chat', text: reply, prompt: text, userId });
+    log('info', `Scenario turn completed for user ${userId}`, {
+        scenario: scenario.id,
+        completedGoals: session.completedGoals.length
+    });
+}
+
+function renderDebrief(scenario, session, debrief) {
+    const lines = [
+        t('scenario.debriefTitle', { title: localized(scenario.title) }),
+        t('scenario.score', { score: Math.max(0, Math.min(100, Math.round(debrief.score))) }),
+        t('scenario.goalProgress', { completed: session.completedGoals.length, total: scenario.goals.length }),
+        renderGoals(scenario, session.completedGoals),
+        '',
+        `📝 ${debrief.summary}`
+    ];
+    if (debrief.strengths.length > 0) {
+        lines.push('', t('scenario.strengths'), ...debrief.strengths.map(item => `• ${item}`));
+    }
+    if (debrief.improvements.length > 0) {
+        lines.push('', t('scenario.improvements'), ...debrief.improvements.map(item => `• ${item}`));
+    }
+    return lines.join('\n');
+}
+
+async function generateDebrief(scenario, session, profile) {
+    const native = languageName(profile.nativeLanguage);
+    const transcript = session.messages
+        .map(message => `${message.role === 'user' ? 'Learner' : 'Partner'}: ${message.text}`)
+        .join('\n');
+    const prompt = `The learner just finished a ${languageName(profile.learningLanguage)} role-play. ` +
+        `Their partner was ${scenario.persona}. The target level was CEFR ${scenario.difficulty}.\n` +
+        `Goals completed: ${session.completedGoals.length} of ${scenario.goals.length} ` +
+        `(${scenario.goals.map(goal => `${goal.check} ${session.completedGoals.includes(goal.id) ? '[done]' : '[not done]'}`).join(' ')})\n\n` +
+        `Transcript:\nPartner: ${session.opening}\n${transcript}\n\n` +
+        'Score the learner from 0 to 100, weighing goal completion, fluency, grammar and vocabulary for the target level. ' +
+        `Write a two-sentence summary, up to three strengths and up to three concrete improvements, all in ${native}. ` +
+        'Quote the learner\'s own phrases when suggesting improvements.';
+
+    return generate([{ role: 'user', parts: [{ text: prompt }] }], { responseSchema: DEBRIEF_SCHEMA });
+}
+
+// 结束情景并发送评分点评
+async function finishScenario(botToken, chatId, userId) {
+    const session = await getScenarioSession(chatId, userId);
+    if (!session) {
+        await safeSendMessage(botToken, chatId, t('scenario.none'));
+        return;
+    }
+
+    const scenario = findScenario(session.scenarioId);
+    if (!scenario || session.turns === 0 || !isLLMConfigured()) {
+        // 场景已不存在时无法点评，直接结束
+        await endScenario(chatId, userId);
+        const title = scenario ? localized(scenario.title) : session.scenarioId;
+        await safeSendMessage(botToken, chatId, t('scenario.stopped', { title }));
+        return;
+    }
+
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+        await safeSendMessage(botToken, chatId, quotaError);
+        return;
+    }
+
+    await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'typing' });
+    const profile = await getProfile(userId);
+    const result = await generateDebrief(scenario, session, profile);
+    await recordUsage(userId, { tokens: result.usage.totalTokens });
+
+    const parsed = JSON.parse(result.text);
+    const debrief = {
+        score: Number(parsed.score) || 0,
+        summary: String(parsed.summary || ''),
+        strengths: Array.isArray(parsed.strengths) ? parsed.strengths : [],
+        improvements: Array.isArray(parsed.improvements) ? parsed.improvements : []
+    };
+
+    await endScenario(chatId, userId);
+    log('info', `Scenario ${scenario.id} finished for user ${userId}`, {
+        score: debrief.score,
+        turns: session.turns,
+        completedGoals: session.completedGoals.length
+    });
+    await sendRichMessage(botToken, chatId, renderDebrief(scenario, session, debrief));
+}
+
+// 处理 /scenario [场景 id | stop]
+async function handleScenarioCommand(botToken, chatId, userId, args) {
+    try {
+        if (args === 'stop') {
+            await finishScenario(botToken, chatId, userId);
+            return;
+        }
+
+        if (!args) {
+            await apiRequest(botToken, 'sendMessage', { chat_id: chatId, ...renderScenarioList() });
+            return;
+        }
+
+        const scenario = findScenario(args);
+        if (!scenario) {
+            await safeSendMessage(botToken, chatId,
+                t('scenario.notFound', { id: args, ids: SCENARIOS.map(item => item.id).join(', ') }));
+            return;
+        }
+        await startScenario(botToken, chatId, userId, scenario);
+    } catch (error) {
+        log('error', `Scenario command error for user ${userId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('scenario.failed', { error: error.message }));
+        });
+    }
+}
+
+// 处理情景按钮，callback_data 格式：scenario:start:<id> | scenario:stop
+async function handleScenarioCallback(botToken, callbackQuery) {
+    const [, action, id] = callbackQuery.data.split(':');
+    const chatId = callbackQuery.message.chat.id;
+    await apiRequest(botToken, 'answerCallbackQuery', { callback_query_id: callbackQuery.id });
+    await handleScenarioCommand(botToken, chatId, callbackQuery.from.id, action === 'start' ? id : 'stop');
+}
+
+module.exports = {
+    getScenarioSession,
+    endScenario,
+    handleScenarioTurn,
+    handleScenarioCommand,
+    handleScenarioCallback
+};
@@ -0,0 +1,287 @@
+// 用户设置：母语、学习语言、语音识别语言、TTS 音色和语速、学习语言的 CEFR 水平，以及界面语言
+const { getStore } = require('./store');
+const { apiRequest } = require('./telegram');
+const { rememberOwner } = require('./replies');
+const { LOCALES, t, resolveLocale, withLocale } = require('./i18n');
+const { log } = require('./logger');
+
+const NAMESPACE = 'settings';
+
+const LANGUAGES = [
+    { code: 'zh-CN', label: '🇨🇳 中文' },
+    { code: 'en-US', label: '🇺🇸 English' },
+    { code: 'ja-JP', label: '🇯🇵 日本語' },
+    { code: 'ko-KR', label: '🇰🇷 한국어' },
+    { code: 'es-ES', label: '🇪🇸 Español' },
+    { code: 'fr-FR', label: '🇫🇷 Français' },
+    { code: 'de-DE', label: '🇩🇪 Deutsch' }
+];
+
+// 每种语言可选的 Google Cloud TTS 音色，第一个为默认音色
+const VOICES = {
+    'zh-CN': ['cmn-CN-Standard-A', 'cmn-CN-Standard-B'],
+    'en-US': ['en-US-Standard-C', 'en-US-Standard-D', 'en-US-Wavenet-F', 'en-US-Wavenet-J'],
+    'ja-JP': ['ja-JP-Standard-A', 'ja-JP-Standard-C'],
+    'ko-KR': ['ko-KR-Standard-A', 'ko-KR-Standard-C'],
+    'es-ES': ['es-ES-Standard-A', 'es-ES-Standard-B'],
+    'fr-FR': ['fr-FR-Standard-A', 'fr-FR-Standard-B'],
+    'de-DE': ['de-DE-Standard-A', 'de-DE-Standard-B']
+};
+
+const SPEAKING_RATES = [0.75, 0.9, 1.0, 1.15, 1.3];
+
+// CEFR 水平，由 /level 水平测试和对话评估得出，也可以手动选择
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// AI 回复的发送方式
+const REPLY_MODES = ['text', 'voice', 'both'];
+
+const DEFAULT_PROFILE = {
+    nativeLanguage: 'zh-CN',
+    learningLanguage: 'en-US',
+    sttLanguage: 'zh-CN',
+    ttsVoice: 'en-US-Standard-C',
+    speakingRate: 1.0,
+    tutorMode: false,
+    voiceChat: false,
+    replyMode: 'text',
+    // /voicechat 开启时自动改为语音回复前的回复方式，关闭时恢复
+    replyModeBeforeVoiceChat: null,
+    // 未测试时为 null；levelCheckedAt 为最近一次测试或评估的时间
+    level: null,
+    levelCheckedAt: 0,
+    // auto 表示跟随 Telegram 的语言（telegramLanguage，每次收到 update 时记录）
+    interfaceLanguage: 'auto',
+    telegramLanguage: null
+};
+
+// 设置项的名称为语言包中 settings.field.<设置项> 的文案
+const FIELDS = {
+    nativeLanguage: { options: () => LANGUAGES.map(l => l.code) },
+    learningLanguage: { options: () => LANGUAGES.map(l => l.code) },
+    sttLanguage: { options: () => LANGUAGES.map(l => l.code) },
+    ttsVoice: { options: profile => VOICES[profile.learningLanguage] || [] },
+    speakingRate: { options: () => SPEAKING_RATES.map(String) },
+    replyMode: { options: () => REPLY_MODES },
+    level: { options: () => CEFR_LEVELS },
+    interfaceLanguage: { options: () => ['auto', ...Object.keys(LOCALES)] }
+};
+
+function fieldLabel(field) {
+    return t(`settings.field.${field}`);
+}
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// 语言的英文名称，用于拼接发给 Gemini 的提示词
+function languageName(code) {
+    return languageNames.of(code);
+}
+
+// 识别结果中的语言代码可能是小写（en-us）或只有主语言（en），依次尝试精确匹配和主语言匹配
+function languageLabel(code) {
+    const lower = code.toLowerCase();
+    const match = LANGUAGES.find(l => l.code.toLowerCase() === lower)
+        || LANGUAGES.find(l => l.code.split('-')[0].toLowerCase() === lower.split('-')[0]);
+    return match?.label || code;
+}
+
+// 与已有语言匹配的 Telegram 语言，例如 ja -> ja-JP，没有时返回 null
+function matchLanguage(code) {
+    const primary = code.toLowerCase().split('-')[0];
+    return LANGUAGES.find(l => l.code.split('-')[0].toLowerCase() === primary)?.code || null;
+}
+
+function replyModeLabel(mode) {
+    return t(`settings.replyMode.${mode}`);
+}
+
+// 水平及其名称，例如 B1 中级
+function levelLabel(level) {
+    return `${level} ${t(`level.name.${level}`)}`;
+}
+
+function formatValue(field, value) {
+    if (field === 'speakingRate') {
+        return `${value}x`;
+    }
+    if (field === 'ttsVoice') {
+        return value;
+    }
+    if (field === 'replyMode') {
+        return replyModeLabel(value);
+    }
+    if (field === 'level') {
+        return value ? levelLabel(value) : t('settings.levelUntested');
+    }
+    if (field === 'interfaceLanguage') {
+        return value === 'auto' ? t('settings.interfaceAuto') : t('locale.name', {}, value);
+    }
+    return languageLabel(value);
+}
+
+// 音色名称的前两段即为 TTS 所需的 languageCode，例如 cmn-CN-Standard-A -> cmn-CN
+function voiceLanguageCode(voiceName) {
+    return voiceName.split('-').slice(0, 2).join('-');
+}
+
+// Translation API 只接受中文带地区的代码，其余语言使用基础代码
+function translationLanguageCode(code) {
+    return code.startsWith('zh') ? code : code.split('-')[0];
+}
+
+async function getProfile(userId) {
+    const stored = await getStore().get(NAMESPACE, String(userId));
+    return { ...DEFAULT_PROFILE, ...stored };
+}
+
+// 用户的界面语言：手动选择的优先，否则按 Telegram 语言
+function profileLocale(profile) {
+    return LOCALES[profile.interfaceLanguage] ? profile.interfaceLanguage : resolveLocale(profile.telegramLanguage);
+}
+
+async function updateProfile(userId, patch) {
+    const profile = { ...(await getProfile(userId)), ...patch };
+
+    // 切换学习语言后，音色需要与新语言匹配
+    const voices = VOICES[profile.learningLanguage] || [];
+    if (voices.length > 0 && !voices.includes(profile.ttsVoice)) {
+        profile.ttsVoice = voices[0];
+    }
+
+    await getStore().set(NAMESPACE, String(userId), profile);
+    return profile;
+}
+
+// 记录用户的 Telegram 语言，供每日推送等不由 update 触发的场景确定界面语言
+// 新用户的母语和语音识别语言默认取 Telegram 语言
+async function syncTelegramLanguage(userId, languageCode) {
+    const stored = await getStore().get(NAMESPACE, String(userId));
+    if (!languageCode || stored?.telegramLanguage === languageCode) {
+        return { ...DEFAULT_PROFILE, ...stored };
+    }
+
+    const patch = { telegramLanguage: languageCode };
+    // 与默认学习语言相同时（如英文用户）无法推断母语，保留默认值
+    const native = matchLanguage(languageCode);
+    if (!stored && native && native !== DEFAULT_PROFILE.learningLanguage) {
+        patch.nativeLanguage = native;
+        patch.sttLanguage = native;
+    }
+    return updateProfile(userId, patch);
+}
+
+function buildSettingsText(profile) {
+    const lines = Object.keys(FIELDS)
+        .map(field => t('common.labelValue', { label: fieldLabel(field), value: formatValue(field, profile[field]) }));
+    return t('settings.text', { fields: lines.join('\n') });
+}
+
+function buildMainKeyboard() {
+    return {
+        inline_keyboard: Object.keys(FIELDS)
+            .map(field => [{ text: fieldLabel(field), callback_data: `settings:menu:${field}` }])
+    };
+}
+
+function buildFieldKeyboard(field, profile) {
+    const buttons = FIELDS[field].options(profile).map(value => ({
+        text: `${String(profile[field]) === value ? '✅ ' : ''}${formatValue(field, value)}`,
+        callback_data: `settings:set:${field}:${value}`
+    }));
+
+    // 每行两个按钮
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) {
+        rows.push(buttons.slice(i, i + 2));
+    }
+    rows.push([{ text: t('common.back'), callback_data: 'settings:main' }]);
+    return { inline_keyboard: rows };
+}
+
+// 处理 /settings 命令
+async function handleSettingsCommand(botToken, chatId, userId) {
+    log('info', `Sending settings menu to chat ${chatId}`);
+    const profile = await getProfile(userId);
+    const sent = await apiRequest(botToken, 'sendMessage', {
+        chat_id: chatId,
+        text: buildSettingsText(profile),
+        reply_markup: buildMainKeyboard()
+    });
+    await rememberOwner(chatId, sent.result.message_id, userId);
+}
+
+// 处理设置菜单的按钮点击，callback_data 格式：
+//   settings:main | settings:menu:<field> | settings:set:<field>:<value>
+async function handleSettingsCallback(botToken, callbackQuery) {
+    const [, action, field, value] = callbackQuery.data.split(':');
+    const userId = callbackQuery.from.id;
+    const { message } = callbackQuery;
+    let profile = await getProfile(userId);
+
+    if ((action === 'menu' || action === 'set') && !FIELDS[field]) {
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: t('settings.unknownField')
+        });
+        return;
+    }
+
+    if (action === 'set') {
+        if (!FIELDS[field].options(profile).includes(value)) {
+            await apiRequest(botToken, 'answerCallbackQuery', {
+                callback_query_id: callbackQuery.id,
+                text: t('settings.staleOption')
+            });
+            return;
+        }
+        const patch = { [field]: field === 'speakingRate' ? parseFloat(value) : value };
+        // 手动选择水平后，对话评估从此时重新计算
+        if (field === 'level') {
+            patch.levelCheckedAt = Date.now();
+        }
+        // 手动选择回复方式后，关闭语音对话时不再恢复原来的方式
+        if (field === 'replyMode') {
+            patch.replyModeBeforeVoiceChat = null;
+        }
+        profile = await updateProfile(userId, patch);
+        log('info', `Settings updated for user ${userId}`, { field, value });
+    }
+
+    // 修改界面语言后立即以新语言显示菜单
+    await withLocale(profileLocale(profile), async () => {
+        const reply_markup = action === 'menu'
+            ? buildFieldKeyboard(field, profile)
+            : buildMainKeyboard();
+
+        await apiRequest(botToken, 'editMessageText', {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            text: buildSettingsText(profile),
+            reply_markup
+        });
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: action === 'set' ? t('settings.updated', { field: fieldLabel(field) }) : undefined
+        });
+    });
+}
+
+module.exports = {
+    LANGUAGES,
+    CEFR_LEVELS,
+    DEFAULT_PROFILE,
+    REPLY_MODES,
+    getProfile,
+    updateProfile,
+    syncTelegramLanguage,
+    profileLocale,
+    replyModeLabel,
+    levelLabel,
+    languageName,
+    languageLabel,
+    voiceLanguageCode,
+    translationLanguageCode,
+    handleSettingsCommand,
+    handleSettingsCallback
+};
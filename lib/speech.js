@@ -0,0 +1,66 @@
+const { ttsClient } = require('./clients');
+const { voiceLanguageCode } = require('./settings');
+
+// Text-to-Speech 单次请求的输入上限为 5000 字节，留出余量
+const MAX_TTS_BYTES = 4500;
+
+// 按学习语言的 CEFR 水平调整的朗读语速系数，与用户设置的语速相乘
+const LEVEL_RATE_FACTORS = { A1: 0.8, A2: 0.9, B1: 1.0, B2: 1.0, C1: 1.05, C2: 1.1 };
+
+// 去掉朗读时无意义的 Markdown 符号
+function toSpeechText(text) {
+    return text
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/[*_`#>~|]/g, '')
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .trim();
+}
+
+// 按句子边界切分长文本，保证每段不超过 MAX_TTS_BYTES
+function splitForSpeech(text) {
+    const sentences = text.match(/[^.!?。！？\n]+[.!?。！？\n]*/g) || [text];
+    const chunks = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+        if (Buffer.byteLength(current + sentence) > MAX_TTS_BYTES && current) {
+            chunks.push(current);
+            current = '';
+        }
+        // 单个句子本身过长时按字符截断
+        let rest = sentence;
+        while (Buffer.byteLength(rest) > MAX_TTS_BYTES) {
+            const cut = Math.floor(MAX_TTS_BYTES / 4);
+            chunks.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+        }
+        current += rest;
+    }
+    if (current.trim()) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+// 按水平调整后的朗读语速
+function adaptedSpeakingRate(profile) {
+    const rate = profile.speakingRate * (LEVEL_RATE_FACTORS[profile.level] || 1);
+    return Math.round(rate * 100) / 100;
+}
+
+// 按用户设置的音色、语速和学习水平合成语音，返回 MP3 数据
+// 长文本分段合成后直接拼接，MP3 帧可以顺序播放
+async function synthesizeSpeech(text, profile) {
+    const buffers = [];
+    for (const chunk of splitForSpeech(text)) {
+        const [response] = await ttsClient.synthesizeSpeech({
+            input: { text: chunk },
+            voice: { languageCode: voiceLanguageCode(profile.ttsVoice), name: profile.ttsVoice },
+            audioConfig: { audioEncoding: 'MP3', speakingRate: adaptedSpeakingRate(profile) },
+        });
+        buffers.push(Buffer.from(response.audioContent, 'base64'));
+    }
+    return Buffer.concat(buffers);
+}
+
+module.exports = { synthesizeSpeech, toSpeechText };
@@ -0,0 +1,57 @@
+// SM-2 间隔重复调度
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+
+// 按钮对应的 SM-2 评分（0-5）
+const GRADES = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+function newCard(now = Date.now()) {
+    return {
+        repetitions: 0,
+        interval: 0,
+        easeFactor: 2.5,
+        dueAt: now
+    };
+}
+
+// 根据评分计算下一次复习时间，返回新的卡片状态
+function reviewCard(card, grade, now = Date.now()) {
+    const quality = GRADES[grade];
+    if (quality === undefined) {
+        throw new Error(`Unknown review grade: ${grade}`);
+    }
+
+    const easeFactor = Math.max(1.3,
+        card.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    // 答错时重新学习，10 分钟后再次出现
+    if (quality < 3) {
+        return { repetitions: 0, interval: 0, easeFactor, dueAt: now + RELEARN_DELAY_MS };
+    }
+
+    const repetitions = card.repetitions + 1;
+    let interval;
+    if (repetitions === 1) {
+        interval = 1;
+    } else if (repetitions === 2) {
+        interval = 6;
+    } else {
+        interval = Math.round(card.interval * easeFactor);
+    }
+    if (grade === 'easy') {
+        interval = Math.round(interval * 1.3);
+    }
+
+    return { repetitions, interval, easeFactor, dueAt: now + interval * DAY_MS };
+}
+
+function isDue(card, now = Date.now()) {
+    return card.dueAt <= now;
+}
+
+module.exports = { GRADES, newCard, reviewCard, isDue };
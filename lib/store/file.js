@@ -0,0 +1,167 @@
+// 文件存储后端：每个命名空间保存为一个 JSON 文件，适合本地单实例运行
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../logger');
+
+function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+function createFileBackend({ directory }) {
+    const namespaces = new Map();
+    const writeQueues = new Map();
+
+    function filePath(namespace) {
+        return path.join(directory, `${namespace}.json`);
+    }
+
+    // 首次访问时从磁盘加载命名空间
+    async function load(namespace) {
+        if (namespaces.has(namespace)) {
+            return namespaces.get(namespace);
+        }
+
+        let entries = new Map();
+        try {
+            const raw = await fs.promises.readFile(filePath(namespace), 'utf8');
+            entries = new Map(Object.entries(JSON.parse(raw)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log('error', `Failed to load store file for namespace ${namespace}`, error);
+            }
+        }
+
+        // 并发加载时以先完成的结果为准
+        if (!namespaces.has(namespace)) {
+            namespaces.set(namespace, entries);
+        }
+        return namespaces.get(namespace);
+    }
+
+    // 串行写入，先写临时文件再重命名，避免进程中断时留下半截文件
+    function persist(namespace) {
+        const previous = writeQueues.get(namespace) || Promise.resolve();
+        const next = previous.then(async () => {
+            const entries = namespaces.get(namespace);
+            const target = filePath(namespace);
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(tmp, JSON.stringify(Object.fromEntries(entries)));
+            await fs.promises.rename(tmp, target);
+        }).catch(error => {
+            log('error', `Failed to write store file for namespace ${namespace}`, error);
+        });
+        writeQueues.set(namespace, next);
+        return next;
+    }
+
+    async function prune(namespace) {
+        const entries = await load(namespace);
+        const now = Date.now();
+        let changed = false;
+        for (const [key, entry] of entries) {
+            if (isExpired(entry, now)) {
+                entries.delete(key);
+                changed = true;
+            }
+        }
+        if (changed) {
+            await persist(namespace);
+        }
+        return entries;
+    }
+
+    return {
+        name: 'file',
+
+        async get(namespace, key) {
+            const entries = await load(namespace);
+            const entry = entries.get(key);
+            if (!entry) {
+                return null;
+            }
+            if (isExpired(entry)) {
+                entries.delete(key);
+                await persist(namespace);
+                return null;
+            }
+            return entry.value;
+        },
+
+        async set(namespace, key, value, { ttlMs = 0 } = {}) {
+            const entries = await load(namespace);
+            entries.set(key, {
+                value,
+                expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+            });
+            await persist(namespace);
+        },
+
+        // 单进程内 get 与 set 之间没有 await 让出，判断和写入不会被其他请求打断
+        async add(namespace, key, value, { ttlMs = 0 } = {}) {
+            const entries = await load(namespace);
+            const existing = entries.get(key);
+            if (existing && !isExpired(existing)) {
+                return false;
+            }
+            entries.set(key, {
+                value,
+                expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+            });
+            await persist(namespace);
+            return true;
+        },
+
+        // 与 add 相同，读取和写入之间没有 await 让出
+        async increment(namespace, key, counters, { ttlMs = 0 } = {}) {
+            const entries = await load(namespace);
+            const existing = entries.get(key);
+            const value = existing && !isExpired(existing) ? { ...existing.value } : {};
+            for (const [field, amount] of Object.entries(counters)) {
+                value[field] = (value[field] || 0) + (amount || 0);
+            }
+            entries.set(key, {
+                value,
+                expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+            });
+            await persist(namespace);
+        },
+
+        // updater 是同步函数，读取和写入之间不会被其他请求打断
+        async update(namespace, key, updater, { ttlMs = 0 } = {}) {
+            const entries = await load(namespace);
+            const existing = entries.get(key);
+            const value = updater(existing && !isExpired(existing) ? existing.value : null);
+            if (value === undefined) {
+                return existing && !isExpired(existing) ? existing.value : null;
+            }
+            entries.set(key, {
+                value,
+                expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+            });
+            await persist(namespace);
+            return value;
+        },
+
+        async delete(namespace, key) {
+            const entries = await load(namespace);
+            if (entries.delete(key)) {
+                await persist(namespace);
+            }
+        },
+
+        async list(namespace, { prefix = '' } = {}) {
+            const entries = await prune(namespace);
+            return [...entries]
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, entry]) => ({ key, value: entry.value }));
+        },
+
+        async count(namespace) {
+            const entries = await prune(namespace);
+            return entries.size;
+        }
+    };
+}
+
+module.exports = { createFileBackend };
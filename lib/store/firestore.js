@@ -0,0 +1,136 @@
+// Firestore 文档存储后端：多实例共享数据，设置 FIRESTORE_EMULATOR_HOST 即可连接本地模拟器
+const { log } = require('../logger');
+
+function createFirestoreBackend({ projectId, collectionPrefix = 'speakmate_' }) {
+    // 延迟加载，未使用该后端时无需安装依赖
+    const { Firestore, FieldPath, FieldValue, Timestamp } = require('@google-cloud/firestore');
+    const db = new Firestore({ projectId });
+
+    function collection(namespace) {
+        return db.collection(`${collectionPrefix}${namespace}`);
+    }
+
+    // 文档 ID 不能包含斜杠
+    function docId(key) {
+        return encodeURIComponent(key);
+    }
+
+    // expiresAt 字段可配合 Firestore TTL 策略自动删除过期文档；
+    // TTL 策略的删除存在延迟，所以读取时仍会自行检查
+    function isExpired(data, now = Date.now()) {
+        return Boolean(data.expiresAt) && data.expiresAt.toMillis() <= now;
+    }
+
+    // increment 写入的文档把数值保存在 counters 字段，其余文档以 JSON 字符串保存在 value 字段
+    function decode(data) {
+        return data.counters || JSON.parse(data.value);
+    }
+
+    return {
+        name: 'firestore',
+
+        async get(namespace, key) {
+            const ref = collection(namespace).doc(docId(key));
+            const snapshot = await ref.get();
+            if (!snapshot.exists) {
+                return null;
+            }
+            const data = snapshot.data();
+            if (isExpired(data)) {
+                ref.delete().catch(error => {
+                    log('warn', `Failed to delete expired document ${namespace}/${key}`, error);
+                });
+                return null;
+            }
+            return decode(data);
+        },
+
+        async set(namespace, key, value, { ttlMs = 0 } = {}) {
+            // 以 JSON 字符串保存，避免 Firestore 对嵌套数组和 undefined 字段的限制
+            await collection(namespace).doc(docId(key)).set({
+                value: JSON.stringify(value),
+                expiresAt: ttlMs > 0 ? Timestamp.fromMillis(Date.now() + ttlMs) : null,
+                updatedAt: Timestamp.now()
+            });
+        },
+
+        // 在事务中检查并写入，多个实例同时调用时只有一个成功
+        async add(namespace, key, value, { ttlMs = 0 } = {}) {
+            const ref = collection(namespace).doc(docId(key));
+            return db.runTransaction(async transaction => {
+                const snapshot = await transaction.get(ref);
+                if (snapshot.exists && !isExpired(snapshot.data())) {
+                    return false;
+                }
+                transaction.set(ref, {
+                    value: JSON.stringify(value),
+                    expiresAt: ttlMs > 0 ? Timestamp.fromMillis(Date.now() + ttlMs) : null,
+                    updatedAt: Timestamp.now()
+                });
+                return true;
+            });
+        },
+
+        // 使用 FieldValue.increment 在服务端累加，多个实例同时写入时不会丢失计数；
+        // 已过期但尚未被 TTL 策略删除的文档会在原有计数上继续累加
+        async increment(namespace, key, counters, { ttlMs = 0 } = {}) {
+            const fields = {};
+            for (const [field, amount] of Object.entries(counters)) {
+                fields[field] = FieldValue.increment(amount || 0);
+            }
+            await collection(namespace).doc(docId(key)).set({
+                counters: fields,
+                expiresAt: ttlMs > 0 ? Timestamp.fromMillis(Date.now() + ttlMs) : null,
+                updatedAt: Timestamp.now()
+            }, { merge: true });
+        },
+
+        // 在事务中读取并写回，发生冲突时 Firestore 会重新执行事务，因此 updater 可能被调用多次
+        async update(namespace, key, updater, { ttlMs = 0 } = {}) {
+            const ref = collection(namespace).doc(docId(key));
+            return db.runTransaction(async transaction => {
+                const snapshot = await transaction.get(ref);
+                const current = snapshot.exists && !isExpired(snapshot.data()) ? decode(snapshot.data()) : null;
+                const value = updater(current);
+                if (value === undefined) {
+                    return current;
+                }
+                transaction.set(ref, {
+                    value: JSON.stringify(value),
+                    expiresAt: ttlMs > 0 ? Timestamp.fromMillis(Date.now() + ttlMs) : null,
+                    updatedAt: Timestamp.now()
+                });
+                return value;
+            });
+        },
+
+        async delete(namespace, key) {
+            await collection(namespace).doc(docId(key)).delete();
+        },
+
+        // 指定 prefix 时按文档 ID 做范围查询，只读取匹配的文档；
+        // 编码后的文档 ID 只含 ASCII 字符，'\uf8ff' 大于其中任何字符
+        async list(namespace, { prefix = '' } = {}) {
+            let query = collection(namespace);
+            if (prefix) {
+                const start = docId(prefix);
+                query = query
+                    .where(FieldPath.documentId(), '>=', start)
+                    .where(FieldPath.documentId(), '<', `${start}\uf8ff`);
+            }
+            const snapshot = await query.get();
+            const now = Date.now();
+            return snapshot.docs
+                .filter(doc => !isExpired(doc.data(), now))
+                .map(doc => ({ key: decodeURIComponent(doc.id), value: decode(doc.data()) }));
+        },
+
+        // 使用聚合查询计数，已过期但尚未被 TTL 策略删除的文档也会被计入
+        async count(namespace) {
+            const snapshot = await collection(namespace).count().get();
+            return snapshot.data().count;
+        }
+    };
+}
+
+module.exports = { createFirestoreBackend };
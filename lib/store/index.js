@@ -0,0 +1,48 @@
+// 可插拔的键值存储
+//
+// 所有后端实现相同的异步接口：
+//   get(namespace, key)                     -> value 或 null（不存在或已过期）
+//   set(namespace, key, value, { ttlMs })   -> 写入，ttlMs 为 0 表示永不过期
+//   add(namespace, key, value, { ttlMs })   -> 仅在不存在（或已过期）时写入，返回是否写入；用于防止重复处理
+//   increment(namespace, key, counters, { ttlMs }) -> 原子累加对象中的数值字段，不存在时从 0 开始
+//   update(namespace, key, updater, { ttlMs }) -> 原子的读-改-写：updater 收到当前值（不存在时为 null），
+//                                             返回新值写入，返回 undefined 时不写入；返回写入后的值
+//   delete(namespace, key)
+//   list(namespace, { prefix })             -> [{ key, value }]，指定 prefix 时只返回以它开头的键
+//   count(namespace)                        -> 条目数量
+//
+// 通过 STORE_BACKEND 环境变量选择后端：memory（默认）、file、firestore
+const { createMemoryBackend } = require('./memory');
+const { createFileBackend } = require('./file');
+const { createFirestoreBackend } = require('./firestore');
+
+const BACKENDS = {
+    memory: () => createMemoryBackend(),
+    file: () => createFileBackend({
+        directory: process.env.STORE_FILE_DIR || '.data'
+    }),
+    firestore: () => createFirestoreBackend({
+        projectId: process.env.GCLOUD_PROJECT,
+        collectionPrefix: process.env.FIRESTORE_COLLECTION_PREFIX || 'speakmate_'
+    })
+};
+
+let store = null;
+
+function createStore(backend) {
+    const factory = BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Unknown store backend: ${backend} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return factory();
+}
+
+// 获取全局存储实例，首次调用时按环境变量创建
+function getStore() {
+    if (!store) {
+        store = createStore(process.env.STORE_BACKEND || 'memory');
+    }
+    return store;
+}
+
+module.exports = { createStore, getStore };
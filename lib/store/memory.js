@@ -0,0 +1,114 @@
+// 内存存储后端：进程重启或扩容后数据不会保留，适合本地开发和测试
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+function createMemoryBackend() {
+    const namespaces = new Map();
+
+    function bucket(namespace) {
+        if (!namespaces.has(namespace)) {
+            namespaces.set(namespace, new Map());
+        }
+        return namespaces.get(namespace);
+    }
+
+    // 定期清理过期条目，避免长时间运行的实例内存不断增长
+    function sweep() {
+        const now = Date.now();
+        for (const entries of namespaces.values()) {
+            for (const [key, entry] of entries) {
+                if (isExpired(entry, now)) {
+                    entries.delete(key);
+                }
+            }
+        }
+    }
+
+    const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    timer.unref();
+
+    return {
+        name: 'memory',
+
+        async get(namespace, key) {
+            const entries = bucket(namespace);
+            const entry = entries.get(key);
+            if (!entry) {
+                return null;
+            }
+            if (isExpired(entry)) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+
+        async set(namespace, key, value, { ttlMs = 0 } = {}) {
+            bucket(namespace).set(key, {
+                value,
+                expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+            });
+        },
+
+        async add(namespace, key, value, { ttlMs = 0 } = {}) {
+            const entries = bucket(namespace);
+            const existing = entries.get(key);
+            if (existing && !isExpired(existing)) {
+                return false;
+            }
+            entries.set(key, {
+                value,
+                expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+            });
+            return true;
+        },
+
+        async increment(namespace, key, counters, { ttlMs = 0 } = {}) {
+            const entries = bucket(namespace);
+            const existing = entries.get(key);
+            const value = existing && !isExpired(existing) ? { ...existing.value } : {};
+            for (const [field, amount] of Object.entries(counters)) {
+                value[field] = (value[field] || 0) + (amount || 0);
+            }
+            entries.set(key, {
+                value,
+                expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+            });
+        },
+
+        async update(namespace, key, updater, { ttlMs = 0 } = {}) {
+            const entries = bucket(namespace);
+            const existing = entries.get(key);
+            const value = updater(existing && !isExpired(existing) ? existing.value : null);
+            if (value === undefined) {
+                return existing && !isExpired(existing) ? existing.value : null;
+            }
+            entries.set(key, {
+                value,
+                expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+            });
+            return value;
+        },
+
+        async delete(namespace, key) {
+            bucket(namespace).delete(key);
+        },
+
+        async list(namespace, { prefix = '' } = {}) {
+            sweep();
+            return [...bucket(namespace)]
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, entry]) => ({ key, value: entry.value }));
+        },
+
+        async count(namespace) {
+            sweep();
+            return bucket(namespace).size;
+        }
+    };
+}
+
+module.exports = { createMemoryBackend };
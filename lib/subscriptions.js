@@ -0,0 +1,287 @@
+// 每日推送订阅：用户选择内容、时间和时区，由 /cron/tick 定期触发发送
+// Cloud Run 没有后台任务，推送完全由外部调度器（或本地定时器）的请求驱动
+const { getStore } = require('./store');
+const { apiRequest, safeSendMessage } = require('./telegram');
+const { LESSON_TYPES, lessonLabel, sendLesson } = require('./lessons');
+const { isAllowed } = require('./usage');
+const { getProfile, profileLocale } = require('./settings');
+const { t, withLocale } = require('./i18n');
+const { log } = require('./logger');
+
+const NAMESPACE = 'subscriptions';
+// 每位用户每天一条发送记录，先写入再发送，避免并发的 tick 重复推送
+const DELIVERY_NAMESPACE = 'deliveries';
+const DELIVERY_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+// 单次 tick 最多发送的条数，剩余的在下一次 tick 中发送，避免请求超时
+const MAX_DELIVERIES_PER_TICK = parseInt(process.env.CRON_MAX_DELIVERIES || '100', 10);
+// 每日一词避免重复最近推送过的词
+const RECENT_PHRASES = 30;
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Shanghai';
+const TIMES = ['07:00', '08:00', '12:00', '18:00', '20:00', '22:00'];
+// 菜单中可选的时区，名称见语言包的 subscribe.zone.<时区>
+const TIME_ZONES = [
+    'Asia/Shanghai', 'Asia/Tokyo', 'Asia/Singapore', 'Europe/London',
+    'Europe/Berlin', 'America/New_York', 'America/Los_Angeles', 'UTC'
+];
+
+const DEFAULT_SUBSCRIPTION = {
+    active: false,
+    lessonType: 'word',
+    time: '08:00',
+    timeZone: DEFAULT_TIME_ZONE,
+    lastSentDate: null,
+    recentPhrases: []
+};
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 8:30、08:30 -> 08:30，不合法时返回 null
+function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+// 某个时区的当前日期和时间，例如 { date: '2026-10-19', time: '08:05' }
+function localNow(timeZone, now = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+async function getSubscription(userId) {
+    const stored = await getStore().get(NAMESPACE, String(userId));
+    return { ...DEFAULT_SUBSCRIPTION, ...stored };
+}
+
+// 修改订阅；当天的推送时间已过时从明天开始，避免修改后立即推送
+async function updateSubscription(userId, chatId, patch) {
+    const subscription = { ...(await getSubscription(userId)), ...patch, chatId };
+    const local = localNow(subscription.timeZone);
+    const startsTomorrow = subscription.active && local.time >= subscription.time && subscription.lastSentDate !== local.date;
+    if (startsTomorrow) {
+        subscription.lastSentDate = local.date;
+    }
+    await getStore().set(NAMESPACE, String(userId), subscription);
+    return { ...subscription, startsTomorrow };
+}
+
+function timeZoneLabel(timeZone) {
+    return TIME_ZONES.includes(timeZone) ? t(`subscribe.zone.${timeZone}`) : timeZone;
+}
+
+function buildSubscriptionText(subscription) {
+    const lines = [
+        t('subscribe.status', {
+            status: t(subscription.active ? 'subscribe.active' : 'subscribe.inactive'),
+            lesson: lessonLabel(subscription.lessonType),
+            time: subscription.time,
+            timeZone: timeZoneLabel(subscription.timeZone)
+        })
+    ];
+    if (subscription.active && subscription.startsTomorrow) {
+        lines.push(t('subscribe.startsTomorrow'));
+    }
+    lines.push(t(subscription.active ? 'subscribe.hintActive' : 'subscribe.hintInactive'));
+    return lines.join('\n\n');
+}
+
+function buildMainKeyboard(subscription) {
+    const mark = (selected, label) => `${selected ? '✅ ' : ''}${label}`;
+    const rows = [
+        LESSON_TYPES.map(type => ({
+            text: mark(subscription.active && subscription.lessonType === type, lessonLabel(type)),
+            callback_data: `sub:type:${type}`
+        })),
+        TIMES.slice(0, 3).map(time => ({ text: mark(subscription.time === time, time), callback_data: `sub:time:${time.replace(':', '')}` })),
+        TIMES.slice(3).map(time => ({ text: mark(subscription.time === time, time), callback_data: `sub:time:${time.replace(':', '')}` })),
+        [{ text: t('subscribe.timeZoneButton', { timeZone: timeZoneLabel(subscription.timeZone) }), callback_data: 'sub:menu:tz' }]
+    ];
+    if (subscription.active) {
+        rows.push([{ text: t('subscribe.cancel'), callback_data: 'sub:off' }]);
+    }
+    return { inline_keyboard: rows };
+}
+
+function buildTimeZoneKeyboard(subscription) {
+    const buttons = TIME_ZONES.map((timeZone, index) => ({
+        text: `${subscription.timeZone === timeZone ? '✅ ' : ''}${timeZoneLabel(timeZone)}`,
+        callback_data: `sub:tz:${index}`
+    }));
+
+    // 每行两个按钮
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) {
+        rows.push(buttons.slice(i, i + 2));
+    }
+    rows.push([{ text: t('common.back'), callback_data: 'sub:main' }]);
+    return { inline_keyboard: rows };
+}
+
+// 处理 /subscribe [word|quiz|nudge] [HH:MM] [时区] 和 /subscribe off，不带参数时显示菜单
+async function handleSubscribeCommand(botToken, chatId, userId, args) {
+    // 推送发到私聊，群组中不订阅
+    if (String(chatId) !== String(userId)) {
+        await safeSendMessage(botToken, chatId, t('subscribe.privateOnly'));
+        return;
+    }
+
+    let subscription = await getSubscription(userId);
+    const tokens = (args || '').split(/\s+/).filter(Boolean);
+
+    if (tokens.length === 1 && ['off', 'stop'].includes(tokens[0].toLowerCase())) {
+        await updateSubscription(userId, chatId, { active: false });
+        log('info', `Lesson subscription cancelled for user ${userId}`);
+        await safeSendMessage(botToken, chatId, t('subscribe.cancelled'));
+        return;
+    }
+
+    if (tokens.length > 0) {
+        const patch = { active: true };
+        for (const token of tokens) {
+            if (LESSON_TYPES.includes(token.toLowerCase())) {
+                patch.lessonType = token.toLowerCase();
+            } else if (parseTime(token)) {
+                patch.time = parseTime(token);
+            } else if (isValidTimeZone(token)) {
+                patch.timeZone = token;
+            } else {
+                await safeSendMessage(botToken, chatId, t('subscribe.usage', { token }));
+                return;
+            }
+        }
+        subscription = await updateSubscription(userId, chatId, patch);
+        log('info', `Lesson subscription updated for user ${userId}`, patch);
+    }
+
+    await apiRequest(botToken, 'sendMessage', {
+        chat_id: chatId,
+        text: buildSubscriptionText(subscription),
+        reply_markup: buildMainKeyboard(subscription)
+    });
+}
+
+// 处理订阅菜单的按钮点击，callback_data 格式：
+//   sub:main | sub:menu:tz | sub:type:<type> | sub:time:<HHMM> | sub:tz:<index> | sub:off
+async function handleSubscribeCallback(botToken, callbackQuery) {
+    const [, action, value] = callbackQuery.data.split(':');
+    const userId = callbackQuery.from.id;
+    const { message } = callbackQuery;
+    let subscription = await getSubscription(userId);
+    let patch = null;
+
+    if (action === 'type' && LESSON_TYPES.includes(value)) {
+        patch = { active: true, lessonType: value };
+    } else if (action === 'time' && value && parseTime(`${value.slice(0, 2)}:${value.slice(2)}`)) {
+        patch = { active: true, time: parseTime(`${value.slice(0, 2)}:${value.slice(2)}`) };
+    } else if (action === 'tz' && TIME_ZONES[Number(value)]) {
+        patch = { timeZone: TIME_ZONES[Number(value)] };
+    } else if (action === 'off') {
+        patch = { active: false };
+    } else if (action !== 'main' && action !== 'menu') {
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: t('settings.staleOption')
+        });
+        return;
+    }
+
+    if (patch) {
+        subscription = await updateSubscription(userId, message.chat.id, patch);
+        log('info', `Lesson subscription updated for user ${userId}`, patch);
+    }
+
+    await apiRequest(botToken, 'editMessageText', {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        text: buildSubscriptionText(subscription),
+        reply_markup: action === 'menu' ? buildTimeZoneKeyboard(subscription) : buildMainKeyboard(subscription)
+    });
+    await apiRequest(botToken, 'answerCallbackQuery', {
+        callback_query_id: callbackQuery.id,
+        text: patch ? t(subscription.active ? 'subscribe.updated' : 'subscribe.cancelledShort') : undefined
+    });
+}
+
+// 找出到点且今天还没有推送的订阅并发送，返回统计信息
+// 发送记录先于发送写入（store.add），同一用户同一天只会推送一次；发送失败时删除记录，下次 tick 重试
+async function runLessonTick(botToken, now = new Date()) {
+    const store = getStore();
+    const subscriptions = await store.list(NAMESPACE);
+    const summary = { checked: subscriptions.length, due: 0, sent: 0, failed: 0, skipped: 0 };
+
+    for (const { key: userId, value } of subscriptions) {
+        const subscription = { ...DEFAULT_SUBSCRIPTION, ...value };
+        if (!subscription.active || !isAllowed(userId)) {
+            continue;
+        }
+        const local = localNow(subscription.timeZone, now);
+        if (local.time < subscription.time || subscription.lastSentDate === local.date) {
+            continue;
+        }
+
+        summary.due += 1;
+        if (summary.sent + summary.failed >= MAX_DELIVERIES_PER_TICK) {
+            summary.skipped += 1;
+            continue;
+        }
+
+        const deliveryKey = `${userId}:${local.date}`;
+        const claimed = await store.add(DELIVERY_NAMESPACE, deliveryKey, { status: 'sending', at: Date.now() }, {
+            ttlMs: DELIVERY_TTL_MS
+        });
+        if (!claimed) {
+            summary.skipped += 1;
+            continue;
+        }
+
+        try {
+            // 推送不由 update 触发，按用户的界面语言设置发送
+            const locale = profileLocale(await getProfile(userId));
+            const result = await withLocale(locale, () => sendLesson(botToken, subscription, userId));
+            await store.set(DELIVERY_NAMESPACE, deliveryKey, { status: 'sent', ...result, at: Date.now() }, {
+                ttlMs: DELIVERY_TTL_MS
+            });
+
+            // 重新读取，保留发送期间用户对订阅的修改
+            const latest = await getSubscription(userId);
+            const recentPhrases = result.phrase
+                ? [...latest.recentPhrases, result.phrase].slice(-RECENT_PHRASES)
+                : latest.recentPhrases;
+            await store.set(NAMESPACE, userId, { ...latest, lastSentDate: local.date, recentPhrases });
+            summary.sent += 1;
+            log('info', `Daily lesson sent to user ${userId}`, { type: result.type });
+        } catch (error) {
+            summary.failed += 1;
+            log('error', `Failed to send daily lesson to user ${userId}`, error);
+            // 用户屏蔽了机器人，停止推送；其他错误删除发送记录，下次 tick 重试
+            if (error.errorCode === 403) {
+                await store.set(NAMESPACE, userId, { ...(await getSubscription(userId)), active: false });
+            } else {
+                await store.delete(DELIVERY_NAMESPACE, deliveryKey);
+            }
+        }
+    }
+
+    log('info', 'Lesson tick completed', summary);
+    return summary;
+}
+
+module.exports = { handleSubscribeCommand, handleSubscribeCallback, runLessonTick };
@@ -0,0 +1,194 @@
+const FormData = require('form-data');
+const { getUpstream } = require('./http');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+const { markdownToHtml, markdownToPlain, splitMessage } = require('./format');
+
+// 上传和下载文件比普通 API 调用需要更长的超时时间
+const FILE_TIMEOUT_MS = parseInt(process.env.TELEGRAM_FILE_TIMEOUT_MS, 10) || 60000;
+
+const telegram = getUpstream('telegram', {
+    timeoutMs: parseInt(process.env.TELEGRAM_TIMEOUT_MS, 10) || 10000
+});
+
+// 重复调用不会产生新消息的方法，出错时可以放心重试；其余方法（sendMessage、editMessageText 等）
+// 在 Telegram 可能已经处理过请求时不重试，避免用户收到重复的消息
+const IDEMPOTENT_METHODS = new Set([
+    'getMe', 'getFile', 'getChatMember', 'getWebhookInfo', 'answerCallbackQuery', 'sendChatAction',
+    'setMyCommands', 'setWebhook'
+]);
+
+// 默认传输方式：通过 HTTPS 调用 Telegram Bot API。
+// 传输对象需实现：
+//   call(botToken, methodName, params) → Bot API 的 JSON 响应
+//   upload(botToken, methodName, fields, file) → Bot API 的 JSON 响应，file 为 { field, buffer, filename, contentType }
+//   download(botToken, filePath) → 文件内容 Buffer
+const httpTransport = {
+    name: 'telegram',
+
+    async call(botToken, methodName, params) {
+        const response = await telegram.request(`https://api.telegram.org/bot${botToken}/${methodName}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params)
+        }, {
+            idempotent: IDEMPOTENT_METHODS.has(methodName)
+        });
+        return response.json();
+    },
+
+    async upload(botToken, methodName, fields, file) {
+        // 表单只能发送一次，每次重试重新构建
+        const buildRequest = () => {
+            const form = new FormData();
+            for (const [key, value] of Object.entries(fields)) {
+                if (value !== undefined) {
+                    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+                }
+            }
+            form.append(file.field, file.buffer, { filename: file.filename, contentType: file.contentType });
+            return { method: 'POST', headers: form.getHeaders(), body: form };
+        };
+
+        const response = await telegram.request(`https://api.telegram.org/bot${botToken}/${methodName}`, buildRequest, {
+            timeoutMs: FILE_TIMEOUT_MS,
+            idempotent: IDEMPOTENT_METHODS.has(methodName)
+        });
+        return response.json();
+    },
+
+    async download(botToken, filePath) {
+        const response = await telegram.request(`https://api.telegram.org/file/bot${botToken}/${filePath}`, {}, {
+            timeoutMs: FILE_TIMEOUT_MS
+        });
+        if (!response.ok) {
+            throw new Error(t('telegram.downloadFailed', { error: response.statusText }));
+        }
+        return Buffer.from(await response.arrayBuffer());
+    }
+};
+
+let transport = httpTransport;
+// getMe 的结果按 token 缓存，机器人的用户名运行期间不会变化
+const botInfoCache = new Map();
+
+// 替换传输方式，例如本地控制台调试时不访问 Telegram
+function setTransport(next) {
+    transport = next;
+    botInfoCache.clear();
+    log('info', `Telegram transport set to ${next.name}`);
+}
+
+// Telegram API请求封装
+async function apiRequest(botToken, methodName, params = {}) {
+    try {
+        log('debug', `Calling Telegram API: ${methodName}`, { params });
+        
+        const result = await transport.call(botToken, methodName, params);
+        
+        if (!result.ok) {
+            log('error', `Telegram API error for ${methodName}`, result);
+            const error = new Error(`Telegram API error: ${result.description || 'Unknown error'}`);
+            error.errorCode = result.error_code;
+            error.description = result.description;
+            throw error;
+        }
+        
+        log('debug', `Telegram API success: ${methodName}`);
+        return result;
+    } catch (error) {
+        log('error', `Error calling Telegram API ${methodName}`, error);
+        throw error;
+    }
+}
+
+// 发送 Markdown 文本：转换为 Telegram HTML 并按长度上限切分，
+// Telegram 拒绝格式化内容时退回纯文本；extra（如 reply_markup）只附加在最后一条消息上
+async function sendRichMessage(botToken, chatId, markdown, extra = {}) {
+    const chunks = splitMessage(markdown);
+    let result;
+
+    for (let i = 0; i < chunks.length; i++) {
+        const params = { chat_id: chatId, ...(i === chunks.length - 1 ? extra : {}) };
+        try {
+            result = await apiRequest(botToken, 'sendMessage', {
+                ...params,
+                text: markdownToHtml(chunks[i]),
+                parse_mode: 'HTML'
+            });
+        } catch (error) {
+            if (error.errorCode !== 400) {
+                throw error;
+            }
+            log('warn', `Formatted message rejected for chat ${chatId}, falling back to plain text`, {
+                description: error.description
+            });
+            result = await apiRequest(botToken, 'sendMessage', { ...params, text: markdownToPlain(chunks[i]) });
+        }
+    }
+
+    return result;
+}
+
+// 安全发送消息（不会抛出异常）
+async function safeSendMessage(botToken, chatId, text) {
+    try {
+        await sendRichMessage(botToken, chatId, text);
+        log('info', `Message sent successfully to chat ${chatId}`);
+    } catch (error) {
+        log('error', `Failed to send message to chat ${chatId}`, error);
+    }
+}
+
+// 上传并发送语音消息，extra 可包含 caption、reply_markup 等参数
+async function sendVoice(botToken, chatId, audioBuffer, extra = {}) {
+    const result = await transport.upload(botToken, 'sendVoice', { chat_id: chatId, ...extra }, {
+        field: 'voice',
+        buffer: audioBuffer,
+        filename: 'tts.mp3',
+        contentType: 'audio/mpeg'
+    });
+    if (!result.ok) {
+        throw new Error(t('telegram.voiceFailed', { error: result.description || t('llm.error.UNEXPECTED_ERROR') }));
+    }
+    return result;
+}
+
+// 以文件形式发送内容，例如导出的对话记录
+async function sendDocument(botToken, chatId, buffer, filename, contentType, extra = {}) {
+    const result = await transport.upload(botToken, 'sendDocument', { chat_id: chatId, ...extra }, {
+        field: 'document',
+        buffer,
+        filename,
+        contentType
+    });
+    if (!result.ok) {
+        throw new Error(t('telegram.documentFailed', { error: result.description || t('llm.error.UNEXPECTED_ERROR') }));
+    }
+    return result;
+}
+
+// 下载用户发送的文件，返回文件内容
+async function downloadFile(botToken, fileId) {
+    log('debug', 'Getting file info', { fileId });
+    const fileInfo = await apiRequest(botToken, 'getFile', { file_id: fileId });
+
+    log('debug', `Downloading file: ${fileInfo.result.file_path}`);
+
+    const buffer = await transport.download(botToken, fileInfo.result.file_path);
+    log('debug', `File downloaded, size: ${buffer.length} bytes`);
+    return buffer;
+}
+
+// 机器人自身的信息（id、username），用于识别群组中的 @提及 和回复
+async function getBotInfo(botToken) {
+    if (!botInfoCache.has(botToken)) {
+        const pending = apiRequest(botToken, 'getMe').then(response => response.result);
+        // 请求失败时不缓存，下次重试
+        pending.catch(() => botInfoCache.delete(botToken));
+        botInfoCache.set(botToken, pending);
+    }
+    return botInfoCache.get(botToken);
+}
+
+module.exports = { setTransport, apiRequest, getBotInfo, sendRichMessage, safeSendMessage, sendVoice, sendDocument, downloadFile };
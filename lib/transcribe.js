@@ -0,0 +1,168 @@
+// 音频转文字：语音、音频文件、圆形视频和音频类文档
+//
+// Speech-to-Text 支持的格式（OGG/Opus、FLAC、WAV、MP3）直接识别，超过同步接口时长上限的音频
+// 使用 longRunningRecognize 并回报进度；其余格式（如 M4A、圆形视频的 MP4）交给支持多媒体的大模型转写
+const { speechClient } = require('./clients');
+const { generate, isLLMConfigured, supportsMedia } = require('./llm');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+// 同步识别接口最多支持 1 分钟的音频，留出余量
+const LONG_AUDIO_SECONDS = 55;
+// Speech-to-Text 内联音频上限为 10 MB
+const MAX_INLINE_BYTES = 10 * 1024 * 1024;
+// Telegram Bot API 只能下载 20 MB 以内的文件
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+
+const TRANSCRIPTION_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        languageCode: { type: 'STRING' },
+        transcript: { type: 'STRING' }
+    },
+    required: ['languageCode', 'transcript']
+};
+
+// 从消息中取出可识别的音频附件，统一为 { fileId, duration, fileSize, mimeType }，没有时返回 null
+function audioAttachment(message) {
+    const { voice, audio, video_note: videoNote, document } = message;
+    if (voice) {
+        return { fileId: voice.file_id, duration: voice.duration || 0, fileSize: voice.file_size, mimeType: voice.mime_type || 'audio/ogg' };
+    }
+    if (audio) {
+        return { fileId: audio.file_id, duration: audio.duration || 0, fileSize: audio.file_size, mimeType: audio.mime_type || 'audio/mpeg' };
+    }
+    if (videoNote) {
+        return { fileId: videoNote.file_id, duration: videoNote.duration || 0, fileSize: videoNote.file_size, mimeType: 'video/mp4' };
+    }
+    if (document?.mime_type?.startsWith('audio/')) {
+        return { fileId: document.file_id, duration: 0, fileSize: document.file_size, mimeType: document.mime_type };
+    }
+    return null;
+}
+
+// 从 MP3 帧头读取采样率，跳过开头的 ID3 标签
+function mp3SampleRate(buffer) {
+    let offset = 0;
+    if (buffer.length > 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+        offset = 10 + (((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f));
+    }
+
+    const end = Math.min(buffer.length - 3, offset + 8192);
+    for (let i = offset; i < end; i++) {
+        if (buffer[i] !== 0xff || (buffer[i + 1] & 0xe0) !== 0xe0) {
+            continue;
+        }
+        // version：3 = MPEG1，2 = MPEG2，0 = MPEG2.5，1 为保留值
+        const version = (buffer[i + 1] >> 3) & 0x03;
+        const rateIndex = (buffer[i + 2] >> 2) & 0x03;
+        if (version === 1 || rateIndex === 3) {
+            continue;
+        }
+        const base = [44100, 48000, 32000][rateIndex];
+        return version === 3 ? base : version === 2 ? base / 2 : base / 4;
+    }
+    return null;
+}
+
+// 按 MIME 类型选择识别编码参数，Speech-to-Text 不支持的格式返回 null
+function recognitionEncoding(mimeType, buffer) {
+    switch (mimeType) {
+        case 'audio/ogg':
+        case 'audio/opus':
+            return { encoding: 'OGG_OPUS', sampleRateHertz: 16000 };
+        case 'audio/flac':
+        case 'audio/x-flac':
+            return { encoding: 'FLAC' };
+        // WAV 的编码和采样率从文件头读取
+        case 'audio/wav':
+        case 'audio/x-wav':
+        case 'audio/wave':
+            return {};
+        case 'audio/mpeg':
+        case 'audio/mp3': {
+            const sampleRateHertz = mp3SampleRate(buffer);
+            return sampleRateHertz ? { encoding: 'MP3', sampleRateHertz } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+function durationSeconds(duration) {
+    return duration ? Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9 : 0;
+}
+
+async function transcribeWithSpeech(buffer, encoding, { duration, languageCode, alternativeLanguageCodes, onProgress }) {
+    const request = {
+        config: {
+            ...encoding,
+            languageCode,
+            alternativeLanguageCodes,
+            enableAutomaticPunctuation: true
+        },
+        audio: { content: buffer.toString('base64') }
+    };
+
+    let response;
+    if (duration > LONG_AUDIO_SECONDS) {
+        log('debug', 'Starting long-running speech recognition', { duration });
+        const [operation] = await speechClient.longRunningRecognize(request);
+        operation.on('progress', metadata => onProgress(metadata.progressPercent || 0));
+        [response] = await operation.promise();
+    } else {
+        log('debug', 'Starting speech recognition');
+        [response] = await speechClient.recognize(request);
+    }
+
+    const results = (response.results || []).filter(result => result.alternatives?.[0]?.transcript);
+    return {
+        transcript: results.map(result => result.alternatives[0].transcript.trim()).join('\n'),
+        // 多语言检测时每段结果都会带上识别出的语言，取第一段
+        languageCode: results[0]?.languageCode || languageCode,
+        billedSeconds: durationSeconds(response.totalBilledTime),
+        method: 'speech'
+    };
+}
+
+async function transcribeWithModel(buffer, mimeType, { languageCode, alternativeLanguageCodes }) {
+    if (!isLLMConfigured() || !supportsMedia(mimeType)) {
+        throw new Error(t('voice.unsupportedFormat', { mimeType }));
+    }
+
+    log('debug', 'Transcribing audio with LLM', { mimeType, size: buffer.length });
+    const candidates = [languageCode, ...alternativeLanguageCodes].join(', ');
+    const result = await generate([{
+        role: 'user',
+        parts: [
+            { inlineData: { mimeType, data: buffer.toString('base64') } },
+            {
+                text: 'Transcribe the speech in this recording verbatim, with punctuation. ' +
+                    `The speaker most likely uses one of: ${candidates}. ` +
+                    'Return the BCP-47 code of the spoken language and the transcript; ' +
+                    'use an empty transcript if there is no speech.'
+            }
+        ]
+    }], { responseSchema: TRANSCRIPTION_SCHEMA, temperature: 0 });
+
+    const parsed = JSON.parse(result.text);
+    return {
+        transcript: String(parsed.transcript || '').trim(),
+        languageCode: parsed.languageCode || languageCode,
+        tokens: result.usage.totalTokens,
+        method: 'llm'
+    };
+}
+
+// 转写音频，返回 { transcript, languageCode, method, billedSeconds?, tokens? }
+// options.languageCode 为主要语言，alternativeLanguageCodes 为可能出现的其他语言（最多 3 个），
+// onProgress(percent) 在长音频识别过程中回报进度
+async function transcribeAudio(buffer, mimeType, options) {
+    const encoding = recognitionEncoding(mimeType, buffer);
+    if (encoding && buffer.length <= MAX_INLINE_BYTES) {
+        return transcribeWithSpeech(buffer, encoding, options);
+    }
+    return transcribeWithModel(buffer, mimeType, options);
+}
+
+module.exports = { MAX_DOWNLOAD_BYTES, audioAttachment, transcribeAudio };
@@ -0,0 +1,41 @@
+const { projectId, translationClient } = require('./clients');
+const { translationLanguageCode } = require('./settings');
+
+// 单次请求的文本条数，远低于 Translation API 的上限，避免请求体过大
+const BATCH_SIZE = 50;
+
+async function translateText(content, targetLanguageCode) {
+    const [translation] = await translateTexts([content], targetLanguageCode);
+    return translation;
+}
+
+// 批量翻译，结果与 contents 一一对应
+async function translateTexts(contents, targetLanguageCode) {
+    const translations = [];
+    for (let i = 0; i < contents.length; i += BATCH_SIZE) {
+        const [response] = await translationClient.translateText({
+            parent: `projects/${projectId}/locations/global`,
+            contents: contents.slice(i, i + BATCH_SIZE),
+            targetLanguageCode
+        });
+        translations.push(...response.translations);
+    }
+    return translations;
+}
+
+// 按用户设置翻译：默认翻译为学习语言；如果原文已经是学习语言，则翻译回母语
+async function translateForLearner(content, profile) {
+    const learningCode = translationLanguageCode(profile.learningLanguage);
+    const nativeCode = translationLanguageCode(profile.nativeLanguage);
+
+    const translation = await translateText(content, learningCode);
+    const detected = translation.detectedLanguageCode || '';
+    if (detected.split('-')[0] === learningCode.split('-')[0] && learningCode !== nativeCode) {
+        const reverse = await translateText(content, nativeCode);
+        return { translatedText: reverse.translatedText, detectedLanguageCode: detected, sourceIsLearning: true };
+    }
+
+    return { translatedText: translation.translatedText, detectedLanguageCode: detected, sourceIsLearning: false };
+}
+
+module.exports = { translateText, translateTexts, translateForLearner };
@@ -0,0 +1,112 @@
+// 语法纠错导师模式：让模型以结构化 JSON 返回纠错结果和对话回复
+const { safeSendMessage } = require('./telegram');
+const { getProfile, updateProfile, languageName } = require('./settings');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+const RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        corrected: { type: 'STRING' },
+        errors: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    original: { type: 'STRING' },
+                    correction: { type: 'STRING' },
+                    explanation: { type: 'STRING' }
+                },
+                required: ['original', 'correction', 'explanation']
+            }
+        },
+        reply: { type: 'STRING' }
+    },
+    required: ['corrected', 'errors', 'reply']
+};
+
+function buildSystemInstruction(profile) {
+    return [
+        `You are a friendly ${languageName(profile.learningLanguage)} tutor chatting with a learner ` +
+        `whose native language is ${languageName(profile.nativeLanguage)}.`,
+        'For every learner message, respond with JSON containing:',
+        '- "corrected": the learner\'s latest message rewritten with all grammar, spelling and word-choice mistakes fixed ' +
+        '(identical to the original if it is already correct);',
+        '- "errors": one entry per mistake with the wrong fragment, its correction and a one-sentence explanation ' +
+        `written in ${languageName(profile.nativeLanguage)} (an empty list if there are no mistakes);`,
+        '- "reply": your natural conversational answer to the message, as a speaking partner would reply, ' +
+        'without mentioning the corrections.',
+        'Ignore capitalization and punctuation issues that do not change the meaning.'
+    ].join('\n');
+}
+
+// 模型请求参数：系统提示词和结构化输出配置
+function tutorRequestOptions(profile) {
+    return {
+        systemInstruction: buildSystemInstruction(profile),
+        responseSchema: RESPONSE_SCHEMA
+    };
+}
+
+// 解析模型返回的 JSON，格式不正确时 parsed 为 false，把整段文本当作普通回复
+function parseTutorResponse(text) {
+    try {
+        const parsed = JSON.parse(text);
+        return {
+            parsed: true,
+            corrected: String(parsed.corrected || ''),
+            errors: Array.isArray(parsed.errors) ? parsed.errors : [],
+            reply: String(parsed.reply || '')
+        };
+    } catch (error) {
+        log('warn', 'Failed to parse tutor response as JSON', { error: error.message });
+        return { parsed: false, corrected: '', errors: [], reply: text };
+    }
+}
+
+function renderCorrection(original, correction) {
+    if (correction.errors.length === 0) {
+        return t('tutor.noErrors');
+    }
+
+    const lines = [
+        t('tutor.title'),
+        `❌ ${original}`,
+        `✅ ${correction.corrected}`
+    ];
+    for (const error of correction.errors) {
+        lines.push(`• ${t('common.labelValue', { label: `${error.original} → ${error.correction}`, value: error.explanation })}`);
+    }
+    return lines.join('\n');
+}
+
+// 组合纠错块和对话回复，没有解析出纠错结果时只显示回复，避免误报没有错误
+function renderTutorReply(original, correction) {
+    if (!correction.parsed) {
+        return correction.reply;
+    }
+    return `${renderCorrection(original, correction)}\n\n${correction.reply}`;
+}
+
+// 处理 /tutor [on|off]，不带参数时切换
+async function handleTutorCommand(botToken, chatId, userId, args) {
+    const profile = await getProfile(userId);
+    let tutorMode = !profile.tutorMode;
+    if (args === 'on') {
+        tutorMode = true;
+    } else if (args === 'off') {
+        tutorMode = false;
+    }
+
+    await updateProfile(userId, { tutorMode });
+    log('info', `Tutor mode ${tutorMode ? 'enabled' : 'disabled'} for user ${userId}`);
+
+    await safeSendMessage(botToken, chatId, t(tutorMode ? 'tutor.on' : 'tutor.off'));
+}
+
+module.exports = {
+    tutorRequestOptions,
+    parseTutorResponse,
+    renderTutorReply,
+    handleTutorCommand
+};
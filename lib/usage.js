@@ -0,0 +1,205 @@
+// 用量统计与限流：每用户/全局的频率限制、每日配额、白名单和付费等级
+const { getStore } = require('./store');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+const USAGE_NAMESPACE = 'usage';
+const TIER_NAMESPACE = 'tiers';
+const USAGE_TTL_MS = 35 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function parseIdList(value) {
+    return new Set((value || '').split(',').map(id => id.trim()).filter(Boolean));
+}
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+// 配置了白名单时只有名单内的用户（以及付费用户）可以使用
+const ALLOWED_USER_IDS = parseIdList(process.env.ALLOWED_USER_IDS);
+const PREMIUM_USER_IDS = parseIdList(process.env.PREMIUM_USER_IDS);
+
+const TIERS = {
+    free: {
+        messagesPerMinute: envInt('FREE_MESSAGES_PER_MINUTE', 10),
+        tokensPerDay: envInt('FREE_TOKENS_PER_DAY', 50000),
+        audioSecondsPerDay: envInt('FREE_AUDIO_SECONDS_PER_DAY', 300),
+        charactersPerDay: envInt('FREE_CHARACTERS_PER_DAY', 20000)
+    },
+    premium: {
+        messagesPerMinute: envInt('PREMIUM_MESSAGES_PER_MINUTE', 30),
+        tokensPerDay: envInt('PREMIUM_TOKENS_PER_DAY', 500000),
+        audioSecondsPerDay: envInt('PREMIUM_AUDIO_SECONDS_PER_DAY', 3600),
+        charactersPerDay: envInt('PREMIUM_CHARACTERS_PER_DAY', 200000)
+    }
+};
+
+// 所有用户合计的上限，0 表示不限制
+const GLOBAL_LIMITS = {
+    messagesPerMinute: envInt('GLOBAL_MESSAGES_PER_MINUTE', 300),
+    tokensPerDay: envInt('GLOBAL_TOKENS_PER_DAY', 0),
+    audioSecondsPerDay: envInt('GLOBAL_AUDIO_SECONDS_PER_DAY', 36000),
+    charactersPerDay: envInt('GLOBAL_CHARACTERS_PER_DAY', 0)
+};
+
+const EMPTY_USAGE = {
+    messages: 0,
+    tokens: 0,
+    audioSeconds: 0,
+    translatedChars: 0,
+    synthesizedChars: 0
+};
+
+// 每分钟的滑动窗口只保存在当前实例内存中，多实例部署时按实例分别计算
+const recentMessages = new Map();
+let globalRecent = [];
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function usageKey(owner, day = today()) {
+    return `${owner}:${day}`;
+}
+
+function isAllowed(userId) {
+    if (ALLOWED_USER_IDS.size === 0) {
+        return true;
+    }
+    return ALLOWED_USER_IDS.has(String(userId)) || PREMIUM_USER_IDS.has(String(userId));
+}
+
+async function getTier(userId) {
+    if (PREMIUM_USER_IDS.has(String(userId))) {
+        return 'premium';
+    }
+    const stored = await getStore().get(TIER_NAMESPACE, String(userId));
+    return TIERS[stored] ? stored : 'free';
+}
+
+async function setTier(userId, tier) {
+    if (!TIERS[tier]) {
+        throw new Error(`Unknown tier: ${tier}`);
+    }
+    await getStore().set(TIER_NAMESPACE, String(userId), tier);
+    log('info', `Tier for user ${userId} set to ${tier}`);
+}
+
+async function getUsage(owner, day = today()) {
+    const usage = await getStore().get(USAGE_NAMESPACE, usageKey(owner, day));
+    return { ...EMPTY_USAGE, ...usage };
+}
+
+// 累加用量计数，使用存储的原子自增，多个实例同时记录时不会丢失
+async function recordUsage(userId, counters) {
+    for (const owner of [String(userId), 'global']) {
+        await getStore().increment(USAGE_NAMESPACE, usageKey(owner), counters, { ttlMs: USAGE_TTL_MS });
+    }
+}
+
+function pruneWindow(timestamps, now) {
+    return timestamps.filter(timestamp => now - timestamp < MINUTE_MS);
+}
+
+// 记录一条消息并检查每分钟频率，超限时返回提示文本
+async function consumeMessage(userId) {
+    const now = Date.now();
+    const limits = TIERS[await getTier(userId)];
+
+    const userWindow = pruneWindow(recentMessages.get(userId) || [], now);
+    globalRecent = pruneWindow(globalRecent, now);
+
+    if (userWindow.length >= limits.messagesPerMinute) {
+        recentMessages.set(userId, userWindow);
+        return t('usage.rateLimited', { limit: limits.messagesPerMinute });
+    }
+    if (GLOBAL_LIMITS.messagesPerMinute > 0 && globalRecent.length >= GLOBAL_LIMITS.messagesPerMinute) {
+        return t('usage.busy');
+    }
+
+    userWindow.push(now);
+    globalRecent.push(now);
+    recentMessages.set(userId, userWindow);
+
+    // 清理长时间不活跃的用户，避免 Map 无限增长
+    if (recentMessages.size > 10000) {
+        for (const [id, timestamps] of recentMessages) {
+            if (pruneWindow(timestamps, now).length === 0) {
+                recentMessages.delete(id);
+            }
+        }
+    }
+
+    await recordUsage(userId, { messages: 1 });
+    return null;
+}
+
+function exceeds(used, requested, limit) {
+    return limit > 0 && used + requested > limit;
+}
+
+// 检查每日配额，request 为本次将要消耗的量：{ tokens, audioSeconds, characters }
+// 超限时返回提示文本
+async function checkQuota(userId, request = {}) {
+    const limits = TIERS[await getTier(userId)];
+    const usage = await getUsage(userId);
+    const global = await getUsage('global');
+    const { tokens = 0, audioSeconds = 0, characters = 0 } = request;
+
+    const usedCharacters = usage.translatedChars + usage.synthesizedChars;
+    const globalCharacters = global.translatedChars + global.synthesizedChars;
+
+    // tokens 只能在调用后得知，调用前只检查是否已用完
+    if (limits.tokensPerDay > 0 && usage.tokens + tokens >= limits.tokensPerDay) {
+        return t('usage.tokensExceeded', { limit: limits.tokensPerDay });
+    }
+    if (exceeds(usage.audioSeconds, audioSeconds, limits.audioSecondsPerDay)) {
+        return t('usage.audioExceeded', { limit: limits.audioSecondsPerDay });
+    }
+    if (exceeds(usedCharacters, characters, limits.charactersPerDay)) {
+        return t('usage.charactersExceeded', { limit: limits.charactersPerDay });
+    }
+    if ((GLOBAL_LIMITS.tokensPerDay > 0 && global.tokens + tokens >= GLOBAL_LIMITS.tokensPerDay) ||
+        exceeds(global.audioSeconds, audioSeconds, GLOBAL_LIMITS.audioSecondsPerDay) ||
+        exceeds(globalCharacters, characters, GLOBAL_LIMITS.charactersPerDay)) {
+        log('warn', 'Global daily quota reached', { global });
+        return t('usage.globalExceeded');
+    }
+    return null;
+}
+
+function formatLimit(used, limit, unit = '') {
+    return limit > 0
+        ? `${used.toLocaleString('en-US')} / ${limit.toLocaleString('en-US')}${unit}`
+        : `${used.toLocaleString('en-US')}${unit}`;
+}
+
+// 生成 /usage 的回复文本
+async function buildUsageReport(userId) {
+    const tier = await getTier(userId);
+    const limits = TIERS[tier];
+    const usage = await getUsage(userId);
+
+    return t('usage.report', {
+        day: today(),
+        tier: t(`usage.tier.${tier}`),
+        messages: usage.messages,
+        tokens: formatLimit(usage.tokens, limits.tokensPerDay),
+        audio: formatLimit(Math.round(usage.audioSeconds), limits.audioSecondsPerDay, t('usage.seconds')),
+        characters: formatLimit(usage.translatedChars + usage.synthesizedChars, limits.charactersPerDay),
+        perMinute: limits.messagesPerMinute
+    });
+}
+
+module.exports = {
+    TIERS,
+    isAllowed,
+    getTier,
+    setTier,
+    recordUsage,
+    consumeMessage,
+    checkQuota,
+    buildUsageReport
+};
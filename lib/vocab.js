@@ -0,0 +1,350 @@
+// 生词本：/save 保存单词或短语，/review 间隔重复复习，/vocab 分页浏览
+const { getStore } = require('./store');
+const { apiRequest, safeSendMessage, sendVoice } = require('./telegram');
+const { generate, isLLMConfigured } = require('./llm');
+const { synthesizeSpeech } = require('./speech');
+const { translateForLearner } = require('./translation');
+const { getProfile, languageName } = require('./settings');
+const { recordUsage, checkQuota } = require('./usage');
+const { rememberOwner } = require('./replies');
+const { newCard, reviewCard, isDue } = require('./srs');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+const NAMESPACE = 'vocab';
+const PAGE_SIZE = 10;
+const MAX_ITEM_LENGTH = 100;
+
+const GRADES = ['again', 'hard', 'good', 'easy'];
+
+async function loadNotebook(userId) {
+    const notebook = await getStore().get(NAMESPACE, String(userId));
+    return notebook || { nextId: 1, items: [] };
+}
+
+// 原子地修改生词本，避免同时进行的 /save 和复习评分互相覆盖；
+// mutate 收到最新的生词本并直接修改，返回 false 时不写入
+async function updateNotebook(userId, mutate) {
+    let changed = false;
+    await getStore().update(NAMESPACE, String(userId), stored => {
+        const notebook = stored || { nextId: 1, items: [] };
+        changed = mutate(notebook) !== false;
+        return changed ? notebook : undefined;
+    });
+    return changed;
+}
+
+function dueItems(notebook, now = Date.now()) {
+    return notebook.items
+        .filter(item => isDue(item.card, now))
+        .sort((a, b) => a.card.dueAt - b.card.dueAt);
+}
+
+function formatDue(dueAt, now = Date.now()) {
+    const diff = dueAt - now;
+    if (diff <= 0) {
+        return t('vocab.due.now');
+    }
+    const minutes = Math.ceil(diff / 60000);
+    if (minutes < 60) {
+        return t('vocab.due.minutes', { count: minutes });
+    }
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) {
+        return t('vocab.due.hours', { count: hours });
+    }
+    return t('vocab.due.days', { count: Math.round(hours / 24) });
+}
+
+function renderItem(item) {
+    const lines = [`📌 ${item.text}`, `🌐 ${item.translation}`];
+    if (item.example) {
+        lines.push(`📝 ${item.example}`);
+    }
+    return lines.join('\n');
+}
+
+// 生成例句，额度不足时不生成
+async function generateExample(userId, text, profile) {
+    if (!isLLMConfigured() || await checkQuota(userId)) {
+        return '';
+    }
+    try {
+        const prompt = `Write one short, natural ${languageName(profile.learningLanguage)} example sentence ` +
+            `that uses "${text}". Reply with the sentence only, without quotes or translation.`;
+        const result = await generate([{ role: 'user', parts: [{ text: prompt }] }]);
+        await recordUsage(userId, { tokens: result.usage.totalTokens });
+        return result.text.trim().split('\n')[0];
+    } catch (error) {
+        log('warn', 'Failed to generate vocabulary example sentence', error);
+        return '';
+    }
+}
+
+// 处理 /save <单词或短语>
+async function handleSaveCommand(botToken, chatId, userId, content) {
+    log('info', `Saving vocabulary item for user ${userId}`, { content });
+
+    try {
+        if (content.length > MAX_ITEM_LENGTH) {
+            await safeSendMessage(botToken, chatId, t('vocab.tooLong', { max: MAX_ITEM_LENGTH }));
+            return;
+        }
+
+        const quotaError = await checkQuota(userId, { characters: content.length });
+        if (quotaError) {
+            await safeSendMessage(botToken, chatId, quotaError);
+            return;
+        }
+
+        await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'typing' });
+        const profile = await getProfile(userId);
+
+        // 生词本中统一保存学习语言的形式，母语输入会先翻译成学习语言
+        const { translatedText, sourceIsLearning } = await translateForLearner(content, profile);
+        await recordUsage(userId, { translatedChars: content.length });
+        const text = sourceIsLearning ? content : translatedText;
+        const translation = sourceIsLearning ? translatedText : content;
+
+        const findExisting = notebook => notebook.items.find(item => item.text.toLowerCase() === text.toLowerCase());
+        const existing = findExisting(await loadNotebook(userId));
+        if (existing) {
+            await safeSendMessage(botToken, chatId, t('vocab.exists', { text: existing.text }));
+            return;
+        }
+
+        const item = {
+            id: null,
+            text,
+            translation,
+            example: await generateExample(userId, text, profile),
+            voiceFileId: null,
+            createdAt: Date.now(),
+            card: newCard()
+        };
+
+        // 发送发音并保存 Telegram 返回的 file_id，复习时直接复用
+        await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'upload_voice' });
+        const audio = await synthesizeSpeech(text, profile);
+        const sent = await sendVoice(botToken, chatId, audio, {
+            caption: t('vocab.saved', { item: renderItem(item) })
+        });
+        item.voiceFileId = sent.result?.voice?.file_id || null;
+        await recordUsage(userId, { synthesizedChars: text.length });
+
+        // 耗时的翻译、例句和语音完成后再写入，期间其他 /save 或复习评分的修改不会被覆盖，编号也不会重复
+        let total = 0;
+        const saved = await updateNotebook(userId, notebook => {
+            if (findExisting(notebook)) {
+                return false;
+            }
+            item.id = notebook.nextId;
+            notebook.items.push(item);
+            notebook.nextId += 1;
+            total = notebook.items.length;
+            return true;
+        });
+        if (!saved) {
+            log('info', `Vocabulary item already saved concurrently for user ${userId}`, { text });
+            return;
+        }
+        log('info', `Vocabulary item saved for user ${userId}`, { id: item.id, total });
+    } catch (error) {
+        log('error', `Vocabulary save error for user ${userId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('vocab.saveFailed', { error: error.message }));
+        });
+    }
+}
+
+function renderVocabPage(notebook, page) {
+    const pageCount = Math.max(1, Math.ceil(notebook.items.length / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+    const items = notebook.items.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+
+    const lines = items.map((item, index) =>
+        t('vocab.listItem', {
+            index: current * PAGE_SIZE + index + 1,
+            text: item.text,
+            translation: item.translation,
+            due: formatDue(item.card.dueAt)
+        }));
+
+    const text = t('vocab.page', {
+        total: notebook.items.length,
+        due: dueItems(notebook).length,
+        items: lines.join('\n'),
+        page: current + 1,
+        pageCount
+    });
+
+    const buttons = [];
+    if (current > 0) {
+        buttons.push({ text: t('vocab.previous'), callback_data: `vocab:page:${current - 1}` });
+    }
+    if (current < pageCount - 1) {
+        buttons.push({ text: t('vocab.nextPage'), callback_data: `vocab:page:${current + 1}` });
+    }
+
+    return { text, reply_markup: { inline_keyboard: buttons.length > 0 ? [buttons] : [] } };
+}
+
+// 处理 /vocab [页码]
+async function handleVocabCommand(botToken, chatId, userId, args) {
+    const notebook = await loadNotebook(userId);
+    if (notebook.items.length === 0) {
+        await safeSendMessage(botToken, chatId, t('vocab.empty'));
+        return;
+    }
+
+    const page = Math.max(parseInt(args, 10) || 1, 1) - 1;
+    const sent = await apiRequest(botToken, 'sendMessage', { chat_id: chatId, ...renderVocabPage(notebook, page) });
+    await rememberOwner(chatId, sent.result.message_id, userId);
+}
+
+// 发送下一张到期的复习卡片
+async function sendNextReview(botToken, chatId, userId) {
+    const notebook = await loadNotebook(userId);
+    const due = dueItems(notebook);
+
+    if (due.length === 0) {
+        const upcoming = notebook.items
+            .map(item => item.card.dueAt)
+            .sort((a, b) => a - b)[0];
+        await safeSendMessage(botToken, chatId, notebook.items.length === 0
+            ? t('vocab.empty')
+            : t('vocab.reviewDone', { next: formatDue(upcoming) }));
+        return;
+    }
+
+    const item = due[0];
+    const sent = await apiRequest(botToken, 'sendMessage', {
+        chat_id: chatId,
+        text: t('vocab.reviewPrompt', { due: due.length, text: item.text }),
+        reply_markup: {
+            inline_keyboard: [[{ text: t('vocab.showAnswer'), callback_data: `review:show:${item.id}` }]]
+        }
+    });
+    await rememberOwner(chatId, sent.result.message_id, userId);
+}
+
+// 处理 /review
+async function handleReviewCommand(botToken, chatId, userId) {
+    try {
+        await sendNextReview(botToken, chatId, userId);
+    } catch (error) {
+        log('error', `Review error for user ${userId}`, error);
+        setImmediate(() => {
+            safeSendMessage(botToken, chatId, t('vocab.reviewFailed', { error: error.message }));
+        });
+    }
+}
+
+// 处理复习卡片按钮，callback_data 格式：
+//   review:show:<id> | review:listen:<id> | review:grade:<id>:<again|hard|good|easy>
+async function handleReviewCallback(botToken, callbackQuery) {
+    const [, action, idText, grade] = callbackQuery.data.split(':');
+    const userId = callbackQuery.from.id;
+    const { message } = callbackQuery;
+    const chatId = message.chat.id;
+
+    const notebook = await loadNotebook(userId);
+    const item = notebook.items.find(entry => entry.id === parseInt(idText, 10));
+    if (!item) {
+        await apiRequest(botToken, 'answerCallbackQuery', {
+            callback_query_id: callbackQuery.id,
+            text: t('vocab.notFound')
+        });
+        return;
+    }
+
+    await apiRequest(botToken, 'answerCallbackQuery', { callback_query_id: callbackQuery.id });
+
+    if (action === 'listen') {
+        if (item.voiceFileId) {
+            await apiRequest(botToken, 'sendVoice', { chat_id: chatId, voice: item.voiceFileId });
+        } else {
+            const quotaError = await checkQuota(userId, { characters: item.text.length });
+            if (quotaError) {
+                await safeSendMessage(botToken, chatId, quotaError);
+                return;
+            }
+            await sendVoice(botToken, chatId, await synthesizeSpeech(item.text, await getProfile(userId)));
+            await recordUsage(userId, { synthesizedChars: item.text.length });
+        }
+        return;
+    }
+
+    if (action === 'show') {
+        await apiRequest(botToken, 'editMessageText', {
+            chat_id: chatId,
+            message_id: message.message_id,
+            text: t('vocab.reviewAnswer', { item: renderItem(item) }),
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: t('vocab.listen'), callback_data: `review:listen:${item.id}` }],
+                    GRADES.map(value => ({
+                        text: t(`vocab.grade.${value}`),
+                        callback_data: `review:grade:${item.id}:${value}`
+                    }))
+                ]
+            }
+        });
+        return;
+    }
+
+    if (action === 'grade') {
+        const graded = await updateNotebook(userId, notebook => {
+            const entry = notebook.items.find(candidate => candidate.id === item.id);
+            if (!entry) {
+                return false;
+            }
+            entry.card = reviewCard(entry.card, grade);
+            item.card = entry.card;
+            return true;
+        });
+        if (!graded) {
+            return;
+        }
+        log('info', `Vocabulary item reviewed for user ${userId}`, { id: item.id, grade, interval: item.card.interval });
+
+        await apiRequest(botToken, 'editMessageText', {
+            chat_id: chatId,
+            message_id: message.message_id,
+            text: t('vocab.reviewGraded', {
+                item: renderItem(item),
+                grade: t(`vocab.grade.${grade}`),
+                next: formatDue(item.card.dueAt)
+            })
+        });
+        await sendNextReview(botToken, chatId, userId);
+    }
+}
+
+// 处理生词本翻页按钮，callback_data 格式：vocab:page:<页码>
+async function handleVocabCallback(botToken, callbackQuery) {
+    const page = parseInt(callbackQuery.data.split(':')[2], 10) || 0;
+    const { message } = callbackQuery;
+    const notebook = await loadNotebook(callbackQuery.from.id);
+
+    await apiRequest(botToken, 'editMessageText', {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        ...renderVocabPage(notebook, page)
+    });
+    await apiRequest(botToken, 'answerCallbackQuery', { callback_query_id: callbackQuery.id });
+}
+
+// 待复习的生词数量，用于每日提醒
+async function countDueItems(userId) {
+    return dueItems(await loadNotebook(userId)).length;
+}
+
+module.exports = {
+    countDueItems,
+    handleSaveCommand,
+    handleVocabCommand,
+    handleReviewCommand,
+    handleReviewCallback,
+    handleVocabCallback
+};
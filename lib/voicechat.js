@@ -0,0 +1,86 @@
+// 语音对话模式：语音消息直接进入 AI 聊天，回复按设置以文字、语音或两者发送
+const { apiRequest, sendRichMessage, safeSendMessage, sendVoice } = require('./telegram');
+const { markdownToPlain } = require('./format');
+const { synthesizeSpeech, toSpeechText } = require('./speech');
+const { getProfile, updateProfile, languageLabel, replyModeLabel, REPLY_MODES } = require('./settings');
+const { recordUsage, checkQuota } = require('./usage');
+const { t } = require('./i18n');
+const { log } = require('./logger');
+
+// Telegram 媒体消息 caption 的长度上限
+const CAPTION_LIMIT = 1024;
+
+// 按用户设置发送 AI 回复，displayText 为展示的文字，speechText 为朗读的内容
+// extra（如 reply_markup）附加在最后发送的消息上，返回该消息
+async function sendChatReply(botToken, chatId, userId, displayText, speechText, profile, extra = {}) {
+    const spoken = toSpeechText(speechText);
+    if (profile.replyMode === 'text' || !spoken) {
+        return sendRichMessage(botToken, chatId, displayText, extra);
+    }
+
+    // 语音合成额度不足时只发送文字
+    if (await checkQuota(userId, { characters: spoken.length })) {
+        log('info', `Synthesis quota exceeded for user ${userId}, replying with text`);
+        return sendRichMessage(botToken, chatId, displayText, extra);
+    }
+
+    let audio;
+    try {
+        await apiRequest(botToken, 'sendChatAction', { chat_id: chatId, action: 'upload_voice' });
+        audio = await synthesizeSpeech(spoken, profile);
+    } catch (error) {
+        // 语音合成失败时退回文字回复
+        log('warn', `Reply synthesis failed for chat ${chatId}, falling back to text`, error);
+        return sendRichMessage(botToken, chatId, displayText, extra);
+    }
+    await recordUsage(userId, { synthesizedChars: spoken.length });
+
+    if (profile.replyMode === 'voice') {
+        return sendVoice(botToken, chatId, audio, extra);
+    }
+
+    // caption 使用纯文本，避免格式错误导致语音发送失败
+    const caption = markdownToPlain(displayText);
+    if (caption.length <= CAPTION_LIMIT) {
+        return sendVoice(botToken, chatId, audio, { caption, ...extra });
+    }
+
+    // 文字超过 caption 上限时分开发送
+    await sendRichMessage(botToken, chatId, displayText);
+    return sendVoice(botToken, chatId, audio, extra);
+}
+
+// 处理 /voicechat [on|off|text|voice|both]，不带参数时切换语音对话模式
+async function handleVoiceChatCommand(botToken, chatId, userId, args) {
+    const profile = await getProfile(userId);
+    const patch = {};
+
+    if (REPLY_MODES.includes(args)) {
+        // 用户明确选择了回复方式，关闭时不再恢复
+        patch.replyMode = args;
+        patch.voiceChat = true;
+        patch.replyModeBeforeVoiceChat = null;
+    } else if (args === 'on' || args === 'off' || !args) {
+        patch.voiceChat = args ? args === 'on' : !profile.voiceChat;
+        if (patch.voiceChat && profile.replyMode === 'text') {
+            // 开启语音对话时默认用语音回复，记下原来的回复方式
+            patch.replyMode = 'both';
+            patch.replyModeBeforeVoiceChat = 'text';
+        } else if (!patch.voiceChat && profile.replyModeBeforeVoiceChat) {
+            // 关闭时恢复开启前的回复方式，避免打字聊天仍收到语音回复
+            patch.replyMode = profile.replyModeBeforeVoiceChat;
+            patch.replyModeBeforeVoiceChat = null;
+        }
+    } else {
+        await safeSendMessage(botToken, chatId, t('voicechat.usage'));
+        return;
+    }
+
+    const updated = await updateProfile(userId, patch);
+    log('info', `Voice chat settings updated for user ${userId}`, patch);
+
+    const params = { language: languageLabel(updated.learningLanguage), replyMode: replyModeLabel(updated.replyMode) };
+    await safeSendMessage(botToken, chatId, t(updated.voiceChat ? 'voicechat.on' : 'voicechat.off', params));
+}
+
+module.exports = { sendChatReply, handleVoiceChatCommand };
@@ -0,0 +1,116 @@
+// Webhook 安全与管理：secret token 校验、update 去重、setWebhook / getWebhookInfo
+const crypto = require('crypto');
+const { apiRequest } = require('./telegram');
+const { setBotCommands } = require('./commands');
+const { log } = require('./logger');
+
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const CRON_SECRET = process.env.CRON_SECRET;
+const WEBHOOK_MAX_CONNECTIONS = parseInt(process.env.WEBHOOK_MAX_CONNECTIONS || '40', 10);
+
+// 需要 Telegram 推送的 update 类型
+const ALLOWED_UPDATES = ['message', 'edited_message', 'callback_query', 'my_chat_member'];
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// 校验 X-Telegram-Bot-Api-Secret-Token，未配置 secret 时不校验
+function verifySecretToken(req) {
+    if (!WEBHOOK_SECRET) {
+        return true;
+    }
+    const header = req.get('X-Telegram-Bot-Api-Secret-Token');
+    return Boolean(header) && safeEqual(header, WEBHOOK_SECRET);
+}
+
+// 记录最近处理过的 update_id，丢弃 Telegram 重试或被重放的 update
+function createUpdateDeduper(maxSize = 1000) {
+    const seen = new Set();
+    const order = [];
+
+    return {
+        isDuplicate(updateId) {
+            if (updateId === undefined || updateId === null) {
+                return false;
+            }
+            if (seen.has(updateId)) {
+                return true;
+            }
+            seen.add(updateId);
+            order.push(updateId);
+            if (order.length > maxSize) {
+                seen.delete(order.shift());
+            }
+            return false;
+        },
+
+        get size() {
+            return seen.size;
+        }
+    };
+}
+
+// Authorization: Bearer <expected> 鉴权中间件，未配置 expected 时接口不可用
+function requireBearer(expected, label) {
+    return (req, res, next) => {
+        if (!expected) {
+            res.status(404).json({ error: 'Not Found' });
+            return;
+        }
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token || !safeEqual(token, expected)) {
+            log('warn', `Rejected ${label} request with invalid token`, { path: req.path });
+            res.status(401).json({ error: 'Unauthorized' });
+            return;
+        }
+        next();
+    };
+}
+
+// 管理接口鉴权：Authorization: Bearer <ADMIN_TOKEN>
+const requireAdmin = requireBearer(ADMIN_TOKEN, 'admin');
+
+// 定时任务鉴权：Authorization: Bearer <CRON_SECRET>，由 Cloud Scheduler 等外部调度器携带
+const requireCron = requireBearer(CRON_SECRET, 'cron');
+
+// 注册 Webhook，同时更新各语言的命令菜单
+async function setWebhook(botToken, url, { dropPendingUpdates = false } = {}) {
+    const params = {
+        url,
+        allowed_updates: ALLOWED_UPDATES,
+        max_connections: WEBHOOK_MAX_CONNECTIONS,
+        drop_pending_updates: dropPendingUpdates
+    };
+    if (WEBHOOK_SECRET) {
+        params.secret_token = WEBHOOK_SECRET;
+    }
+
+    const result = await apiRequest(botToken, 'setWebhook', params);
+    log('info', `Webhook set to ${url}`, {
+        allowedUpdates: ALLOWED_UPDATES,
+        maxConnections: WEBHOOK_MAX_CONNECTIONS,
+        secretConfigured: Boolean(WEBHOOK_SECRET)
+    });
+    await setBotCommands(botToken);
+    return result.result;
+}
+
+async function getWebhookInfo(botToken) {
+    const result = await apiRequest(botToken, 'getWebhookInfo');
+    return result.result;
+}
+
+module.exports = {
+    WEBHOOK_SECRET,
+    ALLOWED_UPDATES,
+    verifySecretToken,
+    createUpdateDeduper,
+    requireAdmin,
+    requireCron,
+    setWebhook,
+    getWebhookInfo
+};
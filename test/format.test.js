@@ -0,0 +1,69 @@
+// lib/format.js：Markdown 转 Telegram HTML，以及按 4096 字符上限切分
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { markdownToHtml, splitMessage, MESSAGE_LIMIT } = require('../lib/format');
+
+test('keeps a message of exactly 4096 characters in one chunk', () => {
+    const text = 'a'.repeat(MESSAGE_LIMIT);
+    assert.deepEqual(splitMessage(text), [text]);
+});
+
+test('splits a message one character over the limit', () => {
+    const text = `${'word '.repeat(819)}xy`;
+    assert.equal(text.length, MESSAGE_LIMIT + 1);
+
+    const chunks = splitMessage(text);
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks.every(chunk => chunk.length <= MESSAGE_LIMIT));
+    assert.equal(chunks.join(' '), text);
+});
+
+test('hard-splits a single word longer than the limit', () => {
+    const text = 'x'.repeat(MESSAGE_LIMIT * 2 + 10);
+    const chunks = splitMessage(text);
+    assert.deepEqual(chunks.map(chunk => chunk.length), [MESSAGE_LIMIT, MESSAGE_LIMIT, 10]);
+});
+
+test('splits between paragraphs rather than inside them', () => {
+    const first = 'a'.repeat(3000);
+    const second = 'b'.repeat(3000);
+    assert.deepEqual(splitMessage(`${first}\n\n${second}`), [first, second]);
+});
+
+test('moves a code block that does not fit into the next chunk whole', () => {
+    const intro = 'a'.repeat(3800);
+    const code = ['```js', ...Array.from({ length: 30 }, (_, index) => `const value${index} = ${index};`), '```'].join('\n');
+    const chunks = splitMessage(`${intro}\n\n${code}`);
+    assert.deepEqual(chunks, [intro, code]);
+});
+
+test('splits an oversized code block into fenced chunks that each render as one <pre>', () => {
+    const lines = Array.from({ length: 400 }, (_, index) => `console.log("line ${index}");`);
+    const code = ['```js', ...lines, '```'].join('\n');
+    assert.ok(code.length > MESSAGE_LIMIT);
+
+    const chunks = splitMessage(code);
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= MESSAGE_LIMIT);
+        assert.ok(chunk.startsWith('```js\n'));
+        assert.ok(chunk.endsWith('\n```'));
+
+        const html = markdownToHtml(chunk);
+        assert.equal(html.match(/<pre>/g).length, 1);
+        assert.ok(html.startsWith('<pre><code class="language-js">'));
+        assert.ok(html.endsWith('</code></pre>'));
+    }
+    // 所有代码行都保留，且没有被截断
+    const body = chunks.flatMap(chunk => chunk.split('\n').slice(1, -1));
+    assert.deepEqual(body, lines);
+});
+
+test('converts inline formatting and escapes HTML', () => {
+    assert.equal(markdownToHtml('**bold** and *italic* <tag> `a < b`'),
+        '<b>bold</b> and <i>italic</i> &lt;tag&gt; <code>a &lt; b</code>');
+});
+
+test('leaves snake_case identifiers alone', () => {
+    assert.equal(markdownToHtml('set API_KEY and my_var_name'), 'set API_KEY and my_var_name');
+});
@@ -0,0 +1,243 @@
+// lib/http.js：重试、retry_after 和熔断器状态转换
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { getUpstream } = require('../lib/http');
+
+// 启动本地服务，按顺序返回 responses 中的响应，用完后重复最后一个
+async function startServer(responses) {
+    const server = http.createServer((req, res) => {
+        const { status, headers = {}, body = '' } = responses[Math.min(server.hits, responses.length - 1)];
+        server.hits += 1;
+        res.writeHead(status, headers);
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    server.hits = 0;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.url = `http://127.0.0.1:${server.address().port}/`;
+    return server;
+}
+
+let nextName = 0;
+// 每个测试使用独立的上游，熔断器状态互不影响；重试等待缩短到几毫秒
+function upstream(options = {}) {
+    return getUpstream(`test-${nextName++}`, {
+        retries: 2,
+        baseDelayMs: 1,
+        maxDelayMs: 2,
+        failureThreshold: 2,
+        resetTimeoutMs: 50,
+        ...options
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('retries 5xx responses and returns the first success', async t => {
+    const server = await startServer([{ status: 503 }, { status: 502 }, { status: 200, body: { ok: true } }]);
+    t.after(() => server.close());
+
+    const response = await upstream().request(server.url);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.equal(server.hits, 3);
+});
+
+test('returns the last 5xx response once retries are exhausted', async t => {
+    const server = await startServer([{ status: 500, body: 'boom' }]);
+    t.after(() => server.close());
+
+    const response = await upstream({ failureThreshold: 10 }).request(server.url);
+    assert.equal(response.status, 500);
+    assert.equal(await response.text(), 'boom');
+    assert.equal(server.hits, 3);
+});
+
+test('does not retry 4xx responses', async t => {
+    const server = await startServer([{ status: 400, body: { ok: false } }]);
+    t.after(() => server.close());
+
+    const client = upstream();
+    const response = await client.request(server.url);
+    assert.equal(response.status, 400);
+    assert.equal(server.hits, 1);
+    assert.equal(client.state().state, 'closed');
+});
+
+test('does not retry 5xx responses of non-idempotent requests', async t => {
+    const server = await startServer([{ status: 502 }, { status: 200 }]);
+    t.after(() => server.close());
+
+    const response = await upstream({ failureThreshold: 10 }).request(server.url, {}, { idempotent: false });
+    assert.equal(response.status, 502);
+    assert.equal(server.hits, 1);
+});
+
+test('retries refused connections of non-idempotent requests', async () => {
+    const server = await startServer([{ status: 200 }]);
+    const { url } = server;
+    await new Promise(resolve => server.close(resolve));
+
+    await assert.rejects(upstream({ failureThreshold: 10 }).request(url, {}, { idempotent: false }), error => {
+        assert.equal(error.code, 'NETWORK_ERROR');
+        assert.equal(error.cause.code, 'ECONNREFUSED');
+        return true;
+    });
+});
+
+test('times out when the response body stalls', async t => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.write('{"partial":');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    await assert.rejects(
+        upstream({ timeoutMs: 50, retries: 0 }).request(`http://127.0.0.1:${server.address().port}/`),
+        error => error.code === 'TIMEOUT'
+    );
+});
+
+test('waits for the Retry-After header on 429 and retries', async t => {
+    const server = await startServer([{ status: 429, headers: { 'Retry-After': '0' } }, { status: 200 }]);
+    t.after(() => server.close());
+
+    const response = await upstream().request(server.url);
+    assert.equal(response.status, 200);
+    assert.equal(server.hits, 2);
+});
+
+test('reads retry_after from a Telegram 429 body', async t => {
+    const server = await startServer([
+        { status: 429, body: { ok: false, error_code: 429, parameters: { retry_after: 0 } } },
+        { status: 200 }
+    ]);
+    t.after(() => server.close());
+
+    const response = await upstream().request(server.url);
+    assert.equal(response.status, 200);
+    assert.equal(server.hits, 2);
+});
+
+test('returns a 429 whose retry_after exceeds the limit without retrying', async t => {
+    const server = await startServer([{ status: 429, body: { ok: false, parameters: { retry_after: 120 } } }]);
+    t.after(() => server.close());
+
+    const response = await upstream({ maxRetryAfterMs: 1000 }).request(server.url);
+    assert.equal(response.status, 429);
+    assert.equal((await response.json()).parameters.retry_after, 120);
+    assert.equal(server.hits, 1);
+});
+
+test('opens the breaker after repeated failures and rejects without calling the upstream', async t => {
+    const server = await startServer([{ status: 500 }]);
+    t.after(() => server.close());
+
+    const client = upstream({ retries: 0 });
+    await client.request(server.url);
+    assert.equal(client.state().state, 'closed');
+    await client.request(server.url);
+    assert.equal(client.state().state, 'open');
+
+    await assert.rejects(client.request(server.url), error => error.code === 'CIRCUIT_OPEN');
+    assert.equal(server.hits, 2);
+});
+
+test('closes the breaker when the half-open trial succeeds', async t => {
+    const server = await startServer([{ status: 500 }, { status: 500 }, { status: 200 }]);
+    t.after(() => server.close());
+
+    const client = upstream({ retries: 0 });
+    await client.request(server.url);
+    await client.request(server.url);
+    assert.equal(client.state().state, 'open');
+
+    await sleep(60);
+    const response = await client.request(server.url);
+    assert.equal(response.status, 200);
+    assert.equal(client.state().state, 'closed');
+    assert.equal(client.state().failures, 0);
+});
+
+test('reopens the breaker when the half-open trial fails', async t => {
+    const server = await startServer([{ status: 500 }]);
+    t.after(() => server.close());
+
+    const client = upstream({ retries: 0 });
+    await client.request(server.url);
+    await client.request(server.url);
+
+    await sleep(60);
+    await client.request(server.url);
+    assert.equal(client.state().state, 'open');
+    await assert.rejects(client.request(server.url), error => error.code === 'CIRCUIT_OPEN');
+    assert.equal(server.hits, 3);
+});
+
+test('lets only one trial through while half-open', async t => {
+    let release;
+    const server = http.createServer((req, res) => {
+        server.hits += 1;
+        if (server.hits <= 2) {
+            res.writeHead(500);
+            res.end();
+            return;
+        }
+        release = () => {
+            res.writeHead(200);
+            res.end();
+        };
+    });
+    server.hits = 0;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}/`;
+
+    const client = upstream({ retries: 0 });
+    await client.request(url);
+    await client.request(url);
+    await sleep(60);
+
+    const trial = client.request(url);
+    while (!release) {
+        await sleep(5);
+    }
+    assert.equal(client.state().state, 'half_open');
+    await assert.rejects(client.request(url), error => error.code === 'CIRCUIT_OPEN');
+
+    release();
+    assert.equal((await trial).status, 200);
+    assert.equal(client.state().state, 'closed');
+});
+
+test('a rate-limited half-open trial leaves the breaker half-open', async t => {
+    const server = await startServer([
+        { status: 500 },
+        { status: 500 },
+        { status: 429, body: { ok: false, parameters: { retry_after: 120 } } },
+        { status: 200 }
+    ]);
+    t.after(() => server.close());
+
+    const client = upstream({ retries: 0 });
+    await client.request(server.url);
+    await client.request(server.url);
+    await sleep(60);
+
+    const limited = await client.request(server.url);
+    assert.equal(limited.status, 429);
+    assert.equal(client.state().state, 'half_open');
+
+    // 试探名额已释放，下一个请求可以再次试探
+    const response = await client.request(server.url);
+    assert.equal(response.status, 200);
+    assert.equal(client.state().state, 'closed');
+});
@@ -0,0 +1,33 @@
+// lib/level.js：根据水平测试的答题结果估计 CEFR 水平
+process.env.CLOUD_CLIENTS = 'fake';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateLevel } = require('../lib/level');
+
+// levels 为每题的难度（A1 为 0），correct 为是否答对
+function answers(levels, correct) {
+    return levels.map((levelIndex, index) => ({ levelIndex, correct: correct[index] }));
+}
+
+test('answering every question at one level correctly rounds up to the next level', () => {
+    assert.equal(estimateLevel(answers([2, 2, 2], [true, true, true])), 'B2');
+});
+
+test('wrong answers pull the estimate below the questions\' level', () => {
+    // (1.5 + 1.5 + 0.5) / 3 ≈ 1.17，四舍五入为 A2
+    assert.equal(estimateLevel(answers([2, 2, 1], [false, false, false])), 'A2');
+});
+
+test('mixed results average the question levels', () => {
+    // (2.5 + 3.5 + 2.5 + 1.5) / 4 = 2.5，四舍五入为 B2
+    assert.equal(estimateLevel(answers([2, 3, 3, 2], [true, true, false, false])), 'B2');
+    // (1.5 + 1.5 + 2.5) / 3 ≈ 1.83，四舍五入为 B1
+    assert.equal(estimateLevel(answers([2, 1, 2], [false, true, true])), 'B1');
+});
+
+test('clamps the estimate to A1 and C2', () => {
+    assert.equal(estimateLevel(answers([0, 0], [false, false])), 'A1');
+    assert.equal(estimateLevel(answers([5, 5], [true, true])), 'C2');
+});
@@ -0,0 +1,68 @@
+// lib/srs.js：SM-2 间隔重复调度
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { newCard, reviewCard, isDue } = require('../lib/srs');
+
+const NOW = Date.UTC(2026, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 连续按同一评分复习，返回每次的间隔天数
+function intervals(grade, times) {
+    let card = newCard(NOW);
+    const result = [];
+    for (let i = 0; i < times; i++) {
+        card = reviewCard(card, grade, NOW);
+        result.push(card.interval);
+    }
+    return result;
+}
+
+test('a new card is due immediately', () => {
+    const card = newCard(NOW);
+    assert.deepEqual(card, { repetitions: 0, interval: 0, easeFactor: 2.5, dueAt: NOW });
+    assert.ok(isDue(card, NOW));
+});
+
+test('again resets the card and shows it again in 10 minutes', () => {
+    const learned = reviewCard(reviewCard(newCard(NOW), 'good', NOW), 'good', NOW);
+    const card = reviewCard(learned, 'again', NOW);
+    assert.equal(card.repetitions, 0);
+    assert.equal(card.interval, 0);
+    assert.equal(card.dueAt, NOW + 10 * 60 * 1000);
+    assert.ok(Math.abs(card.easeFactor - 1.96) < 1e-9);
+});
+
+test('hard uses 1 and 6 days, then multiplies by a lowered ease factor', () => {
+    assert.deepEqual(intervals('hard', 4), [1, 6, 12, 23]);
+});
+
+test('good keeps the ease factor and grows 1, 6, 15, 38 days', () => {
+    const card = reviewCard(newCard(NOW), 'good', NOW);
+    assert.equal(card.easeFactor, 2.5);
+    assert.equal(card.dueAt, NOW + DAY_MS);
+    assert.deepEqual(intervals('good', 4), [1, 6, 15, 38]);
+});
+
+test('easy raises the ease factor and adds a 30% bonus', () => {
+    const card = reviewCard(newCard(NOW), 'easy', NOW);
+    assert.ok(Math.abs(card.easeFactor - 2.6) < 1e-9);
+    assert.deepEqual(intervals('easy', 3), [1, 8, 29]);
+});
+
+test('the ease factor never drops below 1.3', () => {
+    let card = newCard(NOW);
+    for (let i = 0; i < 10; i++) {
+        card = reviewCard(card, 'again', NOW);
+    }
+    assert.equal(card.easeFactor, 1.3);
+});
+
+test('rejects unknown grades', () => {
+    assert.throws(() => reviewCard(newCard(NOW), 'perfect', NOW), /Unknown review grade/);
+});
+
+test('isDue compares against the due time', () => {
+    const card = reviewCard(newCard(NOW), 'good', NOW);
+    assert.equal(isDue(card, NOW), false);
+    assert.equal(isDue(card, NOW + DAY_MS), true);
+});
@@ -0,0 +1,89 @@
+// lib/subscriptions.js：/cron/tick 每日推送，同一天不会重复发送
+process.env.CLOUD_CLIENTS = 'fake';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTransport } = require('../lib/telegram');
+const { getStore } = require('../lib/store');
+const { runLessonTick } = require('../lib/subscriptions');
+
+// 记录发出的消息，不访问 Telegram
+const sent = [];
+setTransport({
+    name: 'test',
+    async call(botToken, methodName, params) {
+        sent.push({ methodName, params });
+        return { ok: true, result: { message_id: sent.length } };
+    }
+});
+
+const TOKEN = 'test-token';
+// 东京时间 2026-10-20 08:30
+const MORNING = new Date('2026-10-20T08:30:00+09:00');
+
+async function subscribe(userId, patch = {}) {
+    await getStore().set('subscriptions', String(userId), {
+        active: true,
+        lessonType: 'nudge',
+        time: '08:00',
+        timeZone: 'Asia/Tokyo',
+        lastSentDate: null,
+        recentPhrases: [],
+        chatId: userId,
+        ...patch
+    });
+}
+
+test.beforeEach(async () => {
+    sent.length = 0;
+    const store = getStore();
+    for (const namespace of ['subscriptions', 'deliveries']) {
+        for (const { key } of await store.list(namespace)) {
+            await store.delete(namespace, key);
+        }
+    }
+});
+
+test('sends a due lesson once and skips it on a second tick the same day', async () => {
+    await subscribe(101);
+
+    const first = await runLessonTick(TOKEN, MORNING);
+    assert.equal(first.sent, 1);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].params.chat_id, 101);
+    assert.equal((await getStore().get('subscriptions', '101')).lastSentDate, '2026-10-20');
+
+    const second = await runLessonTick(TOKEN, new Date('2026-10-20T21:00:00+09:00'));
+    assert.equal(second.due, 0);
+    assert.equal(second.sent, 0);
+    assert.equal(sent.length, 1);
+});
+
+test('skips a subscription whose delivery was already claimed by another tick', async () => {
+    await subscribe(102);
+    await getStore().add('deliveries', '102:2026-10-20', { status: 'sending', at: Date.now() });
+
+    const summary = await runLessonTick(TOKEN, MORNING);
+    assert.equal(summary.due, 1);
+    assert.equal(summary.sent, 0);
+    assert.equal(summary.skipped, 1);
+    assert.equal(sent.length, 0);
+});
+
+test('does not send before the chosen time and sends again the next day', async () => {
+    await subscribe(103, { lastSentDate: '2026-10-20' });
+
+    assert.equal((await runLessonTick(TOKEN, new Date('2026-10-21T07:59:00+09:00'))).sent, 0);
+    assert.equal((await runLessonTick(TOKEN, new Date('2026-10-21T08:00:00+09:00'))).sent, 1);
+    assert.equal(sent.length, 1);
+});
+
+test('ignores inactive subscriptions', async () => {
+    await subscribe(104, { active: false });
+
+    const summary = await runLessonTick(TOKEN, MORNING);
+    assert.equal(summary.checked, 1);
+    assert.equal(summary.due, 0);
+    assert.equal(sent.length, 0);
+});